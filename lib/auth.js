@@ -0,0 +1,199 @@
+// Autenticación del staff (sesiones por cookie firmada y tokens de API) con roles
+//
+// Los usuarios y tokens viven en un archivo JSON:
+//   { users: [{ username, role, passwordHash }], tokens: [{ name, role, tokenHash }] }
+// Si el archivo no existe y están ADMIN_USERNAME/ADMIN_PASSWORD, se crea el admin inicial.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROLES = ['cashier', 'kitchen', 'admin'];
+const COOKIE_NAME = 'staff_session';
+const SESSION_HOURS = 12;
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+
+  const candidate = crypto.scryptSync(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  });
+  return cookies;
+}
+
+function createAuth(options = {}) {
+  const file = options.file || path.join(process.cwd(), 'data', 'staff.json');
+  const secret = options.sessionSecret || crypto.randomBytes(32).toString('hex');
+  const secureCookie = Boolean(options.secureCookie);
+
+  if (!options.sessionSecret) {
+    console.warn('SESSION_SECRET no configurado: las sesiones del panel se pierden al reiniciar');
+  }
+
+  let staff = { users: [], tokens: [] };
+  try {
+    staff = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+
+    if (options.adminUsername && options.adminPassword) {
+      staff.users.push({
+        username: options.adminUsername,
+        role: 'admin',
+        passwordHash: hashPassword(options.adminPassword)
+      });
+      persist();
+      console.log(`Usuario admin inicial creado: ${options.adminUsername}`);
+    } else {
+      console.warn('No hay usuarios del staff: configurá ADMIN_USERNAME y ADMIN_PASSWORD');
+    }
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(staff, null, 2));
+  }
+
+  function sign(payload) {
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', secret).update(data).digest('base64url');
+    return `${data}.${signature}`;
+  }
+
+  function unsign(value) {
+    const [data, signature] = (value || '').split('.');
+    if (!data || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', secret).update(data).digest('base64url');
+    if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return null;
+    }
+
+    const payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+    return payload.exp > Date.now() ? payload : null;
+  }
+
+  // Devuelve { username, role } del request, por cookie de sesión o token Bearer
+  function identify(req) {
+    const header = req.get('authorization') || '';
+    if (header.startsWith('Bearer ')) {
+      const tokenHash = hashToken(header.slice(7).trim());
+      const token = staff.tokens.find(t => t.tokenHash === tokenHash);
+      return token ? { username: `token:${token.name}`, role: token.role } : null;
+    }
+
+    const session = unsign(parseCookies(req.get('cookie'))[COOKIE_NAME]);
+    if (!session) return null;
+
+    // El usuario pudo haber sido eliminado o cambiado de rol
+    const user = staff.users.find(u => u.username === session.username);
+    return user ? { username: user.username, role: user.role } : null;
+  }
+
+  function login(res, username, password) {
+    const user = staff.users.find(u => u.username === username);
+    if (!user || !verifyPassword(password || '', user.passwordHash)) {
+      return null;
+    }
+
+    const cookie = sign({ username: user.username, exp: Date.now() + SESSION_HOURS * 3600 * 1000 });
+    res.append('Set-Cookie',
+      `${COOKIE_NAME}=${cookie}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_HOURS * 3600}` +
+      (secureCookie ? '; Secure' : ''));
+    return { username: user.username, role: user.role };
+  }
+
+  function logout(res) {
+    res.append('Set-Cookie', `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+  }
+
+  // Middleware para rutas de la API: 401 sin sesión, 403 sin el rol necesario
+  function requireRole(...roles) {
+    return (req, res, next) => {
+      const staffUser = identify(req);
+      if (!staffUser) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (roles.length > 0 && !roles.includes(staffUser.role)) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      req.staff = staffUser;
+      next();
+    };
+  }
+
+  // Middleware para páginas del panel: redirige al login sin sesión
+  function requirePage(req, res, next) {
+    const staffUser = identify(req);
+    if (!staffUser) {
+      return res.redirect('/login.html');
+    }
+    req.staff = staffUser;
+    next();
+  }
+
+  function createUser(username, password, role) {
+    if (!ROLES.includes(role)) throw new Error(`Rol inválido: ${role}`);
+    if (staff.users.some(u => u.username === username)) throw new Error(`El usuario ${username} ya existe`);
+
+    staff.users.push({ username, role, passwordHash: hashPassword(password) });
+    persist();
+    return { username, role };
+  }
+
+  function deleteUser(username) {
+    const before = staff.users.length;
+    staff.users = staff.users.filter(u => u.username !== username);
+    persist();
+    return staff.users.length < before;
+  }
+
+  function listUsers() {
+    return staff.users.map(({ username, role }) => ({ username, role }));
+  }
+
+  // Crea un token de API; el valor en texto plano solo se devuelve esta vez
+  function createToken(name, role) {
+    if (!ROLES.includes(role)) throw new Error(`Rol inválido: ${role}`);
+
+    const token = crypto.randomBytes(24).toString('hex');
+    staff.tokens.push({ name, role, tokenHash: hashToken(token) });
+    persist();
+    return { name, role, token };
+  }
+
+  return {
+    ROLES,
+    identify,
+    login,
+    logout,
+    requireRole,
+    requirePage,
+    createUser,
+    deleteUser,
+    listUsers,
+    createToken
+  };
+}
+
+module.exports = { createAuth };
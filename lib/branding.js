@@ -0,0 +1,290 @@
+// Marca y textos del bot por local: nombre, número de WhatsApp, alias de pago y mensajes
+//
+// Los locales se guardan en un archivo JSON:
+//   { locations: [{ id, name, sender, mercadoPagoAlias, pickupAddress,
+//                   etaDelivery, etaPickup, etaOnTheWay, kitchenPrinter,
+//                   templates: { clave: texto } }] }
+// El primer local es el predeterminado. Los textos usan marcadores como
+// {orderShortId} o {total}; las claves que un local no redefine salen de TEMPLATES.
+const fs = require('fs');
+const path = require('path');
+
+// Textos por defecto con la descripción que se muestra en el panel
+const TEMPLATES = {
+  welcome: {
+    description: 'Bienvenida ({customerName})',
+    text: "¡Hola {customerName}! 👋\n\n" +
+      "Bienvenido a *{shopName}*.\n\n" +
+      "Enviá *menu* para ver nuestros productos disponibles."
+  },
+  menuTitle: {
+    description: 'Título del menú',
+    text: "🍽️ *MENÚ {shopNameUpper}*"
+  },
+  orderDelivery: {
+    description: 'Confirmación: entrega con delivery ({address})',
+    text: "🚚 *Delivery a:* {address}\n" +
+      "⏱️ *Tiempo estimado:* {etaDelivery}"
+  },
+  orderPickup: {
+    description: 'Confirmación: retiro en el local',
+    text: "🏪 *Retiro en local*\n" +
+      "⏱️ *Estará listo en:* {etaPickup}"
+  },
+  orderScheduledDelivery: {
+    description: 'Confirmación: delivery programado ({address}, {scheduledFor})',
+    text: "🚚 *Delivery a:* {address}\n" +
+      "📅 *Programado para:* {scheduledFor}"
+  },
+  orderScheduledPickup: {
+    description: 'Confirmación: retiro programado ({scheduledFor})',
+    text: "🏪 *Retiro en local*\n" +
+      "📅 *Programado para:* {scheduledFor}"
+  },
+  transferInstructions: {
+    description: 'Datos para pagar por transferencia ({total}, {orderShortId})',
+    text: "💰 Alias: {mercadoPagoAlias}\n" +
+      "💵 Importe: {total}\n" +
+      "📝 Concepto: Pedido #{orderShortId}"
+  },
+  orderThanks: {
+    description: 'Cierre de la confirmación del pedido',
+    text: "¡Gracias por elegirnos! 😊\n" +
+      "Te avisamos cuando esté listo para retirar/entregar."
+  },
+  receiptReceived: {
+    description: 'Comprobante recibido',
+    text: "✅ *Comprobante recibido correctamente.*\n\n" +
+      "📋 Verificaremos tu pago y te confirmaremos en breve.\n" +
+      "🍽️ Una vez confirmado, comenzamos a preparar tu pedido.\n\n" +
+      "¡Gracias por tu paciencia!"
+  },
+  paymentApproved: {
+    description: 'Comprobante aprobado por el staff',
+    text: "✅ *¡Pago confirmado!*\n\n" +
+      "Verificamos el comprobante de tu pedido #{orderShortId}.\n" +
+      "🍽️ Ya comenzamos a prepararlo."
+  },
+  paymentRejected: {
+    description: 'Comprobante rechazado por el staff ({reason})',
+    text: "❌ *No pudimos verificar tu pago*\n\n" +
+      "Revisamos el comprobante del pedido #{orderShortId} y no pudimos confirmarlo.\n" +
+      "📝 Motivo: {reason}\n\n" +
+      "💵 Importe: {total}\n" +
+      "📸 Por favor enviá una nueva foto del comprobante."
+  },
+  mercadoPagoApproved: {
+    description: 'Pago aprobado por MercadoPago ({amount})',
+    text: "✅ *¡Pago aprobado!*\n\n" +
+      "Recibimos el pago de tu pedido #{orderShortId} por {amount}.\n" +
+      "🍽️ Ya comenzamos a prepararlo."
+  },
+  mercadoPagoRejected: {
+    description: 'Pago rechazado por MercadoPago',
+    text: "❌ *El pago no se pudo completar*\n\n" +
+      "MercadoPago rechazó el pago del pedido #{orderShortId}.\n" +
+      "Podés intentar de nuevo con el link o pagar por transferencia y enviarnos el comprobante."
+  },
+  mercadoPagoRefund: {
+    description: 'Pago aprobado de un pedido que ya estaba cancelado ({amount})',
+    text: "💸 *Recibimos tu pago*\n\n" +
+      "El pedido #{orderShortId} ya estaba cancelado, así que te vamos a devolver {amount}.\n" +
+      "Si tenés alguna duda escribinos por acá."
+  },
+  closed: {
+    description: 'Local cerrado ({nextOpening})',
+    text: "🔒 *{shopName} está cerrado en este momento*\n\n" +
+      "Volvemos a abrir {nextOpening}. ¡Te esperamos!"
+  },
+  cartExpired: {
+    description: 'Carrito vencido por inactividad ({idleMinutes})',
+    text: "⌛ *Tu carrito expiró*\n\n" +
+      "Pasaron más de {idleMinutes} minutos sin actividad y vaciamos tu carrito.\n" +
+      "Enviá *menu* cuando quieras hacer un nuevo pedido."
+  },
+  handoff: {
+    description: 'Derivación a una persona del equipo',
+    text: "🙋 *Te comunicamos con alguien del equipo*\n\n" +
+      "Ya le avisamos a {shopName}. Te van a responder por este mismo chat en cuanto puedan.\n" +
+      "Mientras tanto el bot queda en pausa."
+  },
+  handoffUnrecognized: {
+    description: 'Derivación automática tras varios mensajes no entendidos',
+    text: "🤔 Parece que no te estoy entendiendo.\n\n" +
+      "Le pasamos tu consulta a alguien del equipo de {shopName}, que te va a responder por este chat en cuanto pueda."
+  },
+  handoffEnded: {
+    description: 'Fin de la atención del equipo',
+    text: "🤖 *Volviste a hablar con el bot*\n\n" +
+      "Enviá *menu* para ver nuestros productos o *estado* para consultar tu pedido."
+  },
+  'status.PREPARANDO': {
+    description: 'Estado: preparando',
+    text: "👨‍🍳 ¡Tu pedido se está preparando!\n\nTe avisamos cuando esté listo. ⏱️"
+  },
+  'status.LISTO': {
+    description: 'Estado: listo para retirar',
+    text: "🎉 ¡Tu pedido está listo!\n\n" +
+      "🏪 Ya podés pasar a retirarlo.\n" +
+      "📍 Dirección: {pickupAddress}\n\n" +
+      "¡Te esperamos! 😊"
+  },
+  'status.EN_DELIVERY': {
+    description: 'Estado: salió para delivery',
+    text: "🚚 ¡Tu pedido salió para delivery!\n\n" +
+      "📍 Llega a tu dirección en {etaOnTheWay}.\n" +
+      "¡Mantenete atento! 📱"
+  },
+  'status.ENTREGADO': {
+    description: 'Estado: entregado',
+    text: "✅ ¡Pedido entregado!\n\n" +
+      "🙏 Gracias por elegirnos.\n" +
+      "⭐ Tu opinión es muy importante para nosotros."
+  },
+  'status.FINALIZADO': {
+    description: 'Estado: finalizado',
+    text: "🏁 *Pedido finalizado*\n\n" +
+      "✅ Tu pedido ha sido completado exitosamente.\n" +
+      "¡Esperamos verte pronto! 😊"
+  },
+  'status.CANCELADO': {
+    description: 'Estado: cancelado',
+    text: "❌ *Pedido cancelado*\n\n" +
+      "😔 Tu pedido ha sido cancelado.\n" +
+      "Si tenés alguna consulta, no dudes en contactarnos.\n\n" +
+      "¡Esperamos poder atenderte pronto! 🙏"
+  }
+};
+
+// Campos editables de un local (además de templates)
+const LOCATION_FIELDS = ['name', 'sender', 'mercadoPagoAlias', 'pickupAddress', 'etaDelivery', 'etaPickup', 'etaOnTheWay', 'kitchenPrinter'];
+
+// Reemplaza {marcador} por su valor; los marcadores desconocidos quedan como están
+function render(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : placeholder);
+}
+
+// Los números de WhatsApp se comparan sin el prefijo "whatsapp:" ni espacios
+function normalizeSender(sender) {
+  return (sender || '').replace(/^whatsapp:/, '').replace(/\s/g, '');
+}
+
+function createBranding(options = {}) {
+  const file = options.file || path.join(process.cwd(), 'data', 'branding.json');
+  const defaults = options.defaults || {};
+
+  let config = { locations: [] };
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  // Sin locales guardados, el predeterminado sale de las variables de entorno
+  if (config.locations.length === 0) {
+    config.locations.push({
+      id: 'principal',
+      name: defaults.name || 'Sabores del Barrio',
+      sender: defaults.sender || 'whatsapp:+14155238886',
+      mercadoPagoAlias: defaults.mercadoPagoAlias || 'SABORES.BARRIO.MP',
+      pickupAddress: defaults.pickupAddress || '[Tu dirección del local]',
+      etaDelivery: '30-45 minutos',
+      etaPickup: '20-30 minutos',
+      etaOnTheWay: '15-20 minutos',
+      templates: {}
+    });
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(config, null, 2));
+  }
+
+  function listLocations() {
+    return config.locations;
+  }
+
+  // Local por ID; sin ID o si no existe, el predeterminado
+  function getLocation(id) {
+    return config.locations.find(location => location.id === id) || config.locations[0];
+  }
+
+  // Local que atiende el número de WhatsApp al que escribió el cliente
+  function findBySender(sender) {
+    const number = normalizeSender(sender);
+    return config.locations.find(location => normalizeSender(location.sender) === number) || config.locations[0];
+  }
+
+  // Crea o actualiza un local; las plantillas vacías vuelven al texto por defecto
+  function saveLocation(id, changes) {
+    if (!/^[a-z0-9-]+$/.test(id || '')) {
+      throw new Error('El ID del local solo puede tener minúsculas, números y guiones');
+    }
+    if (changes.kitchenPrinter && !/^[\w.-]+(:\d+)?$/.test(changes.kitchenPrinter.trim())) {
+      throw new Error('La impresora de cocina tiene que ser una dirección como 192.168.0.50:9100');
+    }
+
+    let location = config.locations.find(l => l.id === id);
+    if (!location) {
+      location = { ...getLocation(), id, templates: {} };
+      config.locations.push(location);
+    }
+
+    LOCATION_FIELDS.forEach(field => {
+      if (typeof changes[field] === 'string') {
+        location[field] = changes[field].trim();
+      }
+    });
+
+    if (changes.templates) {
+      Object.keys(changes.templates).forEach(key => {
+        if (!TEMPLATES[key]) throw new Error(`Plantilla desconocida: ${key}`);
+
+        const text = changes.templates[key];
+        if (text && text.trim()) {
+          location.templates[key] = text;
+        } else {
+          delete location.templates[key];
+        }
+      });
+    }
+
+    persist();
+    return location;
+  }
+
+  // Marcadores disponibles en todos los mensajes de un local
+  function locationVars(location) {
+    return {
+      shopName: location.name,
+      shopNameUpper: location.name.toUpperCase(),
+      mercadoPagoAlias: location.mercadoPagoAlias,
+      pickupAddress: location.pickupAddress,
+      etaDelivery: location.etaDelivery,
+      etaPickup: location.etaPickup,
+      etaOnTheWay: location.etaOnTheWay
+    };
+  }
+
+  // Texto final de una plantilla para un local
+  function message(locationId, key, vars = {}) {
+    const location = getLocation(locationId);
+    const text = location.templates[key] || TEMPLATES[key].text;
+    return render(text, { ...locationVars(location), ...vars });
+  }
+
+  return {
+    listLocations,
+    getLocation,
+    findBySender,
+    saveLocation,
+    message
+  };
+}
+
+module.exports = {
+  TEMPLATES,
+  createBranding,
+  render
+};
@@ -0,0 +1,158 @@
+// Operaciones sobre el carrito de un cliente
+//
+// Las posiciones (1, 2, 3...) son las que muestra formatCart; los IDs son los
+// del menú. Cada operación devuelve un mensaje de error o null si salió bien.
+
+const MAX_QUANTITY = 99;
+
+// Función para interpretar una selección de productos: "1,2", "3x2", "2x1 3"
+// Devuelve [{ productId, quantity }] o null si el texto no es una selección
+function parseSelection(text) {
+  const tokens = text.split(/[,\s]+/).filter(token => token.length > 0);
+  if (tokens.length === 0) return null;
+
+  const selection = [];
+  for (const token of tokens) {
+    const match = token.match(/^(?:(\d+)x)?(\d+)$/);
+    if (!match) return null;
+
+    selection.push({
+      productId: parseInt(match[2], 10),
+      quantity: match[1] ? parseInt(match[1], 10) : 1
+    });
+  }
+  return selection;
+}
+
+// Dos líneas del carrito son el mismo producto si coinciden ID y opciones elegidas
+function lineKey(productId, modifiers = []) {
+  return [productId, ...modifiers.map(modifier => `${modifier.group}:${modifier.name}`).sort()].join('|');
+}
+
+// Función para agregar un producto al carrito con sus opciones (modificadores)
+// El precio de la línea incluye los recargos de las opciones elegidas
+function addProduct(cart, product, quantity = 1, modifiers = []) {
+  if (quantity < 1) {
+    return `La cantidad de ${product.name} tiene que ser al menos 1`;
+  }
+
+  const key = lineKey(product.id, modifiers);
+  const existingItem = cart.find(item => lineKey(item.id, item.modifiers) === key);
+  const newQuantity = (existingItem ? existingItem.quantity : 0) + quantity;
+
+  if (newQuantity > MAX_QUANTITY) {
+    return `No podés pedir más de ${MAX_QUANTITY} unidades de ${product.name}`;
+  }
+
+  if (existingItem) {
+    existingItem.quantity = newQuantity;
+  } else {
+    // El stock y la fila de la hoja son del menú, no de la línea del pedido
+    const { modifierGroups, stock, outOfStock, rowIndex, ...item } = product;
+    const extra = modifiers.reduce((sum, modifier) => sum + modifier.priceDelta, 0);
+    cart.push({
+      ...item,
+      basePrice: product.price,
+      price: product.price + extra,
+      modifiers: modifiers,
+      quantity: quantity
+    });
+  }
+  return null;
+}
+
+// Función para interpretar la elección de opciones de un grupo de modificadores
+// ("2", "1,3" o "no" para grupos opcionales). Devuelve { error, modifiers }
+function parseOptionChoice(group, text) {
+  const max = group.max || 1;
+
+  if (['no', '0', 'ninguno', 'ninguna'].includes(text)) {
+    if (group.required) {
+      return { error: `Tenés que elegir una opción de ${group.name}` };
+    }
+    return { error: null, modifiers: [] };
+  }
+
+  if (!/^[\d,\s]+$/.test(text)) {
+    return { error: `Respondé con el número de la opción de ${group.name}` };
+  }
+
+  const positions = [...new Set(text.split(/[,\s]+/).filter(Boolean).map(n => parseInt(n, 10)))];
+
+  const invalid = positions.filter(position => position < 1 || position > group.options.length);
+  if (invalid.length > 0) {
+    return { error: `La opción ${invalid.join(', ')} no existe en ${group.name}` };
+  }
+  if (positions.length > max) {
+    return { error: max === 1 ?
+      `Elegí una sola opción de ${group.name}` :
+      `Podés elegir hasta ${max} opciones de ${group.name}` };
+  }
+
+  return {
+    error: null,
+    modifiers: positions.map(position => ({
+      group: group.name,
+      name: group.options[position - 1].name,
+      priceDelta: group.options[position - 1].priceDelta || 0
+    }))
+  };
+}
+
+function checkPosition(cart, position) {
+  if (cart.length === 0) {
+    return 'Tu carrito está vacío';
+  }
+  if (position < 1 || position > cart.length) {
+    return `No hay un producto ${position} en tu carrito. Elegí un número entre 1 y ${cart.length}`;
+  }
+  return null;
+}
+
+function removeLine(cart, position) {
+  const error = checkPosition(cart, position);
+  if (error) return error;
+
+  cart.splice(position - 1, 1);
+  return null;
+}
+
+function setLineQuantity(cart, position, quantity) {
+  const error = checkPosition(cart, position);
+  if (error) return error;
+
+  if (quantity > MAX_QUANTITY) {
+    return `No podés pedir más de ${MAX_QUANTITY} unidades`;
+  }
+
+  if (quantity === 0) {
+    cart.splice(position - 1, 1);
+  } else {
+    cart[position - 1].quantity = quantity;
+  }
+  return null;
+}
+
+// Resta una unidad; si era la última, saca el producto del carrito
+function decrementLine(cart, position) {
+  const error = checkPosition(cart, position);
+  if (error) return error;
+
+  return setLineQuantity(cart, position, cart[position - 1].quantity - 1);
+}
+
+// Función para sumar los productos del carrito (sin envío)
+function cartSubtotal(cart) {
+  return cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+}
+
+module.exports = {
+  MAX_QUANTITY,
+  parseSelection,
+  parseOptionChoice,
+  addProduct,
+  removeLine,
+  setLineQuantity,
+  decrementLine,
+  cartSubtotal
+};
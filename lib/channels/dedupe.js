@@ -0,0 +1,48 @@
+// Mensajes entrantes ya procesados, para ignorar los reintentos del webhook
+//
+// Twilio vuelve a mandar el webhook si no respondemos a tiempo; sin esto el mismo
+// "1" agregaría el producto dos veces. Se recuerdan los IDs de las últimas horas
+// en un archivo JSON para que un reinicio del server no los olvide:
+//   [{ id, at }]
+const path = require('path');
+const { createJsonFile } = require('../json-file');
+
+const DEFAULT_TTL_MS = 6 * 60 * 60 * 1000;
+const MAX_IDS = 10000;
+
+function createInboundDedupe({ file, ttlMs = DEFAULT_TTL_MS } = {}) {
+  file = file || path.join(process.cwd(), 'data', 'inbound-dedupe.json');
+  // ID -> momento en que llegó; Map mantiene el orden de inserción
+  const seenAt = new Map();
+  // Pueden ser miles de IDs: se guardan en una sola línea
+  const jsonFile = createJsonFile(file, { name: 'inbound dedupe', indent: 0 });
+
+  jsonFile.load([]).forEach(({ id, at }) => seenAt.set(id, at));
+
+  function persist() {
+    return jsonFile.save([...seenAt].map(([id, at]) => ({ id, at })));
+  }
+
+  function prune(now) {
+    for (const [id, at] of seenAt) {
+      if (now - at < ttlMs && seenAt.size <= MAX_IDS) break;
+      seenAt.delete(id);
+    }
+  }
+
+  // Devuelve true si el mensaje ya llegó antes; si no, lo registra
+  function seen(id, now = Date.now()) {
+    if (!id) return false;
+
+    prune(now);
+    if (seenAt.has(id)) return true;
+
+    seenAt.set(id, now);
+    persist();
+    return false;
+  }
+
+  return { seen };
+}
+
+module.exports = { createInboundDedupe };
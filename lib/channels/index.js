@@ -0,0 +1,61 @@
+// Canales de mensajería: por dónde llegan los mensajes de los clientes y por dónde salen las respuestas
+//
+// Todos los adaptadores exponen la misma interfaz:
+//   name                               -> nombre del canal ('twilio', 'simulator')
+//   handles(address)                   -> true si la dirección del cliente es de este canal
+//   parseInbound(payload)              -> mensaje entrante normalizado (ver abajo)
+//   send({ from, to, body, options })  -> envía una respuesta (ver opciones abajo); devuelve
+//                                         el ID del mensaje en el proveedor si lo hay. Si la
+//                                         respuesta sale en varias partes, el canal puede anotar
+//                                         en el mensaje las que ya mandó para no repetirlas
+//                                         en un reintento
+//
+// Mensaje entrante normalizado:
+//   { messageId, from, to, profileName, body, media: { url, contentType } | null,
+//     sharedLocation: { latitude, longitude, address } | null }
+// messageId es el ID del proveedor (MessageSid) para descartar reintentos, o null.
+// Si el cliente tocó un botón o una fila de una lista, body es el ID de esa opción.
+//
+// Opciones interactivas de send (cada canal decide cómo mostrarlas; body siempre
+// trae el texto con las opciones numeradas para los canales que no las soportan):
+//   { type: 'buttons', buttons: [{ id, title }], prompt }
+//   { type: 'list', button, listItems: [{ id, title, description }], prompt }
+// El ID es lo que el bot recibe como texto al elegir la opción ("1", "menu bebidas").
+//
+// El simulador atiende las direcciones "sim:..."; todo lo demás sale por Twilio.
+const { createTwilioChannel } = require('./twilio');
+const { createSimulatorChannel } = require('./simulator');
+
+function createChannels(env = process.env) {
+  const twilio = createTwilioChannel({
+    accountSid: env.TWILIO_ACCOUNT_SID,
+    authToken: env.TWILIO_AUTH_TOKEN,
+    // TWILIO_INTERACTIVE_MESSAGES=false manda los botones y listas como texto numerado
+    interactive: env.TWILIO_INTERACTIVE_MESSAGES !== 'false',
+    contentFile: env.TWILIO_CONTENT_FILE,
+    contentBaseUrl: env.TWILIO_CONTENT_BASE_URL,
+    // Sin URL pública Twilio no tiene dónde avisar el estado de entrega
+    statusCallback: env.PUBLIC_URL ? `${env.PUBLIC_URL.replace(/\/$/, '')}/webhooks/twilio/status` : undefined
+  });
+  const simulator = createSimulatorChannel();
+
+  // El primero que reconoce la dirección gana; Twilio es el canal por defecto
+  const channels = [simulator, twilio];
+
+  function forAddress(address) {
+    return channels.find(channel => channel.handles(address));
+  }
+
+  function send(message) {
+    return forAddress(message.to).send(message);
+  }
+
+  return {
+    twilio,
+    simulator,
+    forAddress,
+    send
+  };
+}
+
+module.exports = { createChannels };
@@ -0,0 +1,96 @@
+// Canal simulado para probar conversaciones completas sin WhatsApp
+//
+// Las direcciones del simulador empiezan con "sim:" (por ejemplo "sim:+5491100000000").
+// Los mensajes quedan en memoria por conversación:
+//   [{ direction: 'in' | 'out', body, options, at }]
+// y cada mensaje nuevo se emite como evento 'message' con { address, message }.
+const { EventEmitter } = require('events');
+
+const PREFIX = 'sim:';
+const MAX_MESSAGES = 200;
+
+// Función para convertir un teléfono cualquiera en dirección del simulador
+// Devuelve null si no es un número (solo dígitos, con espacios o + opcionales):
+// la dirección termina en los paneles y no puede traer otra cosa
+function simulatorAddress(phone) {
+  const number = String(phone || '').replace(/^(sim:|whatsapp:)/, '').replace(/[\s+]/g, '');
+  if (!/^\d+$/.test(number)) return null;
+  return `${PREFIX}+${number}`;
+}
+
+function createSimulatorChannel() {
+  const emitter = new EventEmitter();
+  const conversations = new Map();
+
+  function handles(address) {
+    return typeof address === 'string' && address.startsWith(PREFIX);
+  }
+
+  function record(address, message) {
+    const messages = conversations.get(address) || [];
+    messages.push({ ...message, at: new Date().toISOString() });
+    // Solo guardamos los últimos mensajes de cada conversación
+    conversations.set(address, messages.slice(-MAX_MESSAGES));
+    emitter.emit('message', { address, message: messages[messages.length - 1] });
+  }
+
+  // Función para normalizar un mensaje escrito en el simulador
+  // payload: { phone, name, body, to, latitude, longitude, address }
+  // No acepta adjuntos: la media se descarga con las credenciales de Twilio y el
+  // simulador no debe poder elegir a qué URL se mandan
+  function parseInbound(payload) {
+    const from = simulatorAddress(payload.phone);
+    if (!from) {
+      throw new Error(`Teléfono inválido para el simulador: ${payload.phone}`);
+    }
+    const latitude = parseFloat(payload.latitude);
+    const longitude = parseFloat(payload.longitude);
+    const inbound = {
+      messageId: null,
+      from,
+      to: payload.to || '',
+      profileName: payload.name || '',
+      body: payload.body || '',
+      media: null,
+      sharedLocation: Number.isFinite(latitude) && Number.isFinite(longitude) ?
+        { latitude, longitude, address: payload.address || '' } :
+        null
+    };
+
+    record(from, {
+      direction: 'in',
+      body: inbound.body,
+      media: inbound.media,
+      sharedLocation: inbound.sharedLocation
+    });
+    return inbound;
+  }
+
+  async function send({ to, body, options }) {
+    record(to, { direction: 'out', body, options: options || null });
+  }
+
+  function transcript(address) {
+    return conversations.get(address) || [];
+  }
+
+  function clear(address) {
+    conversations.delete(address);
+  }
+
+  return {
+    name: 'simulator',
+    handles,
+    parseInbound,
+    send,
+    transcript,
+    clear,
+    on: (event, fn) => emitter.on(event, fn),
+    off: (event, fn) => emitter.off(event, fn)
+  };
+}
+
+module.exports = {
+  createSimulatorChannel,
+  simulatorAddress
+};
@@ -0,0 +1,150 @@
+// Plantillas de Twilio Content para los botones y listas nativos de WhatsApp
+//
+// WhatsApp solo muestra botones de respuesta rápida y listas si el mensaje sale
+// de una plantilla de la Content API. Cada combinación de botones o filas se crea
+// una sola vez con el texto como variable {{1}} y su ContentSid se guarda en un
+// archivo JSON ({ clave: sid }) para reusarla en los próximos mensajes.
+//
+// Límites de WhatsApp: 3 botones de hasta 20 caracteres; 10 filas con título de
+// hasta 24 caracteres y descripción de hasta 72; texto del botón de la lista hasta 20.
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const http = require('http');
+
+const DEFAULT_BASE_URL = 'https://content.twilio.com';
+const MAX_BUTTONS = 3;
+const MAX_LIST_ITEMS = 10;
+
+function truncate(text, length) {
+  text = String(text || '').trim();
+  return text.length > length ? text.slice(0, length - 1) + '…' : text;
+}
+
+// Función para convertir las opciones del bot en los tipos de la Content API
+// Devuelve null si las opciones no se pueden mostrar como mensaje interactivo
+function contentTypes(options) {
+  if (options.type === 'buttons' && options.buttons && options.buttons.length > 0) {
+    if (options.buttons.length > MAX_BUTTONS) return null;
+    return {
+      'twilio/quick-reply': {
+        body: '{{1}}',
+        actions: options.buttons.map(button => ({ id: button.id, title: truncate(button.title, 20) }))
+      },
+      'twilio/text': { body: '{{1}}' }
+    };
+  }
+
+  if (options.type === 'list' && options.listItems && options.listItems.length > 0) {
+    return {
+      'twilio/list-picker': {
+        body: '{{1}}',
+        button: truncate(options.button || 'Ver opciones', 20),
+        items: options.listItems.slice(0, MAX_LIST_ITEMS).map(item => ({
+          id: item.id,
+          item: truncate(item.title, 24),
+          description: truncate(item.description, 72)
+        }))
+      },
+      'twilio/text': { body: '{{1}}' }
+    };
+  }
+
+  return null;
+}
+
+function createContentTemplates(options = {}) {
+  const accountSid = options.accountSid;
+  const authToken = options.authToken;
+  const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/$/, '');
+  const file = options.file || path.join(process.cwd(), 'data', 'twilio-content.json');
+
+  let sids = {};
+  try {
+    sids = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading Twilio content templates:', error);
+    }
+  }
+
+  // Creaciones en curso, para no duplicar la plantilla si llegan dos mensajes iguales a la vez
+  const creating = new Map();
+
+  function persist() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(sids, null, 2));
+  }
+
+  function create(types) {
+    const url = new URL(baseUrl + '/v1/Content');
+    const transport = url.protocol === 'http:' ? http : https;
+    const payload = JSON.stringify({
+      friendly_name: `bot_${Date.now()}`,
+      language: 'es',
+      variables: { 1: 'texto' },
+      types
+    });
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, {
+        method: 'POST',
+        auth: `${accountSid}:${authToken}`,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload)
+        },
+        timeout: 10000
+      }, res => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          let json = null;
+          try {
+            json = data ? JSON.parse(data) : null;
+          } catch (error) {
+            return reject(new Error(`Twilio Content respondió JSON inválido (${res.statusCode})`));
+          }
+
+          if (res.statusCode >= 400 || !json || !json.sid) {
+            const message = json && json.message ? json.message : data;
+            return reject(new Error(`Twilio Content falló (${res.statusCode}): ${message}`));
+          }
+          resolve(json.sid);
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error('Twilio Content: timeout')));
+      req.on('error', reject);
+      req.write(payload);
+      req.end();
+    });
+  }
+
+  // ContentSid para unas opciones (la crea si hace falta) o null si no son interactivas
+  async function sidFor(options) {
+    const types = contentTypes(options);
+    if (!types) return null;
+
+    const key = JSON.stringify(types);
+    if (sids[key]) return sids[key];
+
+    if (!creating.has(key)) {
+      creating.set(key, create(types)
+        .then(sid => {
+          sids[key] = sid;
+          persist();
+          return sid;
+        })
+        .finally(() => creating.delete(key)));
+    }
+    return creating.get(key);
+  }
+
+  return { sidFor };
+}
+
+module.exports = {
+  contentTypes,
+  createContentTemplates
+};
@@ -0,0 +1,108 @@
+// Canal de WhatsApp por Twilio
+//
+// Las opciones { type: 'buttons' } y { type: 'list' } salen como botones y listas
+// nativos de WhatsApp (ver twilio-content.js). El texto del mensaje ya incluye las
+// opciones numeradas, así que si el número no es de WhatsApp, los mensajes
+// interactivos están desactivados o la plantilla falla, se manda ese texto solo.
+const twilio = require('twilio');
+const { createContentTemplates } = require('./twilio-content');
+
+// WhatsApp no acepta textos más largos en un mensaje interactivo
+const MAX_INTERACTIVE_BODY = 1024;
+
+// Texto corto que acompaña a los botones o la lista cuando el mensaje completo no entra
+const DEFAULT_PROMPTS = {
+  buttons: '👇 Elegí una opción',
+  list: '👇 Elegí de la lista'
+};
+
+function createTwilioChannel({ accountSid, authToken, interactive = true, contentFile, contentBaseUrl, statusCallback }) {
+  const client = accountSid && authToken ? twilio(accountSid, authToken) : null;
+  const contentTemplates = client && interactive ?
+    createContentTemplates({ accountSid, authToken, file: contentFile, baseUrl: contentBaseUrl }) :
+    null;
+
+  // Todo lo que no es de otro canal sale por Twilio
+  function handles() {
+    return true;
+  }
+
+  // Función para normalizar el POST del webhook de Twilio
+  // Al tocar un botón o una fila de lista, el ID elegido (ButtonPayload / ListId)
+  // llega como texto, igual que si el cliente lo hubiera escrito
+  function parseInbound(payload) {
+    const { MessageSid, Body, From, To, ProfileName, MediaUrl0, MediaContentType0, Latitude, Longitude, Address, ButtonPayload, ListId } = payload;
+
+    return {
+      messageId: MessageSid || null,
+      from: From,
+      to: To,
+      profileName: ProfileName || '',
+      body: ButtonPayload || ListId || Body || '',
+      media: MediaUrl0 ? { url: MediaUrl0, contentType: MediaContentType0 } : null,
+      // Ubicación compartida con el clip de WhatsApp
+      sharedLocation: Latitude && Longitude ?
+        { latitude: parseFloat(Latitude), longitude: parseFloat(Longitude), address: Address || '' } :
+        null
+    };
+  }
+
+  // Función para obtener la plantilla de los botones o la lista; null = mandar solo texto
+  async function interactiveContent(to, options) {
+    if (!options || !contentTemplates || !String(to).startsWith('whatsapp:')) return null;
+
+    try {
+      return await contentTemplates.sidFor(options);
+    } catch (error) {
+      console.error('Error creating Twilio content template, sending plain text:', error.message);
+      return null;
+    }
+  }
+
+  // Devuelve el MessageSid del último mensaje enviado
+  async function send(message) {
+    const { from, to, body, options } = message;
+    if (!client) {
+      throw new Error('Twilio client not initialized - check credentials');
+    }
+
+    // Twilio avisa a statusCallback cuando el mensaje se entrega, se lee o falla
+    const callback = statusCallback ? { statusCallback } : {};
+
+    const contentSid = await interactiveContent(to, options);
+    if (!contentSid) {
+      const sent = await client.messages.create({ body, from, to, ...callback });
+      return sent.sid;
+    }
+
+    // Si el texto es muy largo va primero como mensaje común y los botones después.
+    // El SID del texto queda en el mensaje de la cola: si fallan los botones, el
+    // reintento no vuelve a mandar el texto
+    let interactiveBody = body;
+    if (body.length > MAX_INTERACTIVE_BODY) {
+      if (!message.textSid) {
+        const text = await client.messages.create({ body, from, to });
+        message.textSid = text.sid;
+      }
+      interactiveBody = options.prompt || DEFAULT_PROMPTS[options.type];
+    }
+
+    const sent = await client.messages.create({
+      from,
+      to,
+      contentSid,
+      contentVariables: JSON.stringify({ 1: interactiveBody }),
+      ...callback
+    });
+    return sent.sid;
+  }
+
+  return {
+    name: 'twilio',
+    handles,
+    parseInbound,
+    send
+  };
+}
+
+module.exports = { createTwilioChannel };
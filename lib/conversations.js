@@ -0,0 +1,146 @@
+// Conversaciones con los clientes para la bandeja del panel
+//
+// Se guardan en un archivo JSON con una lista de conversaciones:
+//   [{ phone, customerName, locationId, unread, updatedAt,
+//      handoff: null | { reason, requestedAt },
+//      messages: [{ direction: 'in' | 'out', body, author, at }] }]
+// `phone` es la dirección del canal (whatsapp:+549..., sim:+549...) para poder
+// responder por el mismo número. Mientras `handoff` no es null el bot no contesta:
+// la conversación la atiende el staff desde el panel. `author` es el usuario del
+// staff que escribió el mensaje, o null si lo mandó el bot.
+const path = require('path');
+const { createJsonFile } = require('./json-file');
+
+// Motivos por los que el bot pasa la conversación al staff
+const HANDOFF_REASONS = {
+  customer: 'El cliente pidió hablar con alguien',
+  unrecognized: 'El bot no entendió varios mensajes seguidos',
+  staff: 'El staff tomó la conversación'
+};
+
+// Mensajes que se guardan por conversación (los más viejos se descartan)
+const MAX_MESSAGES = 200;
+
+function createConversationStore(options = {}) {
+  const file = options.file || path.join(process.cwd(), 'data', 'conversations.json');
+  const conversations = new Map();
+  const jsonFile = createJsonFile(file, { name: 'conversations' });
+
+  jsonFile.load([]).forEach(conversation => conversations.set(conversation.phone, conversation));
+
+  function persist() {
+    return jsonFile.save([...conversations.values()]);
+  }
+
+  function conversationFor(phone) {
+    if (!conversations.has(phone)) {
+      conversations.set(phone, {
+        phone,
+        customerName: '',
+        locationId: null,
+        unread: 0,
+        updatedAt: new Date().toISOString(),
+        handoff: null,
+        messages: []
+      });
+    }
+    return conversations.get(phone);
+  }
+
+  // Datos para la lista de la bandeja, sin el historial
+  function summary(conversation) {
+    const { messages, ...rest } = conversation;
+    return { ...rest, lastMessage: messages[messages.length - 1] || null };
+  }
+
+  function get(phone) {
+    return conversations.get(phone) || null;
+  }
+
+  // Conversaciones con el staff primero, después las más recientes
+  function list() {
+    return [...conversations.values()]
+      .sort((a, b) => Boolean(b.handoff) - Boolean(a.handoff) || b.updatedAt.localeCompare(a.updatedAt))
+      .map(summary);
+  }
+
+  // Función para guardar un mensaje en el historial del cliente
+  // message: { direction, body, author }; details: { customerName, locationId }
+  function record(phone, { direction, body, author = null }, details = {}) {
+    const conversation = conversationFor(phone);
+    const now = new Date().toISOString();
+
+    conversation.customerName = details.customerName || conversation.customerName;
+    conversation.locationId = details.locationId || conversation.locationId;
+    conversation.messages.push({ direction, body, author, at: now });
+    conversation.messages = conversation.messages.slice(-MAX_MESSAGES);
+    conversation.updatedAt = now;
+    // Solo cuentan como sin leer los mensajes que tiene que contestar el staff
+    if (direction === 'in' && conversation.handoff) {
+      conversation.unread += 1;
+    }
+
+    persist();
+    return conversation;
+  }
+
+  function isPaused(phone) {
+    const conversation = get(phone);
+    return Boolean(conversation && conversation.handoff);
+  }
+
+  // Pausa el bot para este cliente; devuelve null si ya lo atendía el staff
+  function startHandoff(phone, reason) {
+    if (!HANDOFF_REASONS[reason]) {
+      throw new Error(`Motivo de derivación desconocido: ${reason}`);
+    }
+
+    const conversation = conversationFor(phone);
+    if (conversation.handoff) return null;
+
+    conversation.handoff = { reason, requestedAt: new Date().toISOString() };
+    conversation.updatedAt = conversation.handoff.requestedAt;
+    // El mensaje que pidió la derivación queda para leer
+    if (reason !== 'staff') {
+      conversation.unread = Math.max(conversation.unread, 1);
+    }
+    persist();
+    return conversation;
+  }
+
+  // Devuelve el cliente al bot; null si no estaba con el staff
+  function endHandoff(phone) {
+    const conversation = get(phone);
+    if (!conversation || !conversation.handoff) return null;
+
+    conversation.handoff = null;
+    conversation.updatedAt = new Date().toISOString();
+    persist();
+    return conversation;
+  }
+
+  function markRead(phone) {
+    const conversation = get(phone);
+    if (conversation && conversation.unread > 0) {
+      conversation.unread = 0;
+      persist();
+    }
+    return conversation;
+  }
+
+  return {
+    get,
+    list,
+    summary,
+    record,
+    isPaused,
+    startHandoff,
+    endHandoff,
+    markRead
+  };
+}
+
+module.exports = {
+  HANDOFF_REASONS,
+  createConversationStore
+};
@@ -0,0 +1,79 @@
+// Clientes por teléfono: nombre, direcciones guardadas, cantidad de pedidos y último pedido
+//
+// Se guardan en un archivo JSON con una lista de clientes:
+//   [{ phone, name, orderCount, addresses: [{ address, latitude, longitude, lastUsed }],
+//      lastOrder: { orderId, date, deliveryType, items: [{ id, name, quantity, modifiers }] } }]
+// Las direcciones se ordenan de la más reciente a la más vieja.
+const path = require('path');
+const { normalizePhone } = require('./storage/common');
+const { createJsonFile } = require('./json-file');
+
+const MAX_ADDRESSES = 5;
+
+// Dos direcciones son la misma si solo cambian mayúsculas o espacios
+function addressKey(address) {
+  return address.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function createCustomerStore(options = {}) {
+  const file = options.file || path.join(process.cwd(), 'data', 'customers.json');
+  const customers = new Map();
+  const jsonFile = createJsonFile(file, { name: 'customers' });
+
+  jsonFile.load([]).forEach(customer => customers.set(customer.phone, customer));
+
+  function persist() {
+    return jsonFile.save([...customers.values()]);
+  }
+
+  function get(phone) {
+    return customers.get(normalizePhone(phone)) || null;
+  }
+
+  function savedAddresses(phone) {
+    const customer = get(phone);
+    return customer ? customer.addresses : [];
+  }
+
+  // Función para actualizar el cliente con un pedido confirmado
+  // coordinates: { latitude, longitude } si la dirección vino de una ubicación compartida
+  function recordOrder(phone, { name, orderId, deliveryType, address, coordinates, items }) {
+    const key = normalizePhone(phone);
+    const customer = customers.get(key) || { phone: key, name: '', orderCount: 0, addresses: [], lastOrder: null };
+    const now = new Date().toISOString();
+
+    customer.name = name || customer.name;
+    customer.orderCount += 1;
+    customer.lastOrder = {
+      orderId,
+      date: now,
+      deliveryType,
+      items: items.map(item => ({
+        id: item.id,
+        name: item.name,
+        quantity: item.quantity,
+        modifiers: item.modifiers || []
+      }))
+    };
+
+    if (deliveryType === 'delivery' && address) {
+      const others = customer.addresses.filter(saved => addressKey(saved.address) !== addressKey(address));
+      customer.addresses = [
+        { address, latitude: coordinates ? coordinates.latitude : null, longitude: coordinates ? coordinates.longitude : null, lastUsed: now },
+        ...others
+      ].slice(0, MAX_ADDRESSES);
+    }
+
+    customers.set(key, customer);
+    persist();
+    return customer;
+  }
+
+  return {
+    get,
+    savedAddresses,
+    recordOrder
+  };
+}
+
+module.exports = { createCustomerStore };
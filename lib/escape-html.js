@@ -0,0 +1,18 @@
+// Escape de texto para meterlo en HTML, compartido por el server y los paneles
+//
+// Escapa también las dos comillas para que el texto sirva dentro de cualquier
+// atributo. El server lo sirve en /js/escape-html.js; en el navegador queda
+// como window.escapeHtml.
+(function(root) {
+  const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ENTITIES[c]);
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { escapeHtml };
+  } else {
+    root.escapeHtml = escapeHtml;
+  }
+})(this);
@@ -0,0 +1,73 @@
+// Eventos de pedidos en tiempo real para el panel (Server-Sent Events)
+//
+// Tipos: order.created, order.status, order.payment, order.cancelled (el cliente
+// canceló desde WhatsApp), stock.updated (productos con stock nuevo), stock.low
+// (un producto quedó con poco stock), message.failed (un mensaje de un pedido no
+// le llegó al cliente), conversation.handoff (el bot le pasó un cliente al staff),
+// conversation.message (mensaje nuevo en una conversación atendida por el staff)
+// y conversation.released (el cliente volvió al bot). Además de enviarse a los
+// paneles conectados, se pueden escuchar dentro del server con on(type, fn).
+// Cada panel recibe solo los eventos que puede ver su rol.
+const { EventEmitter } = require('events');
+
+const HEARTBEAT_MS = 25000;
+
+// Eventos reservados a algunos roles, por prefijo del tipo; el resto le llega a todo el staff.
+// Las conversaciones con los clientes no son para la cocina.
+const EVENT_ROLES = {
+  'conversation.': ['cashier', 'admin']
+};
+
+function canReceive(type, role) {
+  const prefix = Object.keys(EVENT_ROLES).find(p => type.startsWith(p));
+  return !prefix || EVENT_ROLES[prefix].includes(role);
+}
+
+function createEventHub() {
+  const emitter = new EventEmitter();
+  // Respuesta HTTP de cada panel conectado -> rol del usuario
+  const clients = new Map();
+  let nextId = 1;
+
+  function publish(type, data) {
+    const id = nextId++;
+    const payload = `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+    clients.forEach((role, res) => {
+      if (canReceive(type, role)) res.write(payload);
+    });
+    emitter.emit(type, data);
+  }
+
+  // Conecta una respuesta HTTP como stream de eventos para un usuario con ese rol
+  function subscribe(req, res, role) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    // Comentario periódico para que proxies no corten la conexión
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    clients.set(res, role);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(res);
+    });
+  }
+
+  function on(type, listener) {
+    emitter.on(type, listener);
+  }
+
+  return {
+    publish,
+    subscribe,
+    on
+  };
+}
+
+module.exports = { createEventHub };
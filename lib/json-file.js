@@ -0,0 +1,75 @@
+// Archivo JSON de un store: lectura al iniciar y escrituras encadenadas
+//
+// Las escrituras se hacen en orden (una no pisa a la otra) y pasan por un
+// archivo .tmp que después se renombra, así un corte a mitad de escritura no
+// deja el JSON roto.
+const fs = require('fs');
+const path = require('path');
+
+// file:   ruta del archivo (la carpeta se crea al escribir)
+// name:   nombre para los mensajes de error ("sessions" -> "Error saving sessions")
+// indent: espacios de indentación del JSON (0 lo guarda en una sola línea)
+function createJsonFile(file, { name = path.basename(file), indent = 2 } = {}) {
+  let writeQueue = Promise.resolve();
+
+  async function writeNow(text) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(`${file}.tmp`, text);
+    await fs.promises.rename(`${file}.tmp`, file);
+  }
+
+  // Función para leer el archivo al iniciar el store
+  // Devuelve fallback si no existe; si no se puede leer lo registra y también devuelve fallback
+  function load(fallback) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error loading ${name}:`, error);
+      }
+      return fallback;
+    }
+  }
+
+  // Función para leer el contenido actual; devuelve fallback si no existe y lanza los demás errores
+  async function read(fallback) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return fallback;
+      throw error;
+    }
+  }
+
+  // Función para guardar el estado completo del store (se serializa en el momento)
+  // La promesa nunca se rechaza; los errores se registran
+  function save(data) {
+    const text = JSON.stringify(data, null, indent);
+    writeQueue = writeQueue.then(() => writeNow(text)).catch(error => {
+      console.error(`Error saving ${name}:`, error);
+    });
+    return writeQueue;
+  }
+
+  // Función para leer, modificar con fn(data) y guardar sin que otra escritura se meta en el medio
+  // Devuelve lo que devuelve fn; si algo falla la promesa se rechaza y el archivo queda como estaba
+  function update(fallback, fn) {
+    const result = writeQueue.then(async () => {
+      const data = await read(fallback);
+      const value = await fn(data);
+      await writeNow(JSON.stringify(data, null, indent));
+      return value;
+    });
+    writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  return {
+    load,
+    read,
+    save,
+    update
+  };
+}
+
+module.exports = { createJsonFile };
@@ -0,0 +1,157 @@
+// Ciclo de vida de los pedidos: estados, transiciones permitidas y avisos al cliente
+//
+// Es la única definición de estados del sistema: la API valida contra ella y
+// el panel la obtiene de GET /api/lifecycle para armar etiquetas y botones.
+
+const ALL_STAFF = ['cashier', 'kitchen', 'admin'];
+const CASHIER = ['cashier', 'admin'];
+
+// label:   texto para el panel
+// pending: cuenta como pedido pendiente en las estadísticas
+// final:   el pedido ya no aparece entre los activos
+// roles:   quién puede mover un pedido a este estado desde el panel
+//          (NUEVO y PAGO_RECIBIDO los maneja la revisión de pagos)
+// action:  botón del panel para pasar a este estado
+// notify:  avisa al cliente al entrar al estado con la plantilla "status.<ESTADO>"
+//          de lib/branding (true, o una función que recibe el pedido)
+const STATUSES = {
+  NUEVO: {
+    label: '🆕 Nuevo',
+    pending: true,
+    roles: []
+  },
+  PAGO_RECIBIDO: {
+    label: '💳 Pago Recibido',
+    pending: true,
+    roles: []
+  },
+  PREPARANDO: {
+    label: '👨‍🍳 Preparando',
+    pending: true,
+    roles: ALL_STAFF,
+    action: { label: '👨‍🍳 Marcar Preparando', style: 'primary' },
+    notify: true
+  },
+  LISTO: {
+    label: '✅ Listo',
+    pending: true,
+    roles: ALL_STAFF,
+    action: { label: '✅ Marcar Listo', style: 'success' },
+    // Los pedidos con delivery reciben el aviso al salir (EN_DELIVERY)
+    notify: (order) => order.deliveryType !== 'delivery'
+  },
+  EN_DELIVERY: {
+    label: '🚚 En Delivery',
+    pending: true,
+    roles: CASHIER,
+    action: { label: '🚚 Salió para Delivery', style: 'info' },
+    notify: true
+  },
+  ENTREGADO: {
+    label: '📦 Entregado',
+    roles: CASHIER,
+    action: { label: '✅ Marcar Entregado', style: 'success' },
+    notify: true
+  },
+  FINALIZADO: {
+    label: '✅ Finalizado',
+    final: true,
+    roles: CASHIER,
+    action: { label: '🏁 Finalizar Pedido', style: 'dark' },
+    notify: true
+  },
+  CANCELADO: {
+    label: '❌ Cancelado',
+    final: true,
+    roles: CASHIER,
+    notify: true
+  }
+};
+
+// Transiciones permitidas por tipo de entrega
+const TRANSITIONS = {
+  pickup: {
+    NUEVO: ['PAGO_RECIBIDO', 'PREPARANDO', 'CANCELADO'],
+    PAGO_RECIBIDO: ['NUEVO', 'PREPARANDO', 'CANCELADO'],
+    PREPARANDO: ['LISTO', 'CANCELADO'],
+    LISTO: ['ENTREGADO', 'CANCELADO'],
+    ENTREGADO: ['FINALIZADO'],
+    FINALIZADO: [],
+    CANCELADO: []
+  },
+  delivery: {
+    NUEVO: ['PAGO_RECIBIDO', 'PREPARANDO', 'CANCELADO'],
+    PAGO_RECIBIDO: ['NUEVO', 'PREPARANDO', 'CANCELADO'],
+    PREPARANDO: ['LISTO', 'CANCELADO'],
+    LISTO: ['EN_DELIVERY', 'ENTREGADO', 'CANCELADO'],
+    EN_DELIVERY: ['ENTREGADO', 'CANCELADO'],
+    ENTREGADO: ['FINALIZADO'],
+    FINALIZADO: [],
+    CANCELADO: []
+  }
+};
+
+// Estados en los que el cliente todavía puede cancelar desde WhatsApp
+const CUSTOMER_CANCELLABLE = ['NUEVO', 'PAGO_RECIBIDO'];
+
+function transitionsFor(order) {
+  return TRANSITIONS[order.deliveryType === 'delivery' ? 'delivery' : 'pickup'];
+}
+
+function isValidStatus(status) {
+  return Object.prototype.hasOwnProperty.call(STATUSES, status);
+}
+
+function canTransition(order, to) {
+  const allowed = transitionsFor(order)[order.status] || [];
+  return allowed.includes(to);
+}
+
+// Un rol del staff puede mover el pedido a `to` desde el panel
+function canSetStatus(role, to) {
+  return isValidStatus(to) && STATUSES[to].roles.includes(role);
+}
+
+// Plantilla del mensaje al cliente al entrar en `status` (o null si no se avisa)
+function customerTemplate(order, status) {
+  const definition = STATUSES[status];
+  if (!definition || !definition.notify) return null;
+  if (typeof definition.notify === 'function' && !definition.notify(order)) return null;
+  return `status.${status}`;
+}
+
+function canCustomerCancel(order) {
+  return CUSTOMER_CANCELLABLE.includes(order.status);
+}
+
+// Pedido en curso para el cliente (todavía no lo recibió)
+function isPending(status) {
+  return Boolean(STATUSES[status] && STATUSES[status].pending);
+}
+
+function isFinal(status) {
+  return Boolean(STATUSES[status] && STATUSES[status].final);
+}
+
+// Definición serializable para el panel
+function describe() {
+  const statuses = {};
+  Object.keys(STATUSES).forEach(name => {
+    const { label, pending, final, roles, action } = STATUSES[name];
+    statuses[name] = { label, pending: Boolean(pending), final: Boolean(final), roles, action: action || null };
+  });
+  return { statuses, transitions: TRANSITIONS };
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  isValidStatus,
+  canTransition,
+  canSetStatus,
+  customerTemplate,
+  canCustomerCancel,
+  isPending,
+  isFinal,
+  describe
+};
@@ -0,0 +1,109 @@
+// Menú: caché en memoria y validación de los productos que se editan desde el panel
+//
+// Cada comando "menu" y cada selección de productos necesita el menú; leerlo de
+// Google Sheets en cada mensaje es lento y gasta cuota. La caché lo guarda ttlMs
+// y, si la recarga falla, sigue usando la última copia buena.
+
+// Campos de un producto que se pueden crear o editar desde la API
+const PRODUCT_FIELDS = ['name', 'description', 'price', 'category', 'available'];
+
+function createMenuCache({ load, ttlMs = 60000 }) {
+  let menu = null;
+  let loadedAt = 0;
+  let loading = null;
+  let version = 0;
+
+  // Lee el menú de nuevo; a diferencia de get(), si falla lanza el error
+  async function reload() {
+    // Varios mensajes a la vez comparten la misma lectura
+    if (!loading) {
+      const readVersion = version;
+      const pending = load()
+        .then(fresh => {
+          // Si se invalidó mientras leía, la copia puede ser anterior al cambio:
+          // se descarta y se usa (o se lee) la copia posterior
+          if (readVersion !== version) return get();
+          menu = fresh;
+          loadedAt = Date.now();
+          return fresh;
+        })
+        .finally(() => {
+          if (loading === pending) loading = null;
+        });
+      loading = pending;
+    }
+    return loading;
+  }
+
+  async function get() {
+    if (menu && Date.now() - loadedAt < ttlMs) return menu;
+
+    try {
+      return await reload();
+    } catch (error) {
+      if (!menu) throw error;
+      console.error('Error reloading menu, using last good copy:', error.message);
+      return menu;
+    }
+  }
+
+  // Fuerza la próxima lectura (después de editar el menú o el stock)
+  function invalidate() {
+    version++;
+    loadedAt = 0;
+    loading = null;
+  }
+
+  return { get, reload, invalidate };
+}
+
+// Función para validar los datos de un producto; con partial solo valida los campos presentes
+function normalizeProduct(data, { partial = false } = {}) {
+  const product = {};
+
+  PRODUCT_FIELDS.forEach(field => {
+    if (data[field] !== undefined) product[field] = data[field];
+  });
+
+  if (!partial || product.name !== undefined) {
+    if (typeof product.name !== 'string' || !product.name.trim()) {
+      throw new Error('El producto necesita un nombre');
+    }
+    product.name = product.name.trim();
+  }
+
+  if (!partial || product.category !== undefined) {
+    if (typeof product.category !== 'string' || !product.category.trim()) {
+      throw new Error('El producto necesita una categoría');
+    }
+    product.category = product.category.trim();
+  }
+
+  if (!partial || product.price !== undefined) {
+    const price = Number(product.price);
+    if (product.price === '' || product.price === null || !Number.isFinite(price) || price < 0) {
+      throw new Error('El precio tiene que ser un número mayor o igual a 0');
+    }
+    product.price = price;
+  }
+
+  if (product.description !== undefined || !partial) {
+    product.description = String(product.description || '').trim();
+  }
+
+  if (product.available !== undefined || !partial) {
+    product.available = product.available === undefined ? true : product.available === true || product.available === 'true';
+  }
+
+  if (partial && Object.keys(product).length === 0) {
+    throw new Error(`Nada para actualizar (campos: ${PRODUCT_FIELDS.join(', ')})`);
+  }
+
+  return product;
+}
+
+module.exports = {
+  PRODUCT_FIELDS,
+  createMenuCache,
+  normalizeProduct
+};
@@ -0,0 +1,121 @@
+// Cliente mínimo de MercadoPago (Checkout Pro y notificaciones de pago)
+//
+// Usa http/https de Node directamente para poder apuntar baseUrl a un
+// servidor local de prueba en lugar de https://api.mercadopago.com.
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_BASE_URL = 'https://api.mercadopago.com';
+
+// Antigüedad máxima del ts de una notificación para no aceptar firmas repetidas
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+function createMercadoPagoClient(options = {}) {
+  const accessToken = options.accessToken;
+  const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/$/, '');
+  const webhookSecret = options.webhookSecret;
+  const signatureToleranceMs = options.signatureToleranceMs || SIGNATURE_TOLERANCE_MS;
+
+  function request(method, path, body) {
+    const url = new URL(baseUrl + path);
+    const transport = url.protocol === 'http:' ? http : https;
+    const payload = body ? JSON.stringify(body) : null;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+          ...(payload ? { 'Content-Length': Buffer.byteLength(payload) } : {})
+        },
+        timeout: 10000
+      }, res => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          let json = null;
+          try {
+            json = data ? JSON.parse(data) : null;
+          } catch (error) {
+            return reject(new Error(`MercadoPago respondió JSON inválido (${res.statusCode})`));
+          }
+
+          if (res.statusCode >= 400) {
+            const message = json && json.message ? json.message : data;
+            return reject(new Error(`MercadoPago ${method} ${path} falló (${res.statusCode}): ${message}`));
+          }
+          resolve(json);
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`MercadoPago ${method} ${path}: timeout`)));
+      req.on('error', reject);
+      if (payload) req.write(payload);
+      req.end();
+    });
+  }
+
+  function isConfigured() {
+    return Boolean(accessToken);
+  }
+
+  // Crea una preferencia de Checkout Pro para un pedido
+  // external_reference = orderId para reconocer el pedido en la notificación
+  function createPreference({ orderId, items, notificationUrl }) {
+    return request('POST', '/checkout/preferences', {
+      items: items.map(item => ({
+        id: String(item.id),
+        title: item.title,
+        quantity: item.quantity,
+        unit_price: item.unitPrice,
+        currency_id: 'ARS'
+      })),
+      external_reference: orderId,
+      ...(notificationUrl ? { notification_url: notificationUrl } : {})
+    });
+  }
+
+  function getPayment(paymentId) {
+    return request('GET', `/v1/payments/${encodeURIComponent(paymentId)}`);
+  }
+
+  // Verifica el header x-signature ("ts=...,v1=...") de una notificación.
+  // El manifiesto firmado es "id:<data.id>;request-id:<x-request-id>;ts:<ts>;"
+  // y el ts tiene que estar a pocos minutos de la hora actual.
+  function verifySignature({ signature, requestId, dataId }) {
+    if (!webhookSecret || !signature) return false;
+
+    const parts = {};
+    signature.split(',').forEach(part => {
+      const [key, value] = part.split('=').map(s => s && s.trim());
+      if (key && value) parts[key] = value;
+    });
+    if (!parts.ts || !parts.v1) return false;
+
+    // El ts puede venir en segundos o en milisegundos
+    const ts = Number(parts.ts);
+    const tsMs = ts < 1e12 ? ts * 1000 : ts;
+    if (!Number.isFinite(tsMs) || Math.abs(Date.now() - tsMs) > signatureToleranceMs) return false;
+
+    let manifest = '';
+    if (dataId) manifest += `id:${String(dataId).toLowerCase()};`;
+    if (requestId) manifest += `request-id:${requestId};`;
+    manifest += `ts:${parts.ts};`;
+
+    const expected = crypto.createHmac('sha256', webhookSecret).update(manifest).digest('hex');
+    const received = Buffer.from(parts.v1);
+    return received.length === expected.length &&
+      crypto.timingSafeEqual(received, Buffer.from(expected));
+  }
+
+  return {
+    isConfigured,
+    createPreference,
+    getPayment,
+    verifySignature
+  };
+}
+
+module.exports = { createMercadoPagoClient };
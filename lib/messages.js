@@ -0,0 +1,218 @@
+// Funciones para armar los mensajes que envía el bot
+const { cartSubtotal } = require('./cart');
+
+// Función para formatear precios argentinos
+function formatPrice(price) {
+  return new Intl.NumberFormat('es-AR', {
+    style: 'currency',
+    currency: 'ARS',
+    minimumFractionDigits: 0
+  }).format(price);
+}
+
+// Función para formatear el menú con pseudo-botones visuales
+// El título viene de la plantilla menuTitle del local
+function formatMenuWithButtons(menu, title = "🍽️ *MENÚ*") {
+  const categories = [...new Set(menu.map(item => item.category))];
+  let message = `${title}\n\n`;
+  
+  categories.forEach(category => {
+    message += `📋 *${category}*\n\n`;
+    
+    menu.filter(item => item.category === category).forEach(item => {
+      message += `┌─ ${item.id}️⃣ ${item.name} ─┐\n`;
+      message += item.outOfStock ? "│ 🚫 Sin stock │\n" : `│ ${formatPrice(item.price)} │\n`;
+      if (item.description) {
+        message += `│ _${item.description}_ │\n`;
+      }
+      message += `└──────────────┘\n\n`;
+    });
+  });
+  
+  message += "*⚡ CÓMO PEDIR:*\n";
+  message += "• Un producto: *1*\n";
+  message += "• Varios: *1,2,3*\n";
+  message += "• Con cantidad: *3x2* (tres del 2)\n";
+  message += "• Ver carrito: *carrito*\n";
+  message += "• Ver tus pedidos: *estado*\n";
+  message += "• Repetir tu último pedido: *repetir*\n";
+  message += "• Finalizar: *finalizar*";
+  
+  return message;
+}
+
+// WhatsApp muestra hasta 10 filas en una lista interactiva
+const MAX_LIST_ITEMS = 10;
+
+// Función para armar la lista interactiva del menú
+// Con pocos productos se elige el producto directo; si no, primero la categoría
+function menuOptions(menu) {
+  const products = menu.filter(item => !item.outOfStock);
+  const categories = [...new Set(products.map(item => item.category))];
+
+  if (products.length === 0) return null;
+
+  if (products.length <= MAX_LIST_ITEMS || categories.length === 1) {
+    return {
+      type: 'list',
+      button: 'Ver productos',
+      prompt: '👇 Elegí un producto para agregarlo al carrito',
+      listItems: products.slice(0, MAX_LIST_ITEMS).map(item => ({
+        id: String(item.id),
+        title: item.name,
+        description: formatPrice(item.price)
+      }))
+    };
+  }
+
+  return {
+    type: 'list',
+    button: 'Ver categorías',
+    prompt: '👇 Elegí una categoría para ver sus productos',
+    listItems: categories.slice(0, MAX_LIST_ITEMS).map(category => {
+      const count = products.filter(item => item.category === category).length;
+      return {
+        id: `menu ${category.toLowerCase()}`,
+        title: category,
+        description: `${count} ${count === 1 ? 'producto' : 'productos'}`
+      };
+    })
+  };
+}
+
+// Función para listar las opciones elegidas de un producto ("Grande, Extra queso")
+function formatModifiers(item) {
+  return (item.modifiers || []).map(modifier => modifier.name).join(', ');
+}
+
+// Función para pedir las opciones de un grupo de modificadores
+function formatOptionGroup(productName, group) {
+  const max = group.max || 1;
+  let message = `⚙️ *${productName}* - ${group.name}`;
+  message += group.required ? " (obligatorio)\n\n" : " (opcional)\n\n";
+  
+  group.options.forEach((option, index) => {
+    message += `${index + 1}. ${option.name}`;
+    if (option.priceDelta) {
+      message += ` (+${formatPrice(option.priceDelta)})`;
+    }
+    message += "\n";
+  });
+  
+  message += "\n";
+  message += max === 1 ?
+    "Enviá el número de tu elección." :
+    `Enviá hasta ${max} números separados por comas (ej: 1,2).`;
+  if (!group.required) {
+    message += "\nEnviá *no* para seguir sin agregar nada.";
+  }
+  
+  return message;
+}
+
+// Función para formatear el carrito mejorada - SIEMPRE muestra contenido
+// quote (opcional): cotización de lib/pricing con descuentos, envío y total
+function formatCart(cart, showOptions = true, quote = null) {
+  let message = "🛒 *TU CARRITO*\n\n";
+  
+  if (!cart || cart.length === 0) {
+    message += "Carrito vacío\n\n";
+  } else {
+    cart.forEach((item, index) => {
+      const subtotal = item.price * item.quantity;
+      message += `${index + 1}. ${item.name}\n`;
+      if (item.modifiers && item.modifiers.length > 0) {
+        message += `   ➕ ${formatModifiers(item)}\n`;
+      }
+      message += `   Cantidad: ${item.quantity} x ${formatPrice(item.price)} = ${formatPrice(subtotal)}\n\n`;
+    });
+  }
+  
+  // Sin cotización (lib/pricing) el total es la suma de las líneas
+  const total = quote ? quote.total : cartSubtotal(cart || []);
+  
+  if (quote && (quote.discounts.length > 0 || quote.deliveryZone)) {
+    message += `🧾 Subtotal: ${formatPrice(quote.subtotal)}\n`;
+    quote.discounts.forEach(discount => {
+      message += `🏷️ ${discount.label}: -${formatPrice(discount.amount)}\n`;
+    });
+    if (quote.deliveryZone) {
+      message += `🚚 Envío (${quote.deliveryZone}): ${quote.deliveryFee ? formatPrice(quote.deliveryFee) : 'sin cargo'}\n`;
+    }
+  }
+  
+  message += `💰 *TOTAL: ${formatPrice(total)}*\n\n`;
+  
+  if (showOptions) {
+    message += "*Opciones disponibles:*\n";
+    message += "• Enviá un número para agregar productos\n";
+    message += "• Enviá varios números separados por comas (ej: 1,2,3)\n";
+    message += "• Cantidad y número para varias unidades (ej: 3x2)\n";
+    if (cart.length > 0) {
+      message += "• *quitar 2* - Sacar el producto 2 del carrito\n";
+      message += "• *cambiar 2 a 4* - Cambiar la cantidad del producto 2\n";
+      message += "• *-1* - Restar una unidad del producto 1\n";
+      message += "• *nota sin cebolla* - Agregar una nota para la cocina\n";
+      message += "• *finalizar* - Completar pedido\n";
+      message += "• *limpiar* - Vaciar carrito\n";
+      message += "• *cupon CODIGO* - Usar un cupón de descuento\n";
+    }
+    message += "• *menu* - Ver menú completo";
+  }
+  
+  return message;
+}
+
+// Función para listar las zonas de delivery con su costo y mínimo
+function formatZones(zones) {
+  let message = "🗺️ *Zonas de delivery:*\n";
+  
+  zones.forEach(zone => {
+    message += `• *${zone.name}*`;
+    if (zone.neighborhoods.length > 0) {
+      message += ` (${zone.neighborhoods.join(', ')})`;
+    }
+    message += ` - envío ${zone.fee ? formatPrice(zone.fee) : 'sin cargo'}`;
+    if (zone.minimum) {
+      message += `, mínimo ${formatPrice(zone.minimum)}`;
+    }
+    message += "\n";
+  });
+  
+  return message.trim();
+}
+
+// Función para listar los pedidos en curso del cliente con estado y demora
+// orders: [{ order, statusLabel, eta }]
+function formatOrderStatus(orders) {
+  if (orders.length === 0) {
+    return "📭 No tenés pedidos en curso.\n\nEnviá *menu* para hacer un nuevo pedido.";
+  }
+  
+  let message = orders.length === 1 ? "📋 *TU PEDIDO*\n\n" : "📋 *TUS PEDIDOS*\n\n";
+  
+  orders.forEach(({ order, statusLabel, eta, cancellable }) => {
+    message += `🧾 *Pedido #${order.orderId.slice(-6)}* - ${formatPrice(order.total)}\n`;
+    message += `📌 Estado: ${statusLabel}\n`;
+    if (eta) {
+      message += `⏱️ Tiempo estimado: ${eta}\n`;
+    }
+    if (cancellable) {
+      message += `❌ Para cancelarlo enviá *cancelar pedido #${order.orderId.slice(-6)}*\n`;
+    }
+    message += "\n";
+  });
+  
+  return message.trim();
+}
+
+module.exports = {
+  formatPrice,
+  formatMenuWithButtons,
+  formatModifiers,
+  formatOptionGroup,
+  formatCart,
+  formatZones,
+  formatOrderStatus,
+  menuOptions
+};
@@ -0,0 +1,994 @@
+// Flujo de conversación para tomar pedidos por WhatsApp
+//
+// Define los estados del bot sobre la máquina de estados de lib/state-machine.
+// Las dependencias (menú, guardado de pedidos, pagos) se inyectan para poder
+// probar cada transición sin Twilio ni Google Sheets. Los textos propios de cada
+// local (bienvenida, alias, etc.) se arman con ctx.t(clave, marcadores).
+const { createStateMachine, matchInput } = require('./state-machine');
+const { formatPrice, formatMenuWithButtons, formatModifiers, formatOptionGroup, formatCart, formatZones, formatOrderStatus, menuOptions } = require('./messages');
+const { parseSelection, parseOptionChoice, addProduct, removeLine, setLineQuantity, decrementLine, cartSubtotal } = require('./cart');
+const lifecycle = require('./lifecycle');
+
+// Estados del bot
+const STATES = {
+  MAIN_MENU: 'main_menu',
+  BROWSING_PRODUCTS: 'browsing_products',
+  CHOOSING_OPTIONS: 'choosing_options',
+  CART_REVIEW: 'cart_review',
+  DELIVERY_INFO: 'delivery_info',
+  DELIVERY_ADDRESS: 'delivery_address',
+  PAYMENT_METHOD: 'payment_method',
+  PAYMENT_CONFIRMATION: 'payment_confirmation',
+  CONFIRMING_ORDER: 'confirming_order',
+  SCHEDULING: 'scheduling'
+};
+
+// Largo máximo de la nota para la cocina
+const MAX_NOTE_LENGTH = 200;
+
+// Mensajes seguidos sin entender antes de pasarle la conversación al staff
+const MAX_UNRECOGNIZED = 3;
+
+// Saludos: reciben la bienvenida pero no cuentan como mensajes sin entender
+const GREETING = /^(hola|holis|buenas|buen d[ií]a|buenos d[ií]as|buenas tardes|buenas noches|hey|hi)\b/;
+
+// Botones para elegir el medio de pago (el ID es lo que escribiría el cliente)
+const PAYMENT_OPTIONS = {
+  type: 'buttons',
+  buttons: [{ id: '1', title: '💵 Efectivo' }, { id: '2', title: '💳 MercadoPago' }]
+};
+
+// Función para limpiar carrito y datos de entrega después de confirmar un pedido
+function resetCheckout(session) {
+  session.cart = [];
+  session.deliveryType = null;
+  session.address = null;
+  session.deliveryZone = null;
+  session.scheduledFor = null;
+  session.slotOptions = [];
+  session.pendingItems = [];
+  session.couponCode = null;
+  session.notes = '';
+  session.addressCoordinates = null;
+  session.addressOptions = [];
+}
+
+// Opciones elegidas en un pedido anterior con los precios actuales del producto
+// Devuelve null si alguna opción ya no existe o falta un grupo obligatorio
+function currentModifiers(product, modifiers) {
+  const groups = product.modifierGroups || [];
+  const current = [];
+
+  for (const modifier of modifiers) {
+    const group = groups.find(g => g.name === modifier.group);
+    const option = group && group.options.find(o => o.name === modifier.name);
+    if (!option) return null;
+    current.push({ group: group.name, name: option.name, priceDelta: option.priceDelta || 0 });
+  }
+
+  const missingRequired = groups.some(group => group.required && !current.some(m => m.group === group.name));
+  return missingRequired ? null : current;
+}
+
+function isImage(ctx) {
+  return Boolean(ctx.media && ctx.media.url && ctx.media.contentType &&
+    ctx.media.contentType.startsWith('image/'));
+}
+
+// Demora estimada de un pedido según su estado y los tiempos del local (o de su zona)
+// scheduledLabel: horario del turno si el pedido es programado
+function estimatedTime(order, location, zone, scheduledLabel) {
+  if (scheduledLabel && ['NUEVO', 'PAGO_RECIBIDO', 'PREPARANDO'].includes(order.status)) {
+    return `programado para ${scheduledLabel}`;
+  }
+  if (order.status === 'LISTO') {
+    return order.deliveryType === 'delivery' ? location.etaOnTheWay : null;
+  }
+  if (order.status === 'EN_DELIVERY') return location.etaOnTheWay;
+  if (order.deliveryType !== 'delivery') return location.etaPickup;
+  return (zone && zone.eta) || location.etaDelivery;
+}
+
+function createOrderFlow({ getMenu, processOrder, attachReceipt, generateMercadoPagoLink, getOpenOrders, cancelCustomerOrder, getLocation, zones, schedule, getSlots, pricing, validateCoupon, customers, requestHandoff }) {
+  // Total del carrito con promociones, cupón y envío de la conversación
+  function quoteFor(ctx) {
+    const { session } = ctx;
+    return pricing.quote({
+      cart: session.cart,
+      deliveryZone: session.deliveryZone,
+      couponCode: session.couponCode,
+      locationId: ctx.location.id
+    });
+  }
+
+  // Selección de productos por número (1 o 1,2,3 o 1 2 3) con cantidad opcional (3x2)
+  const productSelection = {
+    match: (ctx) => parseSelection(ctx.message),
+    handle: async (ctx, selection) => {
+      const { session } = ctx;
+      const { cart } = session;
+      const menu = await getMenu();
+
+      // Los productos con modificadores quedan pendientes hasta elegir opciones
+      session.pendingItems = [];
+
+      let addedProducts = [];
+      let notFoundProducts = [];
+      let outOfStockProducts = [];
+      let errors = [];
+
+      // Unidades de un producto que ya están en el carrito o esperando opciones
+      const unitsTaken = (productId) =>
+        cart.filter(item => item.id === productId).reduce((sum, item) => sum + item.quantity, 0) +
+        session.pendingItems.filter(p => p.product.id === productId).reduce((sum, p) => sum + p.quantity, 0);
+
+      selection.forEach(({ productId, quantity }) => {
+        const product = menu.find(item => parseInt(item.id) === productId);
+
+        if (!product) {
+          notFoundProducts.push(productId.toString());
+          return;
+        }
+
+        if (product.outOfStock) {
+          outOfStockProducts.push(product.name);
+          return;
+        }
+
+        if (product.stock !== null && product.stock !== undefined && unitsTaken(product.id) + quantity > product.stock) {
+          errors.push(`Solo quedan ${product.stock} unidades de ${product.name}`);
+          return;
+        }
+
+        if (product.modifierGroups && product.modifierGroups.length > 0) {
+          session.pendingItems.push({ product, quantity, groupIndex: 0, modifiers: [] });
+          return;
+        }
+
+        const error = addProduct(cart, product, quantity);
+        if (error) {
+          errors.push(error);
+        } else {
+          addedProducts.push(quantity > 1 ? `${product.name} x${quantity}` : product.name);
+        }
+      });
+
+      let responseMessage = "";
+
+      if (addedProducts.length > 0) {
+        responseMessage += "✅ *Productos agregados:*\n";
+        addedProducts.forEach(name => {
+          responseMessage += `• ${name}\n`;
+        });
+        responseMessage += "\n";
+      }
+
+      if (notFoundProducts.length > 0) {
+        responseMessage += "❌ *Productos no encontrados:* " + notFoundProducts.join(", ") + "\n\n";
+      }
+
+      if (outOfStockProducts.length > 0) {
+        responseMessage += "🚫 *Sin stock:* " + outOfStockProducts.join(", ") + "\n\n";
+      }
+
+      errors.forEach(error => {
+        responseMessage += `❌ ${error}\n\n`;
+      });
+
+      if (session.pendingItems.length > 0) {
+        if (responseMessage) {
+          await ctx.reply(responseMessage.trim());
+        }
+        return STATES.CHOOSING_OPTIONS;
+      }
+
+      // SIEMPRE mostrar carrito actualizado
+      responseMessage += formatCart(cart, true, quoteFor(ctx));
+
+      await ctx.reply(responseMessage);
+      return STATES.BROWSING_PRODUCTS;
+    }
+  };
+
+  // Elección de opciones del producto pendiente, un grupo por mensaje
+  const optionChoice = {
+    match: (ctx) => ctx.message.length > 0 && (ctx.session.pendingItems || []).length > 0,
+    handle: async (ctx) => {
+      const { session } = ctx;
+      const pending = session.pendingItems[0];
+      const group = pending.product.modifierGroups[pending.groupIndex];
+      const { error, modifiers } = parseOptionChoice(group, ctx.message);
+
+      if (error) {
+        await ctx.reply(`❌ ${error}.`);
+        return STATES.CHOOSING_OPTIONS;
+      }
+
+      pending.modifiers.push(...modifiers);
+      pending.groupIndex += 1;
+
+      if (pending.groupIndex < pending.product.modifierGroups.length) {
+        return STATES.CHOOSING_OPTIONS;
+      }
+
+      // Todas las opciones elegidas: agregar al carrito
+      session.pendingItems.shift();
+      const addError = addProduct(session.cart, pending.product, pending.quantity, pending.modifiers);
+      const label = pending.modifiers.length > 0 ?
+        `${pending.product.name} (${formatModifiers(pending)})` :
+        pending.product.name;
+
+      await ctx.reply(addError ?
+        `❌ ${addError}.` :
+        `✅ *Agregado:* ${label}${pending.quantity > 1 ? ` x${pending.quantity}` : ''}`);
+
+      if (session.pendingItems.length > 0) {
+        return STATES.CHOOSING_OPTIONS;
+      }
+
+      await ctx.reply(formatCart(session.cart, true, quoteFor(ctx)));
+      return STATES.BROWSING_PRODUCTS;
+    }
+  };
+
+  // Responder el resultado de una edición del carrito
+  async function replyCartEdit(ctx, error, successMessage) {
+    const prefix = error ? `❌ ${error}.` : `✅ ${successMessage}`;
+    await ctx.reply(prefix + "\n\n" + formatCart(ctx.session.cart, true, quoteFor(ctx)));
+    return STATES.BROWSING_PRODUCTS;
+  }
+
+  // Edición del carrito por posición: quitar 2, cambiar 2 a 4, -1
+  const cartEditing = [
+    {
+      match: /^(?:quitar|sacar|borrar)\s+(\d+)$/,
+      handle: (ctx, match) => {
+        const position = parseInt(match[1], 10);
+        const item = ctx.session.cart[position - 1];
+        const error = removeLine(ctx.session.cart, position);
+        return replyCartEdit(ctx, error, item && `Quitamos ${item.name} del carrito.`);
+      }
+    },
+    {
+      match: /^cambiar\s+(\d+)\s+a\s+(\d+)$/,
+      handle: (ctx, match) => {
+        const position = parseInt(match[1], 10);
+        const quantity = parseInt(match[2], 10);
+        const item = ctx.session.cart[position - 1];
+        const error = setLineQuantity(ctx.session.cart, position, quantity);
+        return replyCartEdit(ctx, error, item && (quantity === 0 ?
+          `Quitamos ${item.name} del carrito.` :
+          `${item.name}: ahora son ${quantity}.`));
+      }
+    },
+    {
+      match: /^-\s*(\d+)$/,
+      handle: (ctx, match) => {
+        const position = parseInt(match[1], 10);
+        const item = ctx.session.cart[position - 1];
+        const error = decrementLine(ctx.session.cart, position);
+        return replyCartEdit(ctx, error, item && `Restamos una unidad de ${item.name}.`);
+      }
+    }
+  ];
+
+  // Pedidos en curso del cliente con estado y demora
+  const orderStatusCommand = {
+    match: ['estado', 'mis pedidos'],
+    handle: async (ctx) => {
+      const orders = await getOpenOrders(ctx.phone);
+      await ctx.reply(formatOrderStatus(orders.map(order => ({
+        order,
+        statusLabel: lifecycle.STATUSES[order.status] ? lifecycle.STATUSES[order.status].label : order.status,
+        eta: estimatedTime(order, getLocation(order.locationId),
+          zones.list().find(zone => zone.name === order.deliveryZone),
+          order.scheduledFor ? schedule.formatSlot(order.scheduledFor, order.locationId) : null),
+        cancellable: lifecycle.canCustomerCancel(order)
+      }))));
+    }
+  };
+
+  // Cancelar un pedido ya confirmado por su número corto: cancelar pedido #123456
+  const cancelOrderCommand = {
+    match: /^cancelar\s+(?:el\s+)?pedido\s*#?\s*(\d{6})$/,
+    handle: async (ctx, match) => {
+      const result = await cancelCustomerOrder(ctx.phone, match[1]);
+
+      if (result.error === 'NOT_FOUND') {
+        await ctx.reply(`❌ No encontramos el pedido #${match[1]}.\n\nEnviá *estado* para ver tus pedidos en curso.`);
+        return;
+      }
+
+      const shortId = result.order.orderId.slice(-6);
+      if (result.error === 'NOT_CANCELLABLE') {
+        const label = lifecycle.STATUSES[result.order.status] ? lifecycle.STATUSES[result.order.status].label : result.order.status;
+        await ctx.reply(
+          `😔 El pedido #${shortId} ya no se puede cancelar (estado: ${label}).\n` +
+          "Si necesitás ayuda, escribinos y lo vemos."
+        );
+        return;
+      }
+
+      // Si estaba esperando el comprobante de este pedido, ya no hace falta
+      if (ctx.session.pendingOrderId === result.order.orderId) {
+        ctx.session.pendingOrderId = null;
+      }
+
+      await ctx.reply(
+        `❌ *Pedido #${shortId} cancelado*\n\n` +
+        "Avisamos al local.\n" +
+        "Enviá *menu* cuando quieras hacer un nuevo pedido."
+      );
+      return STATES.MAIN_MENU;
+    }
+  };
+
+  // Cupón de descuento: "cupon BIENVENIDA" lo aplica y "quitar cupon" lo saca
+  const couponCommand = {
+    match: /^(?:quitar\s+cup[oó]n|cup[oó]n\s+([a-z0-9-]+))$/,
+    handle: async (ctx, match) => {
+      const { session } = ctx;
+
+      if (!match[1]) {
+        session.couponCode = null;
+        await ctx.reply("🎟️ Sacamos el cupón de tu pedido.\n\n" + formatCart(session.cart, true, quoteFor(ctx)));
+        return;
+      }
+
+      const result = await validateCoupon(ctx.phone, match[1], { cart: session.cart, locationId: ctx.location.id });
+      if (result.error) {
+        await ctx.reply(`❌ ${result.error}`);
+        return;
+      }
+
+      session.couponCode = result.coupon.code;
+      await ctx.reply(`🎟️ *Cupón ${result.coupon.code} aplicado*\n\n` + formatCart(session.cart, true, quoteFor(ctx)));
+    }
+  };
+
+  // Nota para la cocina: "nota sin cebolla" la guarda y "quitar nota" la borra
+  const noteCommand = {
+    match: /^(?:quitar\s+nota|nota\s+(.+))$/s,
+    handle: async (ctx, match) => {
+      const { session } = ctx;
+
+      if (!match[1]) {
+        session.notes = '';
+        await ctx.reply("📝 Sacamos la nota de tu pedido.");
+        return;
+      }
+
+      // Se guarda el texto como lo escribió el cliente, no en minúsculas
+      const note = ctx.body.trim().replace(/^nota\s+/i, '').trim();
+      if (note.length > MAX_NOTE_LENGTH) {
+        await ctx.reply(`❌ La nota puede tener hasta ${MAX_NOTE_LENGTH} caracteres.`);
+        return;
+      }
+
+      session.notes = note;
+      await ctx.reply(`📝 *Nota para la cocina:* ${note}
+
+Enviá *quitar nota* para borrarla.`);
+    }
+  };
+
+  // "hablar con alguien" pausa el bot y deja la conversación en la bandeja del panel
+  const handoffCommand = {
+    match: /^(?:quiero\s+)?(?:hablar\s+con\s+(?:alguien|una\s+persona|un\s+humano|un\s+asesor)|humano|operador|asesor)$/,
+    handle: async (ctx) => {
+      ctx.session.unrecognized = 0;
+      await requestHandoff(ctx, 'customer');
+      await ctx.reply(ctx.t('handoff'));
+    }
+  };
+
+  // Vuelve a armar el carrito con el último pedido del cliente, con los precios
+  // y la disponibilidad de hoy
+  const repeatCommand = {
+    match: ['repetir', 'repetir pedido', 'repetir ultimo pedido', 'repetir último pedido'],
+    handle: async (ctx) => {
+      const customer = customers.get(ctx.phone);
+      if (!customer || !customer.lastOrder) {
+        await ctx.reply("Todavía no tenés pedidos para repetir. Enviá *menu* para ver nuestros productos.");
+        return;
+      }
+
+      const menu = await getMenu();
+      const cart = [];
+      const unavailable = [];
+
+      customer.lastOrder.items.forEach(item => {
+        const product = menu.find(p => p.id === item.id);
+        const modifiers = product && product.available ? currentModifiers(product, item.modifiers) : null;
+        const outOfStock = product && product.stock !== null && product.stock !== undefined && product.stock < item.quantity;
+
+        if (!modifiers || outOfStock || addProduct(cart, product, item.quantity, modifiers)) {
+          unavailable.push(item.name);
+        }
+      });
+
+      if (cart.length === 0) {
+        await ctx.reply("😔 Ninguno de los productos de tu último pedido está disponible hoy.\n\nEnviá *menu* para ver lo que tenemos.");
+        return;
+      }
+
+      ctx.session.cart = cart;
+      ctx.session.pendingItems = [];
+
+      let repeatMessage = "🔁 *Armamos tu carrito con tu último pedido*\n\n";
+      if (unavailable.length > 0) {
+        repeatMessage += `⚠️ *No disponibles hoy:* ${unavailable.join(', ')}\n\n`;
+      }
+      repeatMessage += formatCart(cart, true, quoteFor(ctx));
+      await ctx.reply(repeatMessage);
+      return STATES.BROWSING_PRODUCTS;
+    }
+  };
+
+  // Programar el pedido para un turno futuro
+  const scheduleCommand = {
+    match: 'programar',
+    handle: (ctx) => offerSlots(ctx)
+  };
+
+  // Muestra los turnos con lugar y pasa a elegir uno
+  async function offerSlots(ctx, intro = '') {
+    const locationId = ctx.location.id;
+
+    if (!schedule.isSchedulingEnabled(locationId)) {
+      await ctx.reply(intro + "📅 Por ahora no tomamos pedidos programados.");
+      return;
+    }
+
+    const slots = await getSlots(locationId);
+    if (slots.length === 0) {
+      await ctx.reply(intro + "📅 No quedan horarios disponibles para programar. ¡Probá más tarde!");
+      return;
+    }
+
+    ctx.session.slotOptions = slots;
+    if (intro) {
+      await ctx.reply(intro.trim());
+    }
+    return STATES.SCHEDULING;
+  }
+
+  // Con el local cerrado solo se aceptan consultas, comprobantes y pedidos programados
+  const afterHoursCommands = [orderStatusCommand, cancelOrderCommand, scheduleCommand, handoffCommand];
+
+  const closedGuard = {
+    match: (ctx) => {
+      const { session } = ctx;
+      if (schedule.isOpen(ctx.location.id) || session.scheduledFor) return false;
+      if (session.state === STATES.SCHEDULING) return false;
+      if (session.state === STATES.PAYMENT_CONFIRMATION && isImage(ctx)) return false;
+      return !afterHoursCommands.some(command => matchInput(command.match, ctx));
+    },
+    handle: async (ctx) => {
+      const locationId = ctx.location.id;
+      const reason = schedule.closureReason(locationId);
+      let closedMessage = ctx.t('closed', { nextOpening: schedule.nextOpening(locationId) || 'pronto' });
+
+      if (reason) {
+        closedMessage += `\n📌 Hoy: ${reason}`;
+      }
+      if (schedule.isSchedulingEnabled(locationId)) {
+        closedMessage += "\n\n📅 Podés dejar tu pedido programado para cuando abramos: enviá *programar*.";
+      }
+      closedMessage += "\n\nPara consultar un pedido enviá *estado*.";
+
+      await ctx.reply(closedMessage);
+    }
+  };
+
+  // Comandos disponibles en cualquier estado
+  const globalCommands = [
+    {
+      // "menu bebidas" muestra solo esa categoría (es lo que envía la lista de categorías)
+      match: /^men[uú](?:\s+(.+))?$/,
+      handle: async (ctx, match) => {
+        const fullMenu = await getMenu();
+        const category = match[1] && match[1].trim();
+        const categoryMenu = category ?
+          fullMenu.filter(item => item.category.toLowerCase() === category) :
+          [];
+        const menu = categoryMenu.length > 0 ? categoryMenu : fullMenu;
+        let fullMessage = formatMenuWithButtons(menu, ctx.t('menuTitle')) + "\n\n";
+
+        // SIEMPRE mostrar estado del carrito
+        fullMessage += formatCart(ctx.session.cart, true, quoteFor(ctx));
+
+        await ctx.reply(fullMessage, menuOptions(menu));
+        return STATES.BROWSING_PRODUCTS;
+      }
+    },
+    {
+      match: 'carrito',
+      handle: async (ctx) => {
+        await ctx.reply(formatCart(ctx.session.cart, true, quoteFor(ctx)));
+      }
+    },
+    {
+      match: 'limpiar',
+      handle: async (ctx) => {
+        ctx.session.cart = [];
+        ctx.session.pendingItems = [];
+        await ctx.reply("🗑️ Carrito vaciado.\n\n" + formatCart([], true));
+        return STATES.MAIN_MENU;
+      }
+    },
+    {
+      match: 'cancelar',
+      handle: async (ctx) => {
+        // Usuario quiere cancelar su pedido actual
+        if (ctx.session.cart.length === 0) {
+          await ctx.reply(
+            "No tenés ningún carrito activo para cancelar.\n" +
+            "Para cancelar un pedido ya confirmado enviá *cancelar pedido #123456* " +
+            "(lo ves con *estado*).\n" +
+            "Enviá *menu* para empezar un nuevo pedido."
+          );
+          return;
+        }
+
+        resetCheckout(ctx.session);
+        await ctx.reply(
+          "❌ *Pedido cancelado*\n\n" +
+          "Tu carrito ha sido vaciado.\n" +
+          "Enviá *menu* cuando quieras hacer un nuevo pedido."
+        );
+        return STATES.MAIN_MENU;
+      }
+    },
+    orderStatusCommand,
+    cancelOrderCommand,
+    scheduleCommand,
+    couponCommand,
+    noteCommand,
+    handoffCommand,
+    repeatCommand,
+    {
+      match: 'finalizar',
+      handle: async (ctx) => {
+        if (ctx.session.cart.length === 0) {
+          await ctx.reply("Tu carrito está vacío. Enviá *menu* para agregar productos.");
+          return;
+        }
+
+        ctx.session.deliveryType = null;
+        ctx.session.address = null;
+        ctx.session.deliveryZone = null;
+        return STATES.DELIVERY_INFO;
+      }
+    }
+  ];
+
+  // Guarda la dirección si está dentro de una zona de delivery del local y
+  // el carrito llega al mínimo de la zona
+  // coordinates: { latitude, longitude } si el cliente compartió su ubicación
+  async function acceptAddress(ctx, address, zone, coordinates = null) {
+    const { session } = ctx;
+
+    if (zones.isEnabled(ctx.location.id)) {
+      if (!zone) {
+        await ctx.reply(
+          "❌ *No llegamos a esa dirección*\n\n" +
+          formatZones(zones.forLocation(ctx.location.id)) + "\n\n" +
+          "Si estás dentro de la zona, incluí el barrio en la dirección o compartí tu ubicación 📎.\n" +
+          "También podés enviar *menu* y elegir retiro en local."
+        );
+        return;
+      }
+
+      const subtotal = cartSubtotal(session.cart);
+      if (subtotal < zone.minimum) {
+        await ctx.reply(
+          `⚠️ El pedido mínimo para delivery en *${zone.name}* es ${formatPrice(zone.minimum)}.\n` +
+          `Tu carrito suma ${formatPrice(subtotal)}.\n\n` +
+          "Agregá productos con su número y volvé a enviar *finalizar*."
+        );
+        return STATES.BROWSING_PRODUCTS;
+      }
+    }
+
+    session.address = address;
+    session.addressCoordinates = coordinates;
+    session.addressOptions = [];
+    session.deliveryZone = zone ?
+      { id: zone.id, name: zone.name, fee: zone.fee, eta: zone.eta } :
+      null;
+    return STATES.PAYMENT_METHOD;
+  }
+
+  // Pago con el método elegido; MercadoPago queda esperando el comprobante
+  async function payWith(ctx, paymentMethod) {
+    const { session, phone, customerName } = ctx;
+    const { cart } = session;
+
+    // El turno elegido pudo haberse llenado o vencido mientras armaba el pedido
+    if (session.scheduledFor) {
+      const slots = await getSlots(ctx.location.id);
+      if (!slots.some(slot => slot.at === session.scheduledFor)) {
+        session.scheduledFor = null;
+        return offerSlots(ctx, "⚠️ El horario que elegiste ya no está disponible. Elegí otro:\n\n");
+      }
+    }
+
+    const order = {
+      phone,
+      customerName,
+      cart,
+      deliveryType: session.deliveryType || 'pickup',
+      address: session.address || '',
+      deliveryZone: session.deliveryZone || null,
+      addressCoordinates: session.addressCoordinates || null,
+      scheduledFor: session.scheduledFor || null,
+      couponCode: session.couponCode || null,
+      notes: session.notes || '',
+      locationId: ctx.location.id
+    };
+
+    const orderId = Date.now().toString();
+    const result = await processOrder({ ...order, paymentMethod, orderId });
+
+    // Otro cliente pudo haberse llevado las últimas unidades mientras armaba el pedido
+    if (result.error === 'OUT_OF_STOCK') {
+      let stockMessage = "😔 *Nos quedamos sin stock mientras armabas tu pedido:*\n";
+      result.shortages.forEach(shortage => {
+        stockMessage += shortage.stock > 0 ?
+          `• ${shortage.name}: quedan ${shortage.stock}\n` :
+          `• ${shortage.name}: sin stock\n`;
+      });
+      stockMessage += "\nAjustá tu carrito (*carrito*) y volvé a *finalizar*.";
+      await ctx.reply(stockMessage);
+      return STATES.BROWSING_PRODUCTS;
+    }
+
+    // El cupón pudo haber vencido o llegado a su límite de usos
+    if (result.error === 'COUPON_INVALID') {
+      session.couponCode = null;
+      await ctx.reply(
+        `⚠️ ${result.message}\n\n` +
+        "Lo sacamos de tu pedido. Enviá *finalizar* para confirmarlo sin el cupón.\n\n" +
+        formatCart(cart, false, quoteFor(ctx))
+      );
+      return STATES.BROWSING_PRODUCTS;
+    }
+
+    // El carrito queda como estaba para que pueda volver a elegir el medio de pago
+    if (result.error === 'SAVE_FAILED' || result.error === 'STOCK_UNAVAILABLE') {
+      await ctx.reply(
+        "❌ *No pudimos registrar tu pedido*\n\n" +
+        "Tuvimos un problema de nuestro lado. Tu carrito sigue guardado: " +
+        "probá de nuevo en unos minutos eligiendo el medio de pago."
+      );
+      return;
+    }
+
+    if (paymentMethod === 'efectivo') {
+      resetCheckout(session);
+      return STATES.MAIN_MENU;
+    }
+
+    const { quote } = result;
+    const total = quote.total;
+
+    // Generar link de MercadoPago (Checkout Pro)
+    const mpLink = await generateMercadoPagoLink(orderId, cart, quote);
+
+    let mpMessage = "💳 *PAGAR CON MERCADOPAGO*\n\n";
+    mpMessage += formatCart(cart, false, quote) + "\n\n";
+    mpMessage += `💰 *Total a pagar: ${formatPrice(total)}*\n\n`;
+    if (mpLink) {
+      mpMessage += "🔗 *OPCIÓN 1 - Link de pago:*\n";
+      mpMessage += `${mpLink}\n`;
+      mpMessage += "_Si pagás con el link, te confirmamos automáticamente._\n\n";
+      mpMessage += "💰 *OPCIÓN 2 - Transferencia:*\n";
+    } else {
+      mpMessage += "💰 *Transferencia:*\n";
+    }
+    mpMessage += ctx.t('transferInstructions', { total: formatPrice(total), orderShortId: orderId.slice(-6) }) + "\n\n";
+    mpMessage += "📸 *Si pagás por transferencia, enviá una foto del comprobante.*\n\n";
+    mpMessage += "Una vez que recibamos el comprobante, procesaremos tu pedido.";
+
+    await ctx.reply(mpMessage);
+    resetCheckout(session);
+    session.pendingOrderId = orderId;
+    return STATES.PAYMENT_CONFIRMATION;
+  }
+
+  const states = {
+    [STATES.MAIN_MENU]: {
+      inputs: [productSelection, ...cartEditing]
+    },
+
+    [STATES.BROWSING_PRODUCTS]: {
+      inputs: [productSelection, ...cartEditing]
+    },
+
+    [STATES.CHOOSING_OPTIONS]: {
+      prompt: (ctx) => {
+        const pending = (ctx.session.pendingItems || [])[0];
+        if (!pending) return null;
+        return formatOptionGroup(pending.product.name, pending.product.modifierGroups[pending.groupIndex]);
+      },
+      inputs: [optionChoice]
+    },
+
+    [STATES.DELIVERY_INFO]: {
+      prompt: (ctx) => {
+        let confirmMessage = "🛒 *RESUMEN DE TU PEDIDO*\n\n";
+        confirmMessage += formatCart(ctx.session.cart, false, quoteFor(ctx)) + "\n\n";
+
+        confirmMessage += "🏠 *SELECCIONÁ EL TIPO DE ENTREGA:*\n\n";
+        confirmMessage += "┌─────────────────────┐\n";
+        confirmMessage += "│  1️⃣  🚚 DELIVERY     │\n";
+        confirmMessage += "│  2️⃣  🏪 RETIRO      │\n";
+        confirmMessage += "└─────────────────────┘\n\n";
+        confirmMessage += "Tocá *1* para delivery o *2* para retiro en local.";
+
+        return {
+          body: confirmMessage,
+          options: {
+            type: 'buttons',
+            buttons: [{ id: '1', title: '🚚 Delivery' }, { id: '2', title: '🏪 Retiro' }]
+          }
+        };
+      },
+      inputs: [
+        {
+          match: '1',
+          handle: (ctx) => {
+            ctx.session.deliveryType = 'delivery';
+            return STATES.DELIVERY_ADDRESS;
+          }
+        },
+        {
+          match: '2',
+          handle: (ctx) => {
+            ctx.session.deliveryType = 'pickup';
+            ctx.session.deliveryZone = null;
+            return STATES.PAYMENT_METHOD;
+          }
+        }
+      ],
+      fallback: async (ctx) => {
+        await ctx.reply(
+          "❌ *Opción no válida*\n\n" +
+          "Por favor seleccioná:\n" +
+          "1️⃣ Delivery\n" +
+          "2️⃣ Retiro en local"
+        );
+      }
+    },
+
+    [STATES.DELIVERY_ADDRESS]: {
+      prompt: (ctx) => {
+        let addressMessage = "📍 *DIRECCIÓN PARA DELIVERY*\n\n";
+
+        // Direcciones de pedidos anteriores, la más reciente primero
+        const saved = customers.savedAddresses(ctx.phone);
+        ctx.session.addressOptions = saved;
+        if (saved.length > 0) {
+          saved.forEach((option, index) => {
+            addressMessage += `${index + 1}) ${option.address}${index === 0 ? ' (usada la última vez)' : ''}\n`;
+          });
+          addressMessage += `${saved.length + 1}) Nueva dirección\n\n`;
+          addressMessage += "Enviá el número de la dirección, o escribí directamente una nueva ";
+          addressMessage += "(calle, número y barrio) o compartí tu ubicación 📎.";
+          if (zones.isEnabled(ctx.location.id)) {
+            addressMessage += "\n\n" + formatZones(zones.forLocation(ctx.location.id));
+          }
+          return addressMessage;
+        }
+
+        addressMessage += "Por favor enviá tu dirección completa (calle, número y barrio) ";
+        addressMessage += "o compartí tu ubicación 📎.\n\n*Ejemplo:* Av. Corrientes 1234, Almagro";
+        if (zones.isEnabled(ctx.location.id)) {
+          addressMessage += "\n\n" + formatZones(zones.forLocation(ctx.location.id));
+        }
+        return addressMessage;
+      },
+      inputs: [
+        {
+          // Ubicación compartida por WhatsApp
+          match: (ctx) => Boolean(ctx.sharedLocation),
+          handle: (ctx) => {
+            const { latitude, longitude, address } = ctx.sharedLocation;
+            const zone = zones.findByCoordinates(latitude, longitude, ctx.location.id, address);
+            return acceptAddress(ctx, address || `📍 ${latitude}, ${longitude}`, zone, { latitude, longitude });
+          }
+        },
+        {
+          // Número de una dirección guardada (o de "nueva dirección")
+          match: (ctx) => {
+            const options = ctx.session.addressOptions || [];
+            const choice = /^\d+$/.test(ctx.message) ? parseInt(ctx.message, 10) : 0;
+            return options.length > 0 && choice >= 1 && choice <= options.length + 1 ? choice : null;
+          },
+          handle: async (ctx, choice) => {
+            const options = ctx.session.addressOptions;
+
+            if (choice === options.length + 1) {
+              ctx.session.addressOptions = [];
+              await ctx.reply("📍 Enviá tu nueva dirección (calle, número y barrio) o compartí tu ubicación 📎.\n\n*Ejemplo:* Av. Corrientes 1234, Almagro");
+              return;
+            }
+
+            // La zona se vuelve a calcular por si cambiaron las zonas de delivery
+            const saved = options[choice - 1];
+            const hasCoordinates = saved.latitude !== null && saved.longitude !== null;
+            const zone = hasCoordinates ?
+              zones.findByCoordinates(saved.latitude, saved.longitude, ctx.location.id, saved.address) :
+              zones.findByAddress(saved.address, ctx.location.id);
+            return acceptAddress(ctx, saved.address, zone,
+              hasCoordinates ? { latitude: saved.latitude, longitude: saved.longitude } : null);
+          }
+        },
+        {
+          // Cualquier texto es una dirección, incluso si son solo números
+          match: (ctx) => ctx.message.length > 0,
+          handle: (ctx) => {
+            const address = ctx.body.trim();
+            return acceptAddress(ctx, address, zones.findByAddress(address, ctx.location.id));
+          }
+        }
+      ],
+      fallback: async (ctx) => {
+        await ctx.reply("📍 Por favor enviá tu dirección completa como texto.\n\n*Ejemplo:* Av. Corrientes 1234, CABA");
+      }
+    },
+
+    [STATES.PAYMENT_METHOD]: {
+      prompt: (ctx) => {
+        const { session } = ctx;
+        let paymentMessage = "💳 *MÉTODO DE PAGO*\n\n";
+        paymentMessage += formatCart(session.cart, false, quoteFor(ctx)) + "\n\n";
+
+        if (session.deliveryType === 'delivery') {
+          paymentMessage += `🚚 *Delivery a:* ${session.address}\n\n`;
+          paymentMessage += "*Seleccioná cómo vas a pagar:*\n";
+          paymentMessage += "1️⃣ 💵 Efectivo (al recibir)\n";
+          paymentMessage += "2️⃣ 💳 MercadoPago (transferencia)\n\n";
+          paymentMessage += "Enviá *1* para efectivo o *2* para MercadoPago.";
+          return { body: paymentMessage, options: PAYMENT_OPTIONS };
+        }
+
+        paymentMessage += "🏪 *RETIRO EN LOCAL*\n\n";
+        paymentMessage += "┌─────────────────────────┐\n";
+        paymentMessage += "│  1️⃣  💵 EFECTIVO       │\n";
+        paymentMessage += "│  2️⃣  💳 MERCADOPAGO    │\n";
+        paymentMessage += "└─────────────────────────┘\n\n";
+        paymentMessage += "Tocá *1* para pagar en efectivo o *2* para MercadoPago.";
+
+        return { body: paymentMessage, options: PAYMENT_OPTIONS };
+      },
+      inputs: [
+        { match: '1', handle: (ctx) => payWith(ctx, 'efectivo') },
+        { match: '2', handle: (ctx) => payWith(ctx, 'mercadopago') }
+      ],
+      fallback: async (ctx) => {
+        await ctx.reply("❌ *Opción no válida*\n\nPor favor seleccioná:\n1️⃣ Efectivo\n2️⃣ MercadoPago");
+      }
+    },
+
+    [STATES.SCHEDULING]: {
+      prompt: (ctx) => {
+        let slotsMessage = "📅 *PROGRAMAR PEDIDO*\n\n¿Para cuándo lo querés?\n\n";
+        ctx.session.slotOptions.forEach((slot, index) => {
+          slotsMessage += `${index + 1}. ${slot.label}\n`;
+        });
+        slotsMessage += "\nEnviá el número del horario";
+        slotsMessage += schedule.isOpen(ctx.location.id) ? " o *ahora* para recibirlo lo antes posible." : ".";
+        return slotsMessage;
+      },
+      inputs: [
+        {
+          match: /^\d+$/,
+          handle: async (ctx) => {
+            const { session } = ctx;
+            const slot = session.slotOptions[parseInt(ctx.message, 10) - 1];
+
+            if (!slot) {
+              await ctx.reply(`❌ Elegí un número entre 1 y ${session.slotOptions.length}.`);
+              return;
+            }
+
+            session.scheduledFor = slot.at;
+            session.slotOptions = [];
+
+            let scheduledMessage = `📅 *Pedido programado para ${slot.label}*\n\n`;
+            scheduledMessage += session.cart.length > 0 ?
+              formatCart(session.cart, true, quoteFor(ctx)) :
+              "Enviá *menu* para elegir tus productos.";
+            await ctx.reply(scheduledMessage);
+            return STATES.BROWSING_PRODUCTS;
+          }
+        },
+        {
+          match: 'ahora',
+          handle: async (ctx) => {
+            ctx.session.scheduledFor = null;
+            ctx.session.slotOptions = [];
+
+            // Cerrado no hay "ahora": se avisa y el cliente sale de la elección de turno
+            if (!schedule.isOpen(ctx.location.id)) {
+              await closedGuard.handle(ctx);
+              return ctx.session.cart.length > 0 ? STATES.BROWSING_PRODUCTS : STATES.MAIN_MENU;
+            }
+
+            await ctx.reply("⏱️ Listo, tu pedido sale lo antes posible.\n\n" + formatCart(ctx.session.cart, true, quoteFor(ctx)));
+            return STATES.BROWSING_PRODUCTS;
+          }
+        }
+      ],
+      fallback: async (ctx) => {
+        await ctx.reply("📅 Enviá el número del horario que preferís de la lista.");
+      }
+    },
+
+    [STATES.PAYMENT_CONFIRMATION]: {
+      inputs: [
+        productSelection,
+        {
+          // Comprobante de pago
+          match: isImage,
+          handle: async (ctx) => {
+            if (ctx.session.pendingOrderId) {
+              await attachReceipt(ctx.session.pendingOrderId, ctx.media);
+              ctx.session.pendingOrderId = null;
+            }
+            await ctx.reply(ctx.t('receiptReceived'));
+            return STATES.MAIN_MENU;
+          }
+        }
+      ]
+    }
+  };
+
+  // Mensaje de bienvenida para cualquier otra entrada; si el bot no entiende
+  // varios mensajes seguidos, le pasa la conversación al staff
+  async function welcome(ctx) {
+    const { session } = ctx;
+
+    ctx.welcomed = true;
+    if (!GREETING.test(ctx.message)) {
+      session.unrecognized = (session.unrecognized || 0) + 1;
+    }
+
+    if (session.unrecognized >= MAX_UNRECOGNIZED) {
+      session.unrecognized = 0;
+      await requestHandoff(ctx, 'unrecognized');
+      await ctx.reply(ctx.t('handoffUnrecognized'));
+      return STATES.MAIN_MENU;
+    }
+
+    await ctx.reply(ctx.t('welcome', { customerName: ctx.customerName }));
+    return STATES.MAIN_MENU;
+  }
+
+  const machine = createStateMachine({
+    initialState: STATES.MAIN_MENU,
+    states,
+    guards: [closedGuard],
+    globalCommands,
+    fallback: welcome
+  });
+
+  // Cualquier mensaje que el bot entendió reinicia la cuenta de mensajes sin entender
+  async function handle(ctx) {
+    const state = await machine.handle(ctx);
+    if (!ctx.welcomed) {
+      ctx.session.unrecognized = 0;
+    }
+    return state;
+  }
+
+  return { ...machine, handle };
+}
+
+module.exports = {
+  STATES,
+  createOrderFlow,
+  resetCheckout
+};
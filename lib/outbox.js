@@ -0,0 +1,171 @@
+// Cola persistente de mensajes salientes con reintentos y estado de entrega
+//
+// Cada mensaje se guarda antes de enviarlo, así un error de Twilio o un reinicio
+// del server no lo pierde. Se guardan en un archivo JSON con una lista:
+//   [{ id, to, from, body, options, orderId, status, attempts, nextAttemptAt,
+//      providerSid, textSid, error, createdAt, updatedAt }]
+// textSid lo anota el canal de Twilio cuando manda el texto aparte de los botones.
+//
+// Estados: pending (esperando envío o reintento) -> sending -> sent -> delivered -> read,
+// o failed si se agotaron los reintentos o el proveedor avisó que no se entregó.
+// Los mensajes a un mismo destinatario salen en orden: si uno espera reintento,
+// los siguientes esperan con él.
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { createJsonFile } = require('./json-file');
+
+// Orden de los estados que informa el proveedor; nunca se vuelve a uno anterior
+const DELIVERY_RANK = { sent: 1, delivered: 2, read: 3 };
+const FAILED_STATUSES = ['failed', 'undelivered'];
+
+// Los mensajes terminados se borran después de una semana
+const KEEP_MS = 7 * 24 * 60 * 60 * 1000;
+
+function createOutbox({ file, send, maxAttempts = 5, baseDelayMs = 5000 }) {
+  file = file || path.join(process.cwd(), 'data', 'outbox.json');
+  const emitter = new EventEmitter();
+  const messages = new Map();
+
+  const jsonFile = createJsonFile(file, { name: 'outbox' });
+
+  jsonFile.load([]).forEach(message => {
+    // Si el server se cortó en medio de un envío, se vuelve a intentar
+    if (message.status === 'sending') message.status = 'pending';
+    messages.set(message.id, message);
+  });
+
+  function persist() {
+    const cutoff = Date.now() - KEEP_MS;
+    messages.forEach((message, id) => {
+      if (!['pending', 'sending'].includes(message.status) && new Date(message.updatedAt).getTime() < cutoff) {
+        messages.delete(id);
+      }
+    });
+
+    return jsonFile.save([...messages.values()]);
+  }
+
+  function update(message, changes) {
+    const failedNow = changes.status === 'failed' && message.status !== 'failed';
+    Object.assign(message, changes, { updatedAt: new Date().toISOString() });
+    persist();
+    if (failedNow) {
+      emitter.emit('failed', message);
+    }
+  }
+
+  // Un mensaje puede salir si no hay otro anterior al mismo destinatario sin enviar
+  function isNextFor(message) {
+    for (const other of messages.values()) {
+      if (other === message) return true;
+      if (other.to === message.to && ['pending', 'sending'].includes(other.status)) return false;
+    }
+    return true;
+  }
+
+  async function attempt(message) {
+    if (message.status !== 'pending') return;
+    update(message, { status: 'sending', attempts: message.attempts + 1 });
+
+    try {
+      const providerSid = await send(message);
+      update(message, { status: 'sent', providerSid: providerSid || null, error: null, nextAttemptAt: null });
+    } catch (error) {
+      const exhausted = message.attempts >= maxAttempts;
+      console.error(`Error sending message to ${message.to} (intento ${message.attempts}/${maxAttempts}):`, error.message);
+      update(message, {
+        status: exhausted ? 'failed' : 'pending',
+        error: error.message,
+        // Espera exponencial: 5s, 10s, 20s, 40s...
+        nextAttemptAt: exhausted ? null : new Date(Date.now() + baseDelayMs * 2 ** (message.attempts - 1)).toISOString()
+      });
+    }
+  }
+
+  // Función para encolar un mensaje; espera el primer intento de envío (no los reintentos)
+  // message: { to, from, body, options, orderId }
+  async function enqueue({ to, from, body, options = null, orderId = null }) {
+    const now = new Date().toISOString();
+    const message = {
+      id: crypto.randomUUID(),
+      to,
+      from,
+      body,
+      options,
+      orderId,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: null,
+      providerSid: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    messages.set(message.id, message);
+    persist();
+
+    if (isNextFor(message)) {
+      await attempt(message);
+    }
+    return message;
+  }
+
+  // Función para enviar los mensajes pendientes cuyo reintento ya venció
+  async function flush(now = Date.now()) {
+    for (const message of [...messages.values()]) {
+      const due = message.status === 'pending' &&
+        (!message.nextAttemptAt || new Date(message.nextAttemptAt).getTime() <= now);
+      if (due && isNextFor(message)) {
+        await attempt(message);
+      }
+    }
+  }
+
+  // Función para registrar el estado que informa el proveedor (callback de Twilio)
+  function updateStatus(providerSid, status, errorCode) {
+    const message = [...messages.values()].find(m => m.providerSid === providerSid);
+    if (!message) return null;
+
+    if (FAILED_STATUSES.includes(status)) {
+      update(message, { status: 'failed', error: `El proveedor informó ${status}${errorCode ? ` (código ${errorCode})` : ''}` });
+    } else if (DELIVERY_RANK[status] && DELIVERY_RANK[status] > (DELIVERY_RANK[message.status] || 0) && message.status !== 'failed') {
+      update(message, { status });
+    }
+    return message;
+  }
+
+  // Vuelve a poner en cola un mensaje que falló
+  async function retry(id) {
+    const message = messages.get(id);
+    if (!message || message.status !== 'failed') return null;
+
+    update(message, { status: 'pending', attempts: 0, nextAttemptAt: null, error: null });
+    if (isNextFor(message)) {
+      await attempt(message);
+    }
+    return message;
+  }
+
+  // Mensajes que no se pudieron entregar, agrupados por pedido
+  function failuresByOrder() {
+    const failures = {};
+    messages.forEach(message => {
+      if (message.status === 'failed' && message.orderId) {
+        (failures[message.orderId] = failures[message.orderId] || []).push(message);
+      }
+    });
+    return failures;
+  }
+
+  return {
+    enqueue,
+    flush,
+    updateStatus,
+    retry,
+    failuresByOrder,
+    on: (event, fn) => emitter.on(event, fn)
+  };
+}
+
+module.exports = { createOutbox };
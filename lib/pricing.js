@@ -0,0 +1,322 @@
+// Precios de un pedido: subtotal, promociones, cupón, envío y total
+//
+// Es el único lugar que calcula el total; el carrito, la confirmación, el link de
+// MercadoPago y el pedido guardado salen de quote(). La configuración vive en un
+// archivo JSON (sin archivo no hay promociones ni cupones):
+//   {
+//     timezone: 'America/Argentina/Buenos_Aires',
+//     promotions: [
+//       { id: '2x1-empanadas', name: '2x1 en empanadas los martes', type: 'bundle',
+//         buy: 2, pay: 1, category: 'Empanadas', days: [2] },
+//       { id: 'bebidas', name: '10% en bebidas', type: 'percent', value: 10, category: 'Bebidas' },
+//       { id: 'combo', name: 'Pizza + gaseosa', type: 'combo', price: 10000,
+//         items: [{ productId: '3', quantity: 1 }, { productId: '4', quantity: 1 }] }
+//     ],
+//     coupons: [
+//       { code: 'BIENVENIDA', type: 'percent', value: 15, firstOrderOnly: true },
+//       { code: 'FINDE', type: 'fixed', value: 2000, minimum: 10000, maxUses: 100,
+//         maxUsesPerCustomer: 1, expiresAt: '2026-12-31' }
+//     ]
+//   }
+// Las promociones se filtran por category o productIds, y opcionalmente por días
+// (days: 0 = domingo), locationId, validFrom y validUntil. Cada unidad del carrito
+// entra en una sola promoción; el cupón se aplica sobre lo que queda.
+const fs = require('fs');
+const path = require('path');
+const { cartSubtotal } = require('./cart');
+const { formatPrice } = require('./messages');
+
+const PROMOTION_TYPES = ['bundle', 'percent', 'combo'];
+const COUPON_TYPES = ['percent', 'fixed'];
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// Fecha (YYYY-MM-DD) y día de la semana en la zona horaria de los locales
+function localDay(now, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short'
+  }).formatToParts(now);
+  const get = type => parts.find(part => part.type === type).value;
+
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'))
+  };
+}
+
+// Una unidad por cada cantidad de cada línea, para repartirlas entre promociones
+function expandUnits(cart) {
+  const units = [];
+  cart.forEach(item => {
+    for (let i = 0; i < item.quantity; i++) {
+      units.push({ productId: item.id, category: item.category, price: item.price, used: false });
+    }
+  });
+  return units;
+}
+
+function matchesPromotion(promotion, unit) {
+  if (promotion.productIds && promotion.productIds.length > 0) {
+    return promotion.productIds.includes(unit.productId);
+  }
+  return !promotion.category || promotion.category === unit.category;
+}
+
+// Descuento de una promoción sobre las unidades libres (las marca como usadas)
+function applyPromotion(promotion, units) {
+  const free = units.filter(unit => !unit.used);
+
+  if (promotion.type === 'bundle') {
+    // "buy x pay": en cada grupo de `buy` unidades se regalan las más baratas
+    const matching = free.filter(unit => matchesPromotion(promotion, unit))
+      .sort((a, b) => b.price - a.price);
+    const groups = Math.floor(matching.length / promotion.buy);
+    let amount = 0;
+
+    for (let group = 0; group < groups; group++) {
+      const groupUnits = matching.slice(group * promotion.buy, (group + 1) * promotion.buy);
+      groupUnits.forEach(unit => { unit.used = true; });
+      groupUnits.slice(promotion.pay).forEach(unit => { amount += unit.price; });
+    }
+    return amount;
+  }
+
+  if (promotion.type === 'percent') {
+    const matching = free.filter(unit => matchesPromotion(promotion, unit));
+    matching.forEach(unit => { unit.used = true; });
+    const base = matching.reduce((sum, unit) => sum + unit.price, 0);
+    return Math.round(base * promotion.value / 100);
+  }
+
+  if (promotion.type === 'combo') {
+    // Se arma el combo tantas veces como alcancen las unidades de cada producto
+    let amount = 0;
+    for (;;) {
+      const picked = [];
+      const complete = promotion.items.every(({ productId, quantity }) => {
+        const available = free.filter(unit => unit.productId === productId && !unit.used && !picked.includes(unit));
+        if (available.length < quantity) return false;
+        picked.push(...available.slice(0, quantity));
+        return true;
+      });
+      if (!complete) break;
+
+      picked.forEach(unit => { unit.used = true; });
+      amount += Math.max(picked.reduce((sum, unit) => sum + unit.price, 0) - promotion.price, 0);
+    }
+    return amount;
+  }
+
+  return 0;
+}
+
+// Función para validar y completar una promoción antes de guardarla
+function normalizePromotion(promotion) {
+  if (!promotion || !/^[a-z0-9-]+$/.test(promotion.id || '')) {
+    throw new Error('Cada promoción necesita un ID con minúsculas, números y guiones');
+  }
+  if (!promotion.name) {
+    throw new Error(`La promoción ${promotion.id} necesita un nombre`);
+  }
+  if (!PROMOTION_TYPES.includes(promotion.type)) {
+    throw new Error(`La promoción ${promotion.id} tiene un tipo desconocido (${PROMOTION_TYPES.join(', ')})`);
+  }
+  if (promotion.type === 'bundle' &&
+    !(Number.isInteger(promotion.buy) && Number.isInteger(promotion.pay) && promotion.buy > promotion.pay && promotion.pay >= 0)) {
+    throw new Error(`La promoción ${promotion.id} necesita buy mayor que pay (por ejemplo 2x1: buy 2, pay 1)`);
+  }
+  if (promotion.type === 'percent' && !(promotion.value > 0 && promotion.value <= 100)) {
+    throw new Error(`La promoción ${promotion.id} necesita un porcentaje entre 1 y 100`);
+  }
+  if (promotion.type === 'combo' &&
+    (!Array.isArray(promotion.items) || promotion.items.length === 0 || !(promotion.price >= 0))) {
+    throw new Error(`El combo ${promotion.id} necesita items [{ productId, quantity }] y price`);
+  }
+
+  return {
+    ...promotion,
+    productIds: (promotion.productIds || []).map(String),
+    items: promotion.type === 'combo' ?
+      promotion.items.map(item => ({ productId: String(item.productId), quantity: item.quantity || 1 })) :
+      undefined,
+    days: Array.isArray(promotion.days) ? promotion.days : null
+  };
+}
+
+// Función para validar y completar un cupón antes de guardarlo
+function normalizeCoupon(coupon) {
+  const code = normalizeCode(coupon && coupon.code);
+  if (!/^[A-Z0-9-]+$/.test(code)) {
+    throw new Error('Cada cupón necesita un código con letras, números y guiones');
+  }
+  if (!COUPON_TYPES.includes(coupon.type)) {
+    throw new Error(`El cupón ${code} tiene un tipo desconocido (${COUPON_TYPES.join(', ')})`);
+  }
+  if (!(coupon.value > 0) || (coupon.type === 'percent' && coupon.value > 100)) {
+    throw new Error(`El cupón ${code} tiene un valor inválido`);
+  }
+  if (coupon.expiresAt && isNaN(new Date(coupon.expiresAt).getTime())) {
+    throw new Error(`El cupón ${code} tiene una fecha de vencimiento inválida`);
+  }
+
+  return { ...coupon, code };
+}
+
+function createPricing(options = {}) {
+  const file = options.file || path.join(process.cwd(), 'data', 'promotions.json');
+
+  let config = { promotions: [], coupons: [] };
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    config = {
+      ...saved,
+      promotions: (saved.promotions || []).map(normalizePromotion),
+      coupons: (saved.coupons || []).map(normalizeCoupon)
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(config, null, 2));
+  }
+
+  function timezone() {
+    return config.timezone || 'America/Argentina/Buenos_Aires';
+  }
+
+  function findCoupon(code) {
+    return (config.coupons || []).find(coupon => coupon.code === normalizeCode(code)) || null;
+  }
+
+  // Un cupón vence al terminar el día de expiresAt (o en la hora exacta si la tiene)
+  function isExpired(coupon, now) {
+    if (!coupon.expiresAt) return false;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(coupon.expiresAt)) {
+      return localDay(now, timezone()).date > coupon.expiresAt;
+    }
+    return now >= new Date(coupon.expiresAt);
+  }
+
+  function activePromotions(locationId, now) {
+    const today = localDay(now, timezone());
+    return (config.promotions || []).filter(promotion =>
+      promotion.enabled !== false &&
+      (!promotion.locationId || promotion.locationId === locationId) &&
+      (!promotion.days || promotion.days.includes(today.weekday)) &&
+      (!promotion.validFrom || today.date >= promotion.validFrom) &&
+      (!promotion.validUntil || today.date <= promotion.validUntil));
+  }
+
+  // Función para verificar si un cupón se puede usar en este pedido
+  // usage: { total, byCustomer, customerOrders } pedidos (no cancelados) que ya lo usaron
+  // Devuelve { coupon } o { error } con el motivo para el cliente
+  function checkCoupon(code, { subtotal, locationId, usage, now = new Date() }) {
+    const coupon = findCoupon(code);
+    const label = normalizeCode(code);
+
+    if (!coupon || coupon.enabled === false || (coupon.locationId && coupon.locationId !== locationId)) {
+      return { error: `El cupón ${label} no existe.` };
+    }
+    if (isExpired(coupon, now)) {
+      return { error: `El cupón ${label} está vencido.` };
+    }
+    if (coupon.firstOrderOnly && usage.customerOrders > 0) {
+      return { error: `El cupón ${label} es solo para tu primer pedido.` };
+    }
+    if (coupon.maxUses && usage.total >= coupon.maxUses) {
+      return { error: `El cupón ${label} ya alcanzó su límite de usos.` };
+    }
+    if (coupon.maxUsesPerCustomer && usage.byCustomer >= coupon.maxUsesPerCustomer) {
+      return { error: `Ya usaste el cupón ${label}.` };
+    }
+    if (coupon.minimum && subtotal < coupon.minimum) {
+      return { error: `El cupón ${label} es para compras desde ${formatPrice(coupon.minimum)}.` };
+    }
+    return { coupon };
+  }
+
+  // Función para calcular el total de un carrito
+  // Devuelve { subtotal, discounts: [{ label, amount, promotionId | couponCode }],
+  //            discount, deliveryFee, deliveryZone, couponCode, total }
+  // El cupón se valida antes con checkCoupon; acá solo se descarta si venció o no llega al mínimo
+  function quote({ cart, deliveryZone = null, couponCode = null, locationId, now = new Date() }) {
+    const subtotal = cartSubtotal(cart || []);
+    const units = expandUnits(cart || []);
+    const discounts = [];
+
+    activePromotions(locationId, now).forEach(promotion => {
+      const amount = applyPromotion(promotion, units);
+      if (amount > 0) {
+        discounts.push({ label: promotion.name, amount, promotionId: promotion.id });
+      }
+    });
+
+    const coupon = couponCode ? findCoupon(couponCode) : null;
+    const afterPromotions = subtotal - discounts.reduce((sum, discount) => sum + discount.amount, 0);
+    if (coupon && coupon.enabled !== false && !isExpired(coupon, now) &&
+      !(coupon.minimum && subtotal < coupon.minimum) && afterPromotions > 0) {
+      const amount = coupon.type === 'percent' ?
+        Math.round(afterPromotions * coupon.value / 100) :
+        Math.min(coupon.value, afterPromotions);
+      discounts.push({ label: `Cupón ${coupon.code}`, amount, couponCode: coupon.code });
+    }
+
+    const discount = discounts.reduce((sum, d) => sum + d.amount, 0);
+    const deliveryFee = deliveryZone ? deliveryZone.fee : 0;
+
+    return {
+      subtotal,
+      discounts,
+      discount,
+      deliveryFee,
+      deliveryZone: deliveryZone ? deliveryZone.name : null,
+      couponCode: discounts.some(d => d.couponCode) ? coupon.code : null,
+      total: subtotal - discount + deliveryFee
+    };
+  }
+
+  function getConfig() {
+    return config;
+  }
+
+  // Reemplaza la configuración completa (desde el panel o la API)
+  function replace(newConfig) {
+    if (!newConfig || typeof newConfig !== 'object') {
+      throw new Error('La configuración necesita promotions y coupons');
+    }
+    if (newConfig.timezone) {
+      // Intl lanza RangeError si la zona horaria no existe
+      new Intl.DateTimeFormat('en-US', { timeZone: newConfig.timezone });
+    }
+
+    const promotions = (newConfig.promotions || []).map(normalizePromotion);
+    const coupons = (newConfig.coupons || []).map(normalizeCoupon);
+    const codes = coupons.map(coupon => coupon.code);
+    const duplicated = codes.find((code, index) => codes.indexOf(code) !== index);
+    if (duplicated) throw new Error(`Cupón repetido: ${duplicated}`);
+
+    config = { ...newConfig, promotions, coupons };
+    persist();
+    return config;
+  }
+
+  return {
+    quote,
+    checkCoupon,
+    getConfig,
+    replace
+  };
+}
+
+module.exports = {
+  createPricing,
+  normalizeCode
+};
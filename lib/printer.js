@@ -0,0 +1,38 @@
+// Impresoras térmicas de red (ESC/POS por TCP, puerto 9100 por defecto)
+//
+// Las impresoras de cocina aceptan los bytes tal cual por un socket: no hay
+// respuesta, así que se considera impreso cuando la conexión se cierra sin error.
+const net = require('net');
+
+const DEFAULT_PORT = 9100;
+
+// Función para separar "host:puerto"; devuelve null si la dirección está vacía
+function parsePrinterAddress(address) {
+  const match = /^([\w.-]+)(?::(\d+))?$/.exec(String(address || '').trim());
+  if (!match) return null;
+  return { host: match[1], port: match[2] ? Number(match[2]) : DEFAULT_PORT };
+}
+
+function createNetworkPrinter({ host, port = DEFAULT_PORT, timeoutMs = 5000 }) {
+  // Función para mandar los bytes de un ticket a la impresora
+  function print(buffer) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host, port });
+      socket.setTimeout(timeoutMs, () => {
+        socket.destroy(new Error(`La impresora ${host}:${port} no respondió`));
+      });
+      socket.on('error', reject);
+      socket.on('connect', () => socket.end(buffer));
+      socket.on('close', hadError => {
+        if (!hadError) resolve();
+      });
+    });
+  }
+
+  return { host, port, print };
+}
+
+module.exports = {
+  parsePrinterAddress,
+  createNetworkPrinter
+};
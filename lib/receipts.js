@@ -0,0 +1,101 @@
+// Comprobantes de pago: descarga de la imagen que manda el cliente y guardado local
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif'
+};
+
+const MAX_REDIRECTS = 3;
+// Una foto de comprobante no pesa más que esto; lo demás se corta sin guardarlo
+const MAX_BYTES = 10 * 1024 * 1024;
+
+// Hosts de Twilio que sirven la media (api.twilio.com, mcs.us1.twilio.com...)
+function isTwilioHost(url) {
+  return url.protocol === 'https:' && /(^|\.)twilio\.com$/.test(url.hostname);
+}
+
+// Descarga una URL siguiendo redirecciones (Twilio redirige la media a S3).
+// La autenticación solo se envía al host original.
+// Rechaza las respuestas de más de maxBytes (por content-length o al leerlas)
+function download(url, auth, maxBytes, redirects = 0) {
+  const target = new URL(url);
+  const transport = target.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.get(target, { auth: auth || undefined, timeout: 15000 }, res => {
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          return reject(new Error(`Demasiadas redirecciones descargando ${url}`));
+        }
+        const next = new URL(res.headers.location, target);
+        const nextAuth = next.host === target.host ? auth : null;
+        return resolve(download(next.toString(), nextAuth, maxBytes, redirects + 1));
+      }
+
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`Error ${res.statusCode} descargando ${url}`));
+      }
+
+      const tooLarge = new Error(`El archivo de ${url} supera los ${maxBytes} bytes`);
+      if (Number(res.headers['content-length']) > maxBytes) {
+        res.resume();
+        return reject(tooLarge);
+      }
+
+      const chunks = [];
+      let size = 0;
+      res.on('data', chunk => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          res.destroy();
+          return reject(tooLarge);
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve(Buffer.concat(chunks)));
+      res.on('error', reject);
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Timeout descargando ${url}`)));
+    req.on('error', reject);
+  });
+}
+
+function createReceiptStore(options = {}) {
+  const dir = options.dir || path.join(process.cwd(), 'data', 'receipts');
+  const auth = options.accountSid && options.authToken ?
+    `${options.accountSid}:${options.authToken}` :
+    null;
+  const maxBytes = options.maxBytes || MAX_BYTES;
+
+  // Guarda el comprobante y devuelve el nombre de archivo
+  // Las credenciales de Twilio solo viajan si la URL es de Twilio
+  async function save(orderId, mediaUrl, contentType) {
+    const data = await download(mediaUrl, isTwilioHost(new URL(mediaUrl)) ? auth : null, maxBytes);
+    const filename = `${orderId}-${Date.now()}${EXTENSIONS[contentType] || '.img'}`;
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, filename), data);
+    return filename;
+  }
+
+  // Ruta absoluta de un comprobante guardado (sin permitir salir del directorio)
+  function resolve(filename) {
+    return path.join(dir, path.basename(filename));
+  }
+
+  return {
+    save,
+    resolve
+  };
+}
+
+module.exports = { createReceiptStore };
@@ -0,0 +1,193 @@
+// Reportes de ventas a partir de los pedidos guardados
+//
+// Las fechas se agrupan en la zona horaria del local. Los pedidos cancelados no
+// suman ventas, pero cuentan para la tasa de cancelación. La facturación de los
+// productos sale de precio x cantidad de cada ítem (sin repartir los descuentos
+// del pedido ni el envío), así que su suma puede no coincidir con el total vendido.
+const { localParts, addDays } = require('./schedule');
+
+const GROUP_BY = ['day', 'week', 'month'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Cantidad de días que se muestran si no se pide un rango
+const DEFAULT_RANGE_DAYS = 30;
+
+// Columnas de cada reporte para exportar a CSV/XLSX: [campo, título]
+const REPORT_COLUMNS = {
+  revenue: [['period', 'Período'], ['orders', 'Pedidos'], ['revenue', 'Ventas'], ['averageTicket', 'Ticket promedio']],
+  topProducts: [['id', 'ID'], ['name', 'Producto'], ['units', 'Unidades'], ['revenue', 'Facturación']],
+  deliveryTypes: [['type', 'Entrega'], ['orders', 'Pedidos'], ['revenue', 'Ventas']],
+  paymentMethods: [['method', 'Medio de pago'], ['orders', 'Pedidos'], ['revenue', 'Ventas']],
+  ordersByHour: [['hour', 'Hora'], ['orders', 'Pedidos'], ['revenue', 'Ventas']],
+  cancellations: [['period', 'Período'], ['orders', 'Pedidos'], ['cancelled', 'Cancelados'], ['rate', 'Tasa de cancelación']]
+};
+
+const REPORT_NAMES = {
+  revenue: 'Ventas',
+  topProducts: 'Productos',
+  deliveryTypes: 'Entrega',
+  paymentMethods: 'Medios de pago',
+  ordersByHour: 'Pedidos por hora',
+  cancellations: 'Cancelaciones'
+};
+
+// Función para validar el rango de fechas y la agrupación que llegan en la query
+// from/to son fechas locales (YYYY-MM-DD) inclusive
+function normalizeRange({ from, to, groupBy = 'day' }, timezone, now = new Date()) {
+  if (!GROUP_BY.includes(groupBy)) {
+    throw new Error(`Agrupación inválida: ${groupBy} (usá ${GROUP_BY.join(', ')})`);
+  }
+
+  [from, to].filter(Boolean).forEach(date => {
+    // Descarta también fechas que no existen, como 2026-02-30
+    const parsed = new Date(`${date}T00:00:00Z`);
+    if (!DATE_PATTERN.test(date) || Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date) {
+      throw new Error(`Fecha inválida: ${date} (formato AAAA-MM-DD)`);
+    }
+  });
+
+  const end = to || localParts(now, timezone).date;
+  const start = from || addDays(end, -(DEFAULT_RANGE_DAYS - 1));
+  if (start > end) {
+    throw new Error('La fecha desde no puede ser posterior a la fecha hasta');
+  }
+
+  return { from: start, to: end, groupBy };
+}
+
+// Lunes de la semana de una fecha local (las semanas se nombran por su lunes)
+function weekStart(date) {
+  const weekday = new Date(`${date}T12:00:00Z`).getUTCDay();
+  return addDays(date, -((weekday + 6) % 7));
+}
+
+function periodOf(date, groupBy) {
+  if (groupBy === 'month') return date.slice(0, 7);
+  if (groupBy === 'week') return weekStart(date);
+  return date;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Suma un pedido a la fila `key` de un acumulador { key: { orders, revenue } }
+function tally(rows, key, revenue, extra = {}) {
+  const row = rows.get(key) || { ...extra, orders: 0, revenue: 0 };
+  row.orders += 1;
+  row.revenue += revenue;
+  rows.set(key, row);
+  return row;
+}
+
+// Función para calcular todos los reportes de un rango
+// options: { from, to, groupBy, locationId, timezone }
+function buildReports(orders, { from, to, groupBy, locationId = null, timezone }) {
+  const revenue = new Map();
+  const cancellations = new Map();
+  const products = new Map();
+  const deliveryTypes = new Map();
+  const paymentMethods = new Map();
+  const hours = new Map();
+  let sold = 0;
+  let cancelled = 0;
+  let total = 0;
+
+  orders.forEach(order => {
+    if (locationId && order.locationId !== locationId) return;
+
+    const at = new Date(order.date);
+    if (Number.isNaN(at.getTime())) return;
+
+    const { date, minutes } = localParts(at, timezone);
+    if (date < from || date > to) return;
+
+    const period = periodOf(date, groupBy);
+    const cancellation = cancellations.get(period) || { period, orders: 0, cancelled: 0 };
+    cancellation.orders += 1;
+    cancellations.set(period, cancellation);
+
+    if (order.status === 'CANCELADO') {
+      cancelled += 1;
+      cancellation.cancelled += 1;
+      return;
+    }
+
+    const orderTotal = Number(order.total) || 0;
+    sold += 1;
+    total += orderTotal;
+
+    tally(revenue, period, orderTotal, { period });
+    tally(deliveryTypes, order.deliveryType || 'pickup', orderTotal, { type: order.deliveryType || 'pickup' });
+    tally(paymentMethods, order.paymentMethod || 'efectivo', orderTotal, { method: order.paymentMethod || 'efectivo' });
+    tally(hours, Math.floor(minutes / 60), orderTotal, { hour: Math.floor(minutes / 60) });
+
+    (order.items || []).forEach(item => {
+      const key = String(item.id || item.name);
+      const product = products.get(key) || { id: item.id || '', name: item.name, units: 0, revenue: 0 };
+      const quantity = Number(item.quantity) || 0;
+      product.units += quantity;
+      product.revenue += (Number(item.price) || 0) * quantity;
+      products.set(key, product);
+    });
+  });
+
+  const byRevenue = (a, b) => b.revenue - a.revenue;
+
+  return {
+    range: { from, to, groupBy, locationId, timezone },
+    summary: {
+      orders: sold,
+      revenue: round(total),
+      averageTicket: sold > 0 ? round(total / sold) : 0,
+      cancelled,
+      cancellationRate: sold + cancelled > 0 ? round(cancelled / (sold + cancelled)) : 0
+    },
+    revenue: [...revenue.values()]
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map(row => ({ ...row, revenue: round(row.revenue), averageTicket: round(row.revenue / row.orders) })),
+    topProducts: [...products.values()]
+      .sort((a, b) => b.units - a.units || b.revenue - a.revenue)
+      .map(row => ({ ...row, revenue: round(row.revenue) })),
+    deliveryTypes: [...deliveryTypes.values()].sort(byRevenue).map(row => ({ ...row, revenue: round(row.revenue) })),
+    paymentMethods: [...paymentMethods.values()].sort(byRevenue).map(row => ({ ...row, revenue: round(row.revenue) })),
+    // Las 24 horas, aunque alguna no tenga pedidos, para que el gráfico no tenga huecos
+    ordersByHour: Array.from({ length: 24 }, (value, hour) => {
+      const row = hours.get(hour) || { orders: 0, revenue: 0 };
+      return { hour, orders: row.orders, revenue: round(row.revenue) };
+    }),
+    cancellations: [...cancellations.values()]
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map(row => ({ ...row, rate: round(row.cancelled / row.orders) }))
+  };
+}
+
+// Filas de un reporte con los títulos de columna como primera fila
+function reportTable(reports, name) {
+  const columns = REPORT_COLUMNS[name];
+  if (!columns) {
+    throw new Error(`Reporte desconocido: ${name} (disponibles: ${Object.keys(REPORT_COLUMNS).join(', ')})`);
+  }
+
+  return [
+    columns.map(([, title]) => title),
+    ...reports[name].map(row => columns.map(([field]) => row[field]))
+  ];
+}
+
+// Función para armar un CSV (separado por comas, con comillas donde hace falta)
+function toCsv(rows) {
+  return rows.map(row => row.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  GROUP_BY,
+  REPORT_NAMES,
+  normalizeRange,
+  buildReports,
+  reportTable,
+  toCsv
+};
@@ -0,0 +1,261 @@
+// Horarios de atención, feriados y turnos para pedidos programados
+//
+// Se configura en un archivo JSON (sin archivo, el local atiende siempre y no
+// se pueden programar pedidos):
+//   {
+//     timezone: 'America/Argentina/Buenos_Aires',
+//     weekly: { "0": [], "1": [["11:00", "15:00"], ["19:00", "23:30"]], ... },  // 0 = domingo
+//     exceptions: [{ date: '2026-12-25', closed: true, reason: 'Navidad' },
+//                  { date: '2026-12-24', hours: [["11:00", "16:00"]] }],
+//     scheduling: { enabled: true, slotMinutes: 30, slotCapacity: 5, leadMinutes: 60, maxDaysAhead: 2 },
+//     locations: { palermo: { weekly: {...}, exceptions: [...], scheduling: {...} } }
+//   }
+// Un rango que cierra después de medianoche se escribe ["20:00", "01:00"].
+const fs = require('fs');
+const path = require('path');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_NAMES = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+const MAX_SLOTS = 12;
+
+const DEFAULT_SCHEDULING = {
+  enabled: false,
+  slotMinutes: 30,
+  slotCapacity: 5,
+  leadMinutes: 60,
+  maxDaysAhead: 2
+};
+
+// Fecha, día de la semana y minutos desde medianoche en la zona horaria del local
+function localParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short'
+  }).formatToParts(date);
+  const get = type => parts.find(part => part.type === type).value;
+
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    weekday: WEEKDAYS.indexOf(get('weekday')),
+    minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
+  };
+}
+
+// Instante UTC de una fecha y hora locales ("2026-10-20", 1260 minutos)
+function toInstant(date, minutes, timezone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // La diferencia entre la hora local y UTC en ese momento es el offset de la zona
+  const local = localParts(new Date(wallClock), timezone);
+  const [localYear, localMonth, localDay] = local.date.split('-').map(Number);
+  const offset = Date.UTC(localYear, localMonth - 1, localDay, 0, local.minutes) - wallClock;
+  return new Date(wallClock - offset);
+}
+
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+  return new Date(`${date}T12:00:00Z`).getUTCDay();
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function formatMinutes(minutes) {
+  const normalized = minutes % 1440;
+  return `${String(Math.floor(normalized / 60)).padStart(2, '0')}:${String(normalized % 60).padStart(2, '0')}`;
+}
+
+function createSchedule(options = {}) {
+  const file = options.file || path.join(process.cwd(), 'data', 'hours.json');
+
+  let config = null;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(config, null, 2));
+  }
+
+  // Configuración efectiva de un local (la general más lo que redefine el local)
+  function configFor(locationId) {
+    if (!config) return null;
+    const override = (config.locations || {})[locationId] || {};
+    return {
+      timezone: config.timezone || 'America/Argentina/Buenos_Aires',
+      weekly: override.weekly || config.weekly || {},
+      exceptions: override.exceptions || config.exceptions || [],
+      scheduling: { ...DEFAULT_SCHEDULING, ...config.scheduling, ...override.scheduling }
+    };
+  }
+
+  // Rangos de atención de un día en minutos [[apertura, cierre]]; el cierre puede pasar de 1440
+  function rangesFor(settings, date) {
+    const exception = settings.exceptions.find(e => e.date === date);
+    const ranges = exception ?
+      (exception.closed ? [] : exception.hours || []) :
+      settings.weekly[weekdayOf(date)] || [];
+
+    return ranges.map(([open, close]) => {
+      const start = toMinutes(open);
+      let end = toMinutes(close);
+      if (end <= start) end += 1440;
+      return [start, end];
+    });
+  }
+
+  function isOpen(locationId, now = new Date()) {
+    const settings = configFor(locationId);
+    if (!settings) return true;
+
+    const { date, minutes } = localParts(now, settings.timezone);
+    const today = rangesFor(settings, date).some(([start, end]) => minutes >= start && minutes < end);
+    const fromYesterday = rangesFor(settings, addDays(date, -1))
+      .some(([start, end]) => end > 1440 && minutes + 1440 < end);
+    return today || fromYesterday;
+  }
+
+  // Próxima apertura como texto: "hoy a las 19:00", "mañana a las 11:00", "el martes a las 11:00"
+  function nextOpening(locationId, now = new Date()) {
+    const settings = configFor(locationId);
+    if (!settings) return null;
+
+    const { date, minutes } = localParts(now, settings.timezone);
+    for (let offset = 0; offset <= 14; offset++) {
+      const day = addDays(date, offset);
+      const start = rangesFor(settings, day)
+        .map(([rangeStart]) => rangeStart)
+        .sort((a, b) => a - b)
+        .find(rangeStart => offset > 0 || rangeStart > minutes);
+
+      if (start !== undefined) {
+        const when = offset === 0 ? 'hoy' : offset === 1 ? 'mañana' : `el ${DAY_NAMES[weekdayOf(day)]}`;
+        return `${when} a las ${formatMinutes(start)}`;
+      }
+    }
+    return null;
+  }
+
+  // Motivo del cierre de hoy si es un feriado o fecha especial
+  function closureReason(locationId, now = new Date()) {
+    const settings = configFor(locationId);
+    if (!settings) return null;
+
+    const { date } = localParts(now, settings.timezone);
+    const exception = settings.exceptions.find(e => e.date === date && e.closed);
+    return exception ? exception.reason || null : null;
+  }
+
+  function isSchedulingEnabled(locationId) {
+    const settings = configFor(locationId);
+    return Boolean(settings && settings.scheduling.enabled);
+  }
+
+  // Fecha y hora de un turno para mostrar al cliente ("mar 20/10 21:00")
+  function formatSlot(at, locationId) {
+    const settings = configFor(locationId);
+    const timezone = settings ? settings.timezone : 'America/Argentina/Buenos_Aires';
+    const date = new Date(at);
+    const { date: day, weekday, minutes } = localParts(date, timezone);
+    const [, month, dayOfMonth] = day.split('-');
+    return `${DAY_NAMES[weekday].slice(0, 3)} ${dayOfMonth}/${month} ${formatMinutes(minutes)}`;
+  }
+
+  // Turnos futuros con lugar; booked: { [ISO del turno]: pedidos ya programados }
+  function availableSlots(locationId, booked = {}, now = new Date()) {
+    const settings = configFor(locationId);
+    if (!settings || !settings.scheduling.enabled) return [];
+
+    const { slotMinutes, slotCapacity, leadMinutes, maxDaysAhead } = settings.scheduling;
+    const earliest = now.getTime() + leadMinutes * 60 * 1000;
+    const { date: today } = localParts(now, settings.timezone);
+    const slots = [];
+
+    for (let offset = 0; offset <= maxDaysAhead && slots.length < MAX_SLOTS; offset++) {
+      const day = addDays(today, offset);
+
+      rangesFor(settings, day).forEach(([start, end]) => {
+        for (let minutes = start; minutes + slotMinutes <= end; minutes += slotMinutes) {
+          const at = toInstant(day, minutes, settings.timezone);
+          const key = at.toISOString();
+          if (at.getTime() < earliest || (booked[key] || 0) >= slotCapacity) continue;
+          if (slots.length < MAX_SLOTS) {
+            slots.push({ at: key, label: formatSlot(key, locationId) });
+          }
+        }
+      });
+    }
+
+    return slots;
+  }
+
+  function getConfig() {
+    return config;
+  }
+
+  // Reemplaza la configuración completa (desde el panel o la API)
+  function replace(newConfig) {
+    if (!newConfig || typeof newConfig !== 'object' || !newConfig.weekly) {
+      throw new Error('La configuración necesita al menos weekly');
+    }
+    if (newConfig.timezone) {
+      // Intl lanza RangeError si la zona horaria no existe
+      new Intl.DateTimeFormat('en-US', { timeZone: newConfig.timezone });
+    }
+
+    const checkRanges = ranges => (ranges || []).forEach(range => {
+      if (!Array.isArray(range) || range.length !== 2 || range.some(time => !/^\d{1,2}:\d{2}$/.test(time))) {
+        throw new Error(`Rango horario inválido: ${JSON.stringify(range)}`);
+      }
+    });
+    const checkSettings = settings => {
+      Object.values(settings.weekly || {}).forEach(checkRanges);
+      (settings.exceptions || []).forEach(exception => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(exception.date || '')) {
+          throw new Error(`Fecha inválida en excepciones: ${exception.date}`);
+        }
+        checkRanges(exception.hours);
+      });
+    };
+
+    checkSettings(newConfig);
+    Object.values(newConfig.locations || {}).forEach(checkSettings);
+
+    config = newConfig;
+    persist();
+    return config;
+  }
+
+  return {
+    isOpen,
+    nextOpening,
+    closureReason,
+    isSchedulingEnabled,
+    availableSlots,
+    formatSlot,
+    getConfig,
+    replace
+  };
+}
+
+module.exports = {
+  createSchedule,
+  localParts,
+  addDays
+};
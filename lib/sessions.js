@@ -0,0 +1,78 @@
+// Sesiones de conversación por cliente, persistidas en un archivo JSON
+//
+// Cada sesión guarda el estado del bot, el carrito y los datos del pedido en
+// curso, así un reinicio o deploy no pierde los carritos a medio armar.
+const path = require('path');
+const { createJsonFile } = require('./json-file');
+
+function createSession(phone, initialState) {
+  return {
+    phone: phone,
+    customerName: '',
+    state: initialState,
+    cart: [],
+    pendingItems: [],
+    deliveryType: null,
+    address: null,
+    deliveryZone: null,
+    scheduledFor: null,
+    slotOptions: [],
+    couponCode: null,
+    notes: '',
+    addressCoordinates: null,
+    addressOptions: [],
+    pendingOrderId: null,
+    unrecognized: 0,
+    locationId: null,
+    lastActivity: Date.now()
+  };
+}
+
+function createSessionStore(options = {}) {
+  const file = options.file || path.join(process.cwd(), 'data', 'sessions.json');
+  const initialState = options.initialState;
+  const sessions = new Map();
+  const jsonFile = createJsonFile(file, { name: 'sessions' });
+
+  // Cargar sesiones guardadas al iniciar
+  jsonFile.load([]).forEach(session => sessions.set(session.phone, session));
+
+  function persist() {
+    return jsonFile.save([...sessions.values()]);
+  }
+
+  // Devuelve la sesión del cliente, creándola si no existe
+  function get(phone) {
+    if (!sessions.has(phone)) {
+      sessions.set(phone, createSession(phone, initialState));
+    }
+    return sessions.get(phone);
+  }
+
+  function save(session) {
+    session.lastActivity = Date.now();
+    sessions.set(session.phone, session);
+    return persist();
+  }
+
+  function reset(phone) {
+    const session = createSession(phone, initialState);
+    sessions.set(phone, session);
+    persist();
+    return session;
+  }
+
+  // Sesiones con actividad más vieja que idleMs
+  function findIdle(idleMs, now = Date.now()) {
+    return [...sessions.values()].filter(session => now - session.lastActivity > idleMs);
+  }
+
+  return {
+    get,
+    save,
+    reset,
+    findIdle
+  };
+}
+
+module.exports = { createSessionStore };
@@ -0,0 +1,102 @@
+// Máquina de estados declarativa para las conversaciones del bot
+//
+// Cada estado declara:
+//   inputs:   [{ match, handle }] entradas que acepta en ese estado
+//   prompt:   (ctx) => mensaje que se envía al entrar al estado (opcional)
+//   fallback: (ctx) => respuesta para entradas no reconocidas (opcional)
+//
+// Los comandos globales (menu, carrito, finalizar...) se evalúan antes que las
+// entradas del estado. Un handler devuelve el próximo estado para hacer la
+// transición (y enviar su prompt) o nada para quedarse donde está.
+//
+// Las guardas (guards, ej. local cerrado) se evalúan antes que todo, incluso
+// antes que los comandos globales.
+//
+// `match` puede ser un texto exacto, una lista de textos, una RegExp o una
+// función (ctx) => valor; el resultado del match se pasa al handler.
+
+function matchInput(matcher, ctx) {
+  if (typeof matcher === 'string') {
+    return ctx.message === matcher;
+  }
+  if (Array.isArray(matcher)) {
+    return matcher.includes(ctx.message);
+  }
+  if (matcher instanceof RegExp) {
+    return ctx.message.match(matcher);
+  }
+  if (typeof matcher === 'function') {
+    return matcher(ctx);
+  }
+  return false;
+}
+
+function findInput(inputs, ctx) {
+  for (const input of inputs || []) {
+    const match = matchInput(input.match, ctx);
+    if (match) {
+      return { input, match };
+    }
+  }
+  return null;
+}
+
+function createStateMachine({ initialState, states, guards = [], globalCommands = [], fallback }) {
+  if (!states[initialState]) {
+    throw new Error(`Estado inicial no definido: ${initialState}`);
+  }
+
+  // Entrar a un estado y enviar su prompt si lo declara
+  async function transition(ctx, nextState) {
+    if (!states[nextState]) {
+      throw new Error(`Estado no definido: ${nextState}`);
+    }
+
+    ctx.session.state = nextState;
+
+    const { prompt } = states[nextState];
+    if (!prompt) return;
+
+    const message = await prompt(ctx);
+    if (typeof message === 'string') {
+      await ctx.reply(message);
+    } else if (message) {
+      await ctx.reply(message.body, message.options);
+    }
+  }
+
+  // Procesar un mensaje entrante para la sesión de ctx
+  async function handle(ctx) {
+    if (!states[ctx.session.state]) {
+      ctx.session.state = initialState;
+    }
+    const state = states[ctx.session.state];
+
+    const found = findInput(guards, ctx) || findInput(globalCommands, ctx) || findInput(state.inputs, ctx);
+
+    let nextState;
+    if (found) {
+      nextState = await found.input.handle(ctx, found.match);
+    } else if (state.fallback) {
+      nextState = await state.fallback(ctx);
+    } else if (fallback) {
+      nextState = await fallback(ctx);
+    }
+
+    if (nextState) {
+      await transition(ctx, nextState);
+    }
+
+    return ctx.session.state;
+  }
+
+  return {
+    handle,
+    transition
+  };
+}
+
+module.exports = {
+  createStateMachine,
+  matchInput
+};
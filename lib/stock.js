@@ -0,0 +1,51 @@
+// Reserva de stock de los pedidos
+//
+// El stock se descuenta antes de guardar el pedido para que dos clientes no se
+// lleven la misma última unidad. Si el pedido no se llega a guardar, se devuelven
+// solo las unidades que se descontaron: los productos sin stock controlado (o un
+// descuento que falló) no suman nada al devolver.
+
+function createStockReservations({ storage, onChange = () => {} }) {
+  // Función para descontar el stock de un carrito y guardar el pedido con save()
+  // save devuelve el pedido guardado o null si no se pudo guardar
+  // Devuelve { order }, { error: 'OUT_OF_STOCK', shortages } si no alcanza,
+  // { error: 'STOCK_UNAVAILABLE' } si no se pudo descontar o { error: 'SAVE_FAILED' }
+  async function reserve(cart, save) {
+    let result;
+    try {
+      result = await storage.reserveStock(cart);
+    } catch (error) {
+      console.error('Error reserving stock:', error);
+      return { error: 'STOCK_UNAVAILABLE' };
+    }
+
+    if (result.shortages.length > 0) {
+      return { error: 'OUT_OF_STOCK', shortages: result.shortages };
+    }
+    onChange(result.products);
+
+    const order = await save();
+    if (!order) {
+      // El pedido no quedó registrado: se libera solo lo que se reservó
+      const reservedIds = result.products.map(product => product.id);
+      await restore(cart.filter(item => reservedIds.includes(item.id)));
+      return { error: 'SAVE_FAILED' };
+    }
+    return { order };
+  }
+
+  // Función para devolver al stock las unidades de un pedido (cancelado o sin guardar)
+  async function restore(items) {
+    if (items.length === 0) return;
+
+    try {
+      onChange(await storage.restoreStock(items));
+    } catch (error) {
+      console.error('Error restoring stock:', error);
+    }
+  }
+
+  return { reserve, restore };
+}
+
+module.exports = { createStockReservations };
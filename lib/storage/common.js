@@ -0,0 +1,67 @@
+// Utilidades compartidas por los adaptadores de almacenamiento
+const { isFinal } = require('../lifecycle');
+
+// Función para normalizar teléfonos ("whatsapp:+54911..." -> "54911...")
+function normalizePhone(phone) {
+  return (phone || '').replace('whatsapp:', '').replace('+', '');
+}
+
+// Un pedido está abierto hasta llegar a un estado final del ciclo de vida
+function isOpenOrder(order) {
+  return !isFinal(order.status);
+}
+
+// Los pedidos del simulador son de prueba: no mueven stock, no se imprimen
+// y no cuentan para cupones, turnos ni reportes
+function isSimulatorOrder(order) {
+  return order.channel === 'simulator';
+}
+
+// Stock opcional por producto: null = sin control. Con stock en 0 el producto
+// queda sin stock (outOfStock) y deja de estar disponible hasta reponerlo.
+// Se puede volver a aplicar sobre un producto ya calculado al cambiar su stock
+function applyStock(product) {
+  const listed = Boolean(product.available || product.outOfStock);
+  const stock = product.stock === undefined || product.stock === null || product.stock === '' ?
+    null :
+    Number(product.stock);
+  const outOfStock = listed && stock !== null && stock <= 0;
+  return { ...product, stock, outOfStock, available: listed && !outOfStock };
+}
+
+// Unidades pedidas por producto (varias líneas del carrito pueden ser el mismo producto)
+function quantitiesByProduct(items) {
+  const quantities = {};
+  items.forEach(item => {
+    quantities[item.id] = (quantities[item.id] || 0) + item.quantity;
+  });
+  return quantities;
+}
+
+// Productos con stock controlado que no alcanzan: [{ id, name, stock, requested }]
+function findShortages(menu, quantities) {
+  return menu
+    .filter(product => quantities[product.id] && product.stock !== null && product.stock < quantities[product.id])
+    .map(product => ({
+      id: product.id,
+      name: product.name,
+      stock: Math.max(product.stock, 0),
+      requested: quantities[product.id]
+    }));
+}
+
+// ID para un producto nuevo: el siguiente número (los clientes piden por número)
+function nextProductId(menu) {
+  const ids = menu.map(product => parseInt(product.id, 10)).filter(Number.isFinite);
+  return String(ids.length > 0 ? Math.max(...ids) + 1 : 1);
+}
+
+module.exports = {
+  normalizePhone,
+  isOpenOrder,
+  isSimulatorOrder,
+  applyStock,
+  quantitiesByProduct,
+  findShortages,
+  nextProductId
+};
@@ -0,0 +1,43 @@
+// Capa de almacenamiento de menú y pedidos
+//
+// Todos los adaptadores exponen la misma interfaz:
+//   getMenu()                   -> productos del menú (incluye no disponibles)
+//   getOrders()                 -> todos los pedidos
+//   getOrderById(orderId)       -> pedido o null
+//   getOrdersByPhone(phone)     -> pedidos de un cliente
+//   createOrder(orderData)      -> pedido guardado
+//   updateOrder(orderId, changes) -> pedido actualizado o null
+//   appendHistory(orderId, { at, by, from, to }) -> agrega un cambio de estado
+//   getHistory(orderId)         -> cambios de estado del pedido, del más viejo al más nuevo
+//   createProduct(product)      -> producto creado con el próximo ID numérico
+//   updateProduct(id, changes)  -> producto actualizado o null si no existe
+//   reserveStock(items)         -> descuenta stock de forma atómica: { shortages, products };
+//                                  si falta stock (shortages) no descuenta nada
+//   restoreStock(items)         -> devuelve al stock las unidades (pedido cancelado)
+//   setStock(productId, stock)  -> fija el stock (null = sin control) o null si no existe
+//
+// El adaptador se elige con STORAGE_DRIVER: "sheets" (por defecto) o "local".
+const path = require('path');
+const { createSheetsStorage } = require('./sheets');
+const { createLocalStorage } = require('./local');
+
+function createStorage(env = process.env) {
+  const driver = env.STORAGE_DRIVER || 'sheets';
+
+  switch (driver) {
+    case 'sheets':
+      return createSheetsStorage({
+        spreadsheetId: env.SPREADSHEET_ID,
+        clientEmail: env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+        privateKey: env.GOOGLE_PRIVATE_KEY
+      });
+    case 'local':
+      return createLocalStorage({
+        dataDir: env.LOCAL_DATA_DIR || path.join(__dirname, '..', '..', 'data')
+      });
+    default:
+      throw new Error(`STORAGE_DRIVER desconocido: ${driver}`);
+  }
+}
+
+module.exports = { createStorage };
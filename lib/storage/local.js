@@ -0,0 +1,189 @@
+// Adaptador de almacenamiento local en archivos JSON (desarrollo y tests sin red)
+const path = require('path');
+const { createJsonFile } = require('../json-file');
+const { normalizePhone, applyStock, quantitiesByProduct, findShortages, nextProductId } = require('./common');
+
+// Menú de ejemplo que se crea la primera vez si no existe menu.json
+// Cada producto puede tener modifierGroups: [{ name, required, max, options: [{ name, priceDelta }] }]
+// y stock (cantidad disponible; sin stock o null no se controla)
+const SAMPLE_MENU = [
+  { id: '1', name: 'Empanada de carne', description: 'Cortada a cuchillo', price: 1200, category: 'Empanadas', available: true },
+  { id: '2', name: 'Empanada de jamón y queso', description: '', price: 1200, category: 'Empanadas', available: true },
+  {
+    id: '3', name: 'Pizza muzzarella', description: '', price: 8000, category: 'Pizzas', available: true,
+    modifierGroups: [
+      {
+        name: 'Tamaño', required: true, max: 1,
+        options: [{ name: 'Chica', priceDelta: 0 }, { name: 'Grande', priceDelta: 2500 }]
+      },
+      {
+        name: 'Extras', required: false, max: 2,
+        options: [{ name: 'Extra queso', priceDelta: 1500 }, { name: 'Sin cebolla', priceDelta: 0 }]
+      }
+    ]
+  },
+  { id: '4', name: 'Gaseosa 1.5L', description: '', price: 3000, category: 'Bebidas', available: true }
+];
+
+// Copia del menú de ejemplo para poder modificarla sin tocar la constante
+function sampleMenu() {
+  return JSON.parse(JSON.stringify(SAMPLE_MENU));
+}
+
+function createLocalStorage(options = {}) {
+  const dataDir = options.dataDir || path.join(process.cwd(), 'data');
+  // Cada archivo encadena sus escrituras para que dos pedidos simultáneos no se pisen
+  const menuFile = createJsonFile(path.join(dataDir, 'menu.json'));
+  const ordersFile = createJsonFile(path.join(dataDir, 'orders.json'));
+  const historyFile = createJsonFile(path.join(dataDir, 'history.json'));
+
+  async function getMenu() {
+    const menu = await menuFile.read(null);
+    if (menu) return menu.map(applyStock);
+
+    // La primera vez se crea menu.json con el menú de ejemplo
+    const created = await menuFile.update(sampleMenu(), sample => sample);
+    return created.map(applyStock);
+  }
+
+  function createProduct(product) {
+    return menuFile.update(sampleMenu(), menu => {
+      const created = { id: nextProductId(menu), ...product };
+      menu.push(created);
+      return applyStock(created);
+    });
+  }
+
+  function updateProduct(productId, changes) {
+    return menuFile.update(sampleMenu(), menu => {
+      const product = menu.find(p => p.id === productId);
+      if (!product) return null;
+
+      Object.assign(product, changes);
+      return applyStock(product);
+    });
+  }
+
+  function reserveStock(items) {
+    const quantities = quantitiesByProduct(items);
+
+    return menuFile.update(sampleMenu(), menu => {
+      const shortages = findShortages(menu.map(applyStock), quantities);
+      if (shortages.length > 0) return { shortages, products: [] };
+
+      const products = menu.filter(product => quantities[product.id] && applyStock(product).stock !== null);
+      products.forEach(product => {
+        product.stock = Number(product.stock) - quantities[product.id];
+      });
+      return { shortages: [], products: products.map(applyStock) };
+    });
+  }
+
+  function restoreStock(items) {
+    const quantities = quantitiesByProduct(items);
+
+    return menuFile.update(sampleMenu(), menu => {
+      const products = menu.filter(product => quantities[product.id] && applyStock(product).stock !== null);
+      products.forEach(product => {
+        product.stock = Number(product.stock) + quantities[product.id];
+      });
+      return products.map(applyStock);
+    });
+  }
+
+  function setStock(productId, stock) {
+    return menuFile.update(sampleMenu(), menu => {
+      const product = menu.find(p => p.id === productId);
+      if (!product) return null;
+
+      product.stock = stock;
+      return applyStock(product);
+    });
+  }
+
+  async function getOrders() {
+    return ordersFile.read([]);
+  }
+
+  async function getOrderById(orderId) {
+    const orders = await getOrders();
+    return orders.find(order => order.orderId === orderId) || null;
+  }
+
+  async function getOrdersByPhone(phone) {
+    const orders = await getOrders();
+    return orders.filter(order => normalizePhone(order.phone) === normalizePhone(phone));
+  }
+
+  function createOrder(orderData) {
+    const order = {
+      orderId: orderData.orderId,
+      date: new Date().toISOString(),
+      phone: orderData.customerPhone,
+      customer: orderData.customerName,
+      items: orderData.items,
+      total: orderData.total,
+      deliveryType: orderData.deliveryType,
+      address: orderData.address || '',
+      deliveryZone: orderData.deliveryZone || '',
+      deliveryFee: orderData.deliveryFee || 0,
+      discounts: orderData.discounts || [],
+      coupon: orderData.coupon || '',
+      notes: orderData.notes || '',
+      scheduledFor: orderData.scheduledFor || '',
+      status: 'NUEVO',
+      paymentMethod: orderData.paymentMethod || 'Efectivo',
+      paymentStatus: orderData.paymentStatus || 'Pendiente',
+      receipt: '',
+      locationId: orderData.locationId || '',
+      channel: orderData.channel || 'twilio'
+    };
+
+    return ordersFile.update([], orders => {
+      orders.push(order);
+      return order;
+    });
+  }
+
+  function updateOrder(orderId, changes) {
+    return ordersFile.update([], orders => {
+      const order = orders.find(o => o.orderId === orderId);
+      if (!order) return null;
+
+      Object.assign(order, changes);
+      return { ...order };
+    });
+  }
+
+  function appendHistory(orderId, entry) {
+    return historyFile.update([], history => {
+      history.push({ orderId, ...entry });
+      return entry;
+    });
+  }
+
+  async function getHistory(orderId) {
+    const history = await historyFile.read([]);
+    return history
+      .filter(entry => entry.orderId === orderId)
+      .map(({ orderId, ...entry }) => entry);
+  }
+
+  return {
+    getMenu,
+    getOrders,
+    getOrderById,
+    getOrdersByPhone,
+    createOrder,
+    updateOrder,
+    appendHistory,
+    getHistory,
+    createProduct,
+    updateProduct,
+    reserveStock,
+    restoreStock,
+    setStock
+  };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,399 @@
+// Adaptador de almacenamiento sobre Google Sheets
+const { google } = require('googleapis');
+const { normalizePhone, applyStock, quantitiesByProduct, findShortages, nextProductId } = require('./common');
+
+// Columnas de la hoja Menu: A ID, B Nombre, C Descripción, D Precio, E Categoría,
+// F Disponible, G Stock (vacío = sin control de stock)
+const MENU_RANGE = 'Menu!A:G';
+const MENU_COLUMNS = {
+  name: 'B',
+  description: 'C',
+  price: 'D',
+  category: 'E',
+  available: 'F'
+};
+const ORDERS_RANGE = 'Pedidos!A:T';
+const MODIFIERS_RANGE = 'Modificadores!A:F';
+// Historial de cambios de estado: A ID de pedido, B Fecha, C Usuario, D Desde, E Hacia
+const HISTORY_RANGE = 'Historial!A:E';
+
+// Columnas de la hoja Pedidos: A Fecha, B Teléfono, C Cliente, D Items, E Total,
+// F Tipo de entrega, G Dirección, H Estado, I Método de pago, J Estado del pago, K ID de pedido,
+// L Comprobante de pago, M Local, N Zona de delivery, O Costo de envío (incluido en el total),
+// P Programado para (fecha ISO del turno, vacío si es para ya), Q Descuentos aplicados
+// (JSON [{ label, amount }], ya restados del total), R Cupón, S Nota para la cocina,
+// T Canal por el que entró ('twilio' o 'simulator' para los pedidos de prueba)
+const ORDER_COLUMNS = {
+  status: 'H',
+  paymentMethod: 'I',
+  paymentStatus: 'J',
+  receipt: 'L'
+};
+
+// Función para agrupar las filas de la hoja Modificadores por producto
+// Columnas: A ID de producto, B Grupo, C Opción, D Precio extra, E Obligatorio, F Máximo
+function parseModifierRows(rows) {
+  const groupsByProduct = {};
+
+  rows.forEach(row => {
+    const productId = row[0];
+    const groupName = row[1];
+    if (!productId || !groupName || !row[2]) return;
+
+    const groups = groupsByProduct[productId] || (groupsByProduct[productId] = []);
+    let group = groups.find(g => g.name === groupName);
+    if (!group) {
+      group = {
+        name: groupName,
+        required: row[4] === 'TRUE',
+        max: parseInt(row[5], 10) || 1,
+        options: []
+      };
+      groups.push(group);
+    }
+
+    group.options.push({
+      name: row[2],
+      priceDelta: parseFloat(row[3]) || 0
+    });
+  });
+
+  return groupsByProduct;
+}
+
+// Función para convertir una fila de la hoja Pedidos en un objeto pedido
+function parseOrderRow(row, rowIndex) {
+  return {
+    orderId: row[10] || '',
+    rowIndex: rowIndex,
+    date: row[0],
+    phone: row[1],
+    customer: row[2],
+    items: JSON.parse(row[3] || '[]'),
+    total: parseFloat(row[4]),
+    deliveryType: row[5],
+    address: row[6],
+    status: row[7] || 'NUEVO',
+    paymentMethod: row[8] || 'Efectivo',
+    paymentStatus: row[9] || 'Pendiente',
+    receipt: row[11] || '',
+    locationId: row[12] || '',
+    deliveryZone: row[13] || '',
+    deliveryFee: parseFloat(row[14]) || 0,
+    scheduledFor: row[15] || '',
+    discounts: JSON.parse(row[16] || '[]'),
+    coupon: row[17] || '',
+    notes: row[18] || '',
+    channel: row[19] || 'twilio'
+  };
+}
+
+function createSheetsStorage(options = {}) {
+  const auth = new google.auth.GoogleAuth({
+    credentials: {
+      client_email: options.clientEmail,
+      private_key: options.privateKey ? options.privateKey.replace(/\\n/g, '\n') : '',
+    },
+    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+  });
+
+  const sheets = google.sheets({ version: 'v4', auth });
+  const spreadsheetId = options.spreadsheetId;
+
+  async function getMenu() {
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: MENU_RANGE,
+    });
+
+    const rows = response.data.values;
+    if (!rows || rows.length === 0) return [];
+
+    const [headers, ...data] = rows;
+    const modifiers = await getModifierGroups();
+
+    return data.map((row, index) => applyStock({
+      id: row[0],
+      rowIndex: index + 2,
+      name: row[1],
+      description: row[2] || '',
+      price: parseFloat(row[3]),
+      category: row[4],
+      available: row[5] === 'TRUE',
+      stock: row[6],
+      modifierGroups: modifiers[row[0]] || []
+    }));
+  }
+
+  // La hoja Modificadores es opcional: si no existe, no hay opciones
+  async function getModifierGroups() {
+    try {
+      const response = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: MODIFIERS_RANGE,
+      });
+
+      const [headers, ...data] = response.data.values || [];
+      return parseModifierRows(data);
+    } catch (error) {
+      console.error('Error getting modifiers:', error.message);
+      return {};
+    }
+  }
+
+  async function getOrders() {
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: ORDERS_RANGE,
+    });
+
+    const rows = response.data.values;
+    if (!rows || rows.length <= 1) return [];
+
+    const [headers, ...data] = rows;
+    return data.map((row, index) => parseOrderRow(row, index + 2));
+  }
+
+  async function getOrderById(orderId) {
+    const orders = await getOrders();
+    return orders.find(order => order.orderId === orderId) || null;
+  }
+
+  async function getOrdersByPhone(phone) {
+    const orders = await getOrders();
+    return orders.filter(order => normalizePhone(order.phone) === normalizePhone(phone));
+  }
+
+  async function createOrder(orderData) {
+    const order = {
+      orderId: orderData.orderId,
+      date: new Date().toISOString(),
+      phone: orderData.customerPhone,
+      customer: orderData.customerName,
+      items: orderData.items,
+      total: orderData.total,
+      deliveryType: orderData.deliveryType,
+      address: orderData.address || '',
+      deliveryZone: orderData.deliveryZone || '',
+      deliveryFee: orderData.deliveryFee || 0,
+      discounts: orderData.discounts || [],
+      coupon: orderData.coupon || '',
+      notes: orderData.notes || '',
+      scheduledFor: orderData.scheduledFor || '',
+      status: 'NUEVO',
+      paymentMethod: orderData.paymentMethod || 'Efectivo',
+      paymentStatus: orderData.paymentStatus || 'Pendiente',
+      receipt: '',
+      locationId: orderData.locationId || '',
+      channel: orderData.channel || 'twilio'
+    };
+
+    await sheets.spreadsheets.values.append({
+      spreadsheetId,
+      range: ORDERS_RANGE,
+      valueInputOption: 'USER_ENTERED',
+      resource: {
+        values: [[
+          order.date,
+          order.phone,
+          order.customer,
+          JSON.stringify(order.items),
+          order.total,
+          order.deliveryType,
+          order.address,
+          order.status,
+          order.paymentMethod,
+          order.paymentStatus,
+          order.orderId,
+          order.receipt,
+          order.locationId,
+          order.deliveryZone,
+          order.deliveryFee,
+          order.scheduledFor,
+          JSON.stringify(order.discounts),
+          order.coupon,
+          order.notes,
+          order.channel
+        ]]
+      }
+    });
+
+    return order;
+  }
+
+  async function updateOrder(orderId, changes) {
+    const order = await getOrderById(orderId);
+    if (!order) return null;
+
+    const data = Object.keys(changes)
+      .filter(field => ORDER_COLUMNS[field])
+      .map(field => ({
+        range: `Pedidos!${ORDER_COLUMNS[field]}${order.rowIndex}`,
+        values: [[changes[field]]]
+      }));
+
+    if (data.length > 0) {
+      await sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        resource: { valueInputOption: 'USER_ENTERED', data }
+      });
+    }
+
+    return { ...order, ...changes };
+  }
+
+  async function appendHistory(orderId, entry) {
+    await sheets.spreadsheets.values.append({
+      spreadsheetId,
+      range: HISTORY_RANGE,
+      valueInputOption: 'RAW',
+      resource: { values: [[orderId, entry.at, entry.by, entry.from, entry.to]] }
+    });
+    return entry;
+  }
+
+  async function getHistory(orderId) {
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: HISTORY_RANGE,
+    });
+
+    const [headers, ...data] = response.data.values || [];
+    return data
+      .filter(row => row[0] === orderId)
+      .map(row => ({ at: row[1], by: row[2], from: row[3], to: row[4] }));
+  }
+
+  function menuCellValue(field, value) {
+    return field === 'available' ? (value ? 'TRUE' : 'FALSE') : value;
+  }
+
+  async function createProduct(product) {
+    const menu = await getMenu();
+    const created = { id: nextProductId(menu), ...product };
+
+    await sheets.spreadsheets.values.append({
+      spreadsheetId,
+      range: MENU_RANGE,
+      valueInputOption: 'USER_ENTERED',
+      resource: {
+        values: [[
+          created.id,
+          created.name,
+          created.description || '',
+          created.price,
+          created.category,
+          menuCellValue('available', created.available),
+          ''
+        ]]
+      }
+    });
+
+    return applyStock({ ...created, stock: null, modifierGroups: [] });
+  }
+
+  async function updateProduct(productId, changes) {
+    const menu = await getMenu();
+    const product = menu.find(p => p.id === productId);
+    if (!product) return null;
+
+    const data = Object.keys(changes)
+      .filter(field => MENU_COLUMNS[field])
+      .map(field => ({
+        range: `Menu!${MENU_COLUMNS[field]}${product.rowIndex}`,
+        values: [[menuCellValue(field, changes[field])]]
+      }));
+
+    if (data.length > 0) {
+      await sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        resource: { valueInputOption: 'USER_ENTERED', data }
+      });
+    }
+
+    // available es la marca de la hoja; el stock se vuelve a aplicar encima
+    const listed = product.available || product.outOfStock;
+    return applyStock({ ...product, available: listed, outOfStock: false, ...changes });
+  }
+
+  // Los cambios de stock pasan de a uno para que dos pedidos simultáneos
+  // no lean el mismo valor y descuenten una sola vez
+  let stockQueue = Promise.resolve();
+
+  function withStockLock(fn) {
+    const result = stockQueue.then(fn);
+    stockQueue = result.catch(() => {});
+    return result;
+  }
+
+  async function writeStock(products) {
+    if (products.length === 0) return;
+
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      resource: {
+        valueInputOption: 'USER_ENTERED',
+        data: products.map(product => ({
+          range: `Menu!G${product.rowIndex}`,
+          values: [[product.stock === null ? '' : product.stock]]
+        }))
+      }
+    });
+  }
+
+  // Suma (o resta, con sign = -1) unidades a los productos con stock controlado
+  async function adjustStock(quantities, sign) {
+    const menu = await getMenu();
+    const products = menu
+      .filter(product => quantities[product.id] && product.stock !== null)
+      .map(product => applyStock({ ...product, stock: product.stock + sign * quantities[product.id] }));
+
+    await writeStock(products);
+    return products;
+  }
+
+  function reserveStock(items) {
+    const quantities = quantitiesByProduct(items);
+
+    return withStockLock(async () => {
+      const shortages = findShortages(await getMenu(), quantities);
+      if (shortages.length > 0) return { shortages, products: [] };
+
+      return { shortages: [], products: await adjustStock(quantities, -1) };
+    });
+  }
+
+  function restoreStock(items) {
+    return withStockLock(() => adjustStock(quantitiesByProduct(items), 1));
+  }
+
+  function setStock(productId, stock) {
+    return withStockLock(async () => {
+      const menu = await getMenu();
+      const product = menu.find(p => p.id === productId);
+      if (!product) return null;
+
+      const updated = applyStock({ ...product, stock });
+      await writeStock([updated]);
+      return updated;
+    });
+  }
+
+  return {
+    getMenu,
+    getOrders,
+    getOrderById,
+    getOrdersByPhone,
+    createOrder,
+    updateOrder,
+    appendHistory,
+    getHistory,
+    createProduct,
+    updateProduct,
+    reserveStock,
+    restoreStock,
+    setStock
+  };
+}
+
+module.exports = { createSheetsStorage };
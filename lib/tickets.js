@@ -0,0 +1,169 @@
+// Comandas de cocina: HTML para imprimir desde el navegador y ESC/POS para impresoras térmicas
+//
+// Las dos salidas muestran lo mismo: número de pedido, hora, tipo de entrega,
+// productos con cantidad y opciones, y la nota del cliente. No llevan precios.
+const { formatModifiers } = require('./messages');
+const { escapeHtml } = require('./escape-html');
+
+// Caracteres por línea en una impresora de 80 mm con la fuente normal
+const LINE_WIDTH = 42;
+
+// Comandos ESC/POS
+const ESC = 0x1b;
+const GS = 0x1d;
+const INIT = [ESC, 0x40];
+const CODE_PAGE_850 = [ESC, 0x74, 0x02];
+const ALIGN_LEFT = [ESC, 0x61, 0x00];
+const ALIGN_CENTER = [ESC, 0x61, 0x01];
+const BOLD_ON = [ESC, 0x45, 0x01];
+const BOLD_OFF = [ESC, 0x45, 0x00];
+const DOUBLE_SIZE = [GS, 0x21, 0x11];
+const DOUBLE_HEIGHT = [GS, 0x21, 0x01];
+const NORMAL_SIZE = [GS, 0x21, 0x00];
+const FEED_AND_CUT = [ESC, 0x64, 0x04, GS, 0x56, 0x42, 0x00];
+
+// Letras del español en la página de códigos 850; el resto fuera de ASCII se descarta (emojis)
+const CP850 = {
+  'á': 0xa0, 'é': 0x82, 'í': 0xa1, 'ó': 0xa2, 'ú': 0xa3, 'ñ': 0xa4, 'ü': 0x81,
+  'Á': 0xb5, 'É': 0x90, 'Í': 0xd6, 'Ó': 0xe0, 'Ú': 0xe9, 'Ñ': 0xa5, 'Ü': 0x9a,
+  '¿': 0xa8, '¡': 0xad, '°': 0xf8
+};
+
+// Función para reunir los datos de la comanda de un pedido
+// options: { location, timezone, scheduledLabel }
+function ticketData(order, { location, timezone, scheduledLabel }) {
+  const date = new Date(order.date);
+
+  return {
+    shopName: location ? location.name : '',
+    orderShortId: order.orderId.slice(-6),
+    time: date.toLocaleString('es-AR', {
+      timeZone: timezone,
+      day: '2-digit',
+      month: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }),
+    customer: order.customer || 'Cliente',
+    delivery: order.deliveryType === 'delivery' ? 'DELIVERY' : 'RETIRO',
+    scheduled: order.scheduledFor ? scheduledLabel || order.scheduledFor : '',
+    items: (order.items || []).map(item => ({
+      quantity: item.quantity,
+      name: item.name,
+      modifiers: item.modifiers && item.modifiers.length > 0 ? formatModifiers(item) : ''
+    })),
+    notes: order.notes || ''
+  };
+}
+
+// Función para armar la comanda como página HTML de 80 mm lista para imprimir
+function renderTicketHtml(order, options) {
+  const ticket = ticketData(order, options);
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <title>Comanda #${ticket.orderShortId}</title>
+    <style>
+        @page { size: 80mm auto; margin: 4mm; }
+        body { width: 72mm; margin: 0 auto; font-family: 'Courier New', monospace; font-size: 14px; }
+        h1 { font-size: 28px; text-align: center; margin: 8px 0; }
+        .center { text-align: center; }
+        .delivery { font-size: 20px; font-weight: bold; text-align: center; border: 2px solid #000; padding: 4px; margin: 8px 0; }
+        .item { font-size: 18px; font-weight: bold; margin-top: 8px; }
+        .modifiers { margin-left: 24px; }
+        .notes { border-top: 2px dashed #000; margin-top: 12px; padding-top: 8px; font-size: 16px; font-weight: bold; }
+        button { width: 100%; padding: 10px; margin-top: 16px; font-size: 16px; }
+        @media print { button { display: none; } }
+    </style>
+</head>
+<body>
+    <div class="center">${escapeHtml(ticket.shopName)}</div>
+    <h1>#${ticket.orderShortId}</h1>
+    <div class="center">${escapeHtml(ticket.time)} • ${escapeHtml(ticket.customer)}</div>
+    <div class="delivery">${ticket.delivery}${ticket.scheduled ? `<br>Programado: ${escapeHtml(ticket.scheduled)}` : ''}</div>
+    ${ticket.items.map(item => `
+    <div class="item">${item.quantity} x ${escapeHtml(item.name)}</div>
+    ${item.modifiers ? `<div class="modifiers">+ ${escapeHtml(item.modifiers)}</div>` : ''}`).join('')}
+    ${ticket.notes ? `<div class="notes">NOTA: ${escapeHtml(ticket.notes)}</div>` : ''}
+    <button onclick="window.print()">🖨️ Imprimir</button>
+</body>
+</html>
+`;
+}
+
+// Texto a bytes de la página 850, sin emojis ni otros caracteres que la impresora no tiene
+function encode(text) {
+  const bytes = [];
+  for (const char of String(text)) {
+    const code = /\s/.test(char) ? 0x20 : char.codePointAt(0);
+    if (code >= 0x20 && code < 0x7f) {
+      bytes.push(code);
+    } else if (CP850[char]) {
+      bytes.push(CP850[char]);
+    }
+  }
+  return bytes;
+}
+
+// Corta un texto en líneas de `width` caracteres sin partir palabras
+function wrap(text, width, indent = '') {
+  const lines = [];
+  let line = '';
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    if (line && (line + ' ' + word).length > width) {
+      lines.push(line);
+      line = indent + word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Función para armar la comanda en bytes ESC/POS (impresoras térmicas de 80 mm)
+function renderEscPos(order, options) {
+  const ticket = ticketData(order, options);
+  const bytes = [...INIT, ...CODE_PAGE_850, ...ALIGN_CENTER];
+  const text = (value) => bytes.push(...encode(value), 0x0a);
+
+  text(ticket.shopName);
+  bytes.push(...DOUBLE_SIZE, ...BOLD_ON);
+  text(`#${ticket.orderShortId}`);
+  bytes.push(...NORMAL_SIZE, ...BOLD_OFF);
+  text(`${ticket.time} - ${ticket.customer}`);
+  bytes.push(...DOUBLE_HEIGHT, ...BOLD_ON);
+  text(ticket.delivery);
+  bytes.push(...NORMAL_SIZE, ...BOLD_OFF);
+  if (ticket.scheduled) text(`Programado: ${ticket.scheduled}`);
+  bytes.push(...ALIGN_LEFT);
+  text('-'.repeat(LINE_WIDTH));
+
+  // Con doble alto el ancho de línea no cambia
+  ticket.items.forEach(item => {
+    bytes.push(...DOUBLE_HEIGHT, ...BOLD_ON);
+    wrap(`${item.quantity} x ${item.name}`, LINE_WIDTH, '    ').forEach(text);
+    bytes.push(...NORMAL_SIZE, ...BOLD_OFF);
+    if (item.modifiers) {
+      wrap(`+ ${item.modifiers}`, LINE_WIDTH - 4).forEach(line => text(`    ${line}`));
+    }
+  });
+
+  if (ticket.notes) {
+    text('-'.repeat(LINE_WIDTH));
+    bytes.push(...BOLD_ON);
+    wrap(`NOTA: ${ticket.notes}`, LINE_WIDTH).forEach(text);
+    bytes.push(...BOLD_OFF);
+  }
+
+  bytes.push(...FEED_AND_CUT);
+  return Buffer.from(bytes);
+}
+
+module.exports = {
+  renderTicketHtml,
+  renderEscPos
+};
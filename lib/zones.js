@@ -0,0 +1,148 @@
+// Zonas de delivery: costo de envío, pedido mínimo y demora de cada zona
+//
+// Las zonas se configuran en un archivo JSON:
+//   { zones: [{ id, name, locationId, neighborhoods: ['Palermo', ...],
+//               polygon: [[lat, lng], ...], fee, minimum, eta }] }
+// Una dirección escrita entra en la zona si menciona alguno de sus barrios o
+// localidades; una ubicación compartida por WhatsApp, si cae dentro del polígono.
+// locationId vacío = la zona vale para todos los locales. Si un local no tiene
+// zonas, acepta cualquier dirección sin costo de envío.
+const fs = require('fs');
+const path = require('path');
+
+// Minúsculas y sin acentos, para comparar "Núñez" con "nunez"
+function normalizeText(text) {
+  return (text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// El barrio tiene que aparecer como palabra completa ("Once" no entra en "Oncenario")
+function mentions(address, neighborhood) {
+  const pattern = new RegExp(`(^|[^a-z0-9])${escapeRegExp(normalizeText(neighborhood))}($|[^a-z0-9])`);
+  return pattern.test(normalizeText(address));
+}
+
+// Punto dentro de polígono por ray casting; polygon: [[lat, lng], ...]
+function containsPoint(polygon, latitude, longitude) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    const crosses = (lngI > longitude) !== (lngJ > longitude) &&
+      latitude < (latJ - latI) * (longitude - lngI) / (lngJ - lngI) + latI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+// Función para validar y completar una zona antes de guardarla
+function normalizeZone(zone) {
+  if (!zone || !/^[a-z0-9-]+$/.test(zone.id || '')) {
+    throw new Error('Cada zona necesita un ID con minúsculas, números y guiones');
+  }
+  if (!zone.name) {
+    throw new Error(`La zona ${zone.id} necesita un nombre`);
+  }
+
+  const polygon = Array.isArray(zone.polygon) ? zone.polygon : [];
+  if (polygon.length > 0 && (polygon.length < 3 ||
+    polygon.some(point => !Array.isArray(point) || point.length !== 2 || point.some(n => typeof n !== 'number')))) {
+    throw new Error(`El polígono de la zona ${zone.id} debe tener al menos 3 puntos [lat, lng]`);
+  }
+
+  const neighborhoods = (Array.isArray(zone.neighborhoods) ? zone.neighborhoods : [])
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  if (neighborhoods.length === 0 && polygon.length === 0) {
+    throw new Error(`La zona ${zone.id} necesita barrios o un polígono`);
+  }
+
+  return {
+    id: zone.id,
+    name: zone.name,
+    locationId: zone.locationId || '',
+    neighborhoods,
+    polygon,
+    fee: Number(zone.fee) || 0,
+    minimum: Number(zone.minimum) || 0,
+    eta: zone.eta || ''
+  };
+}
+
+function createZoneStore(options = {}) {
+  const file = options.file || path.join(process.cwd(), 'data', 'zones.json');
+
+  let zones = [];
+  try {
+    zones = JSON.parse(fs.readFileSync(file, 'utf8')).zones.map(normalizeZone);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ zones }, null, 2));
+  }
+
+  function list() {
+    return zones;
+  }
+
+  function get(id) {
+    return zones.find(zone => zone.id === id) || null;
+  }
+
+  function forLocation(locationId) {
+    return zones.filter(zone => !zone.locationId || zone.locationId === locationId);
+  }
+
+  // Sin zonas para el local no se valida la dirección
+  function isEnabled(locationId) {
+    return forLocation(locationId).length > 0;
+  }
+
+  function findByAddress(address, locationId) {
+    return forLocation(locationId).find(zone =>
+      zone.neighborhoods.some(neighborhood => mentions(address, neighborhood))) || null;
+  }
+
+  // Las zonas sin polígono se buscan por el barrio en la dirección que acompaña la ubicación
+  function findByCoordinates(latitude, longitude, locationId, address = '') {
+    const zonesHere = forLocation(locationId);
+    const byPolygon = zonesHere.find(zone =>
+      zone.polygon.length > 0 && containsPoint(zone.polygon, latitude, longitude));
+    if (byPolygon) return byPolygon;
+
+    return zonesHere.find(zone => zone.polygon.length === 0 &&
+      zone.neighborhoods.some(neighborhood => mentions(address, neighborhood))) || null;
+  }
+
+  // Reemplaza la configuración completa (desde el panel o la API)
+  function replace(newZones) {
+    if (!Array.isArray(newZones)) throw new Error('zones debe ser una lista');
+
+    const normalized = newZones.map(normalizeZone);
+    const ids = normalized.map(zone => zone.id);
+    const duplicated = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicated) throw new Error(`Zona repetida: ${duplicated}`);
+
+    zones = normalized;
+    persist();
+    return zones;
+  }
+
+  return {
+    list,
+    get,
+    forLocation,
+    isEnabled,
+    findByAddress,
+    findByCoordinates,
+    replace
+  };
+}
+
+module.exports = { createZoneStore };
@@ -1,283 +1,458 @@
 require('dotenv').config();
 const express = require('express');
-const { google } = require('googleapis');
 const twilio = require('twilio');
 const path = require('path');
+const { createStorage } = require('./lib/storage');
+const { createSessionStore } = require('./lib/sessions');
+const { formatPrice, formatModifiers } = require('./lib/messages');
+const { STATES, createOrderFlow } = require('./lib/order-flow');
+const { createMercadoPagoClient } = require('./lib/mercadopago');
+const { createReceiptStore } = require('./lib/receipts');
+const { createAuth } = require('./lib/auth');
+const { createEventHub } = require('./lib/events');
+const lifecycle = require('./lib/lifecycle');
+const { TEMPLATES, createBranding } = require('./lib/branding');
+const { createZoneStore } = require('./lib/zones');
+const { createSchedule } = require('./lib/schedule');
+const { cartSubtotal } = require('./lib/cart');
+const { createMenuCache, normalizeProduct } = require('./lib/menu');
+const { createStockReservations } = require('./lib/stock');
+const { createPricing, normalizeCode } = require('./lib/pricing');
+const { normalizePhone, isSimulatorOrder } = require('./lib/storage/common');
+const { createCustomerStore } = require('./lib/customers');
+const { createChannels } = require('./lib/channels');
+const { simulatorAddress } = require('./lib/channels/simulator');
+const { createInboundDedupe } = require('./lib/channels/dedupe');
+const { createOutbox } = require('./lib/outbox');
+const { REPORT_NAMES, normalizeRange, buildReports, reportTable, toCsv } = require('./lib/reports');
+const { createWorkbook } = require('./lib/xlsx');
+const { renderTicketHtml, renderEscPos } = require('./lib/tickets');
+const { parsePrinterAddress, createNetworkPrinter } = require('./lib/printer');
+const { HANDOFF_REASONS, createConversationStore } = require('./lib/conversations');
 
 const app = express();
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(express.static('public'));
-
-// Configuración de Twilio WhatsApp
-const client = process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN ? 
-  twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN) : 
-  null;
-
-// Configuración de Google Sheets
-const auth = new google.auth.GoogleAuth({
-  credentials: {
-    client_email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
-    private_key: process.env.GOOGLE_PRIVATE_KEY ? process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n') : '',
-  },
-  scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-});
-
-const sheets = google.sheets({ version: 'v4', auth });
-const SPREADSHEET_ID = process.env.SPREADSHEET_ID;
-
-// Store temporal para carritos de usuarios
-const userCarts = new Map();
-const userStates = new Map();
-
-// Estados del bot
-const STATES = {
-  MAIN_MENU: 'main_menu',
-  BROWSING_PRODUCTS: 'browsing_products',
-  CART_REVIEW: 'cart_review',
-  DELIVERY_INFO: 'delivery_info',
-  PAYMENT_METHOD: 'payment_method',
-  PAYMENT_CONFIRMATION: 'payment_confirmation',
-  CONFIRMING_ORDER: 'confirming_order'
-};
 
-// Función para obtener el menú de Google Sheets
+// Canales de mensajería: WhatsApp por Twilio y el simulador local para pruebas
+const channels = createChannels();
+
+// Mensajes salientes: se guardan antes de enviarse y se reintentan si el canal falla
+const outbox = createOutbox({
+  file: process.env.OUTBOX_FILE || path.join(__dirname, 'data', 'outbox.json'),
+  send: (message) => channels.send(message),
+  maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '5', 10)
+});
+
+// Reintentos del webhook de Twilio que ya procesamos (mismo MessageSid)
+const inboundDedupe = createInboundDedupe({
+  file: process.env.INBOUND_DEDUPE_FILE || path.join(__dirname, 'data', 'inbound-dedupe.json')
+});
+
+// Autenticación del staff para el panel y la API
+const auth = createAuth({
+  file: process.env.STAFF_FILE || path.join(__dirname, 'data', 'staff.json'),
+  sessionSecret: process.env.SESSION_SECRET,
+  secureCookie: process.env.NODE_ENV === 'production',
+  adminUsername: process.env.ADMIN_USERNAME,
+  adminPassword: process.env.ADMIN_PASSWORD
+});
+
+// Locales y textos del bot (nombre, número de WhatsApp, alias, plantillas)
+// Las variables de entorno solo definen el local inicial; después se edita desde el panel
+const branding = createBranding({
+  file: process.env.BRANDING_FILE || path.join(__dirname, 'data', 'branding.json'),
+  defaults: {
+    name: process.env.SHOP_NAME,
+    sender: process.env.TWILIO_WHATSAPP_NUMBER,
+    mercadoPagoAlias: process.env.MERCADOPAGO_ALIAS,
+    pickupAddress: process.env.PICKUP_ADDRESS
+  }
+});
+
+// Zonas de delivery con costo de envío, pedido mínimo y demora
+const zones = createZoneStore({
+  file: process.env.ZONES_FILE || path.join(__dirname, 'data', 'zones.json')
+});
+
+// Horarios de atención, feriados y turnos para pedidos programados
+const schedule = createSchedule({
+  file: process.env.HOURS_FILE || path.join(__dirname, 'data', 'hours.json')
+});
+
+// Promociones automáticas y cupones de descuento
+const pricing = createPricing({
+  file: process.env.PROMOTIONS_FILE || path.join(__dirname, 'data', 'promotions.json')
+});
+
+// Eventos en tiempo real para los paneles conectados
+const events = createEventHub();
+
+// Avisar al panel cuando un mensaje de un pedido no se pudo entregar
+outbox.on('failed', (message) => {
+  if (message.orderId) {
+    events.publish('message.failed', messageFailure(message));
+  }
+});
+
+// Configuración de MercadoPago (MERCADOPAGO_BASE_URL permite usar un servidor de prueba)
+const mercadoPago = createMercadoPagoClient({
+  accessToken: process.env.MERCADOPAGO_ACCESS_TOKEN,
+  webhookSecret: process.env.MERCADOPAGO_WEBHOOK_SECRET,
+  baseUrl: process.env.MERCADOPAGO_BASE_URL
+});
+
+// Comprobantes de pago descargados de WhatsApp
+const receipts = createReceiptStore({
+  dir: process.env.RECEIPTS_DIR || path.join(__dirname, 'data', 'receipts'),
+  accountSid: process.env.TWILIO_ACCOUNT_SID,
+  authToken: process.env.TWILIO_AUTH_TOKEN
+});
+
+// Almacenamiento de menú y pedidos (Google Sheets o archivos locales)
+const storage = createStorage();
+
+// Menú en memoria para no leer la planilla en cada mensaje
+const menuCache = createMenuCache({
+  load: () => storage.getMenu(),
+  ttlMs: parseInt(process.env.MENU_CACHE_TTL_SECONDS || '60', 10) * 1000
+});
+
+// Stock de los pedidos: se descuenta al confirmar y se devuelve si no se guarda o se cancela
+const stockReservations = createStockReservations({ storage, onChange: publishStock });
+
+// Sesiones de conversación (estado, carrito, entrega) persistidas en disco
+const sessions = createSessionStore({
+  file: process.env.SESSIONS_FILE || path.join(__dirname, 'data', 'sessions.json'),
+  initialState: STATES.MAIN_MENU
+});
+
+// Clientes: direcciones guardadas y último pedido para "repetir"
+const customers = createCustomerStore({
+  file: process.env.CUSTOMERS_FILE || path.join(__dirname, 'data', 'customers.json')
+});
+
+// Historial de mensajes por cliente y conversaciones derivadas al staff
+const conversations = createConversationStore({
+  file: process.env.CONVERSATIONS_FILE || path.join(__dirname, 'data', 'conversations.json')
+});
+
+// Minutos sin actividad antes de vencer un carrito a medio armar
+const SESSION_IDLE_MINUTES = parseInt(process.env.SESSION_IDLE_MINUTES || '60', 10);
+
+// Estados que ve la pantalla de cocina
+const KITCHEN_STATUSES = ['NUEVO', 'PAGO_RECIBIDO', 'PREPARANDO'];
+
+// Con esta cantidad de unidades o menos, el panel avisa que hay poco stock
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD || '5', 10);
+
+// Función para obtener los productos disponibles del menú
+// Los productos sin stock se siguen mostrando, marcados como agotados
 async function getMenu() {
   try {
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: SPREADSHEET_ID,
-      range: 'Menu!A:F',
-    });
-    
-    const rows = response.data.values;
-    if (!rows || rows.length === 0) return [];
-    
-    const [headers, ...data] = rows;
-    return data.map(row => ({
-      id: row[0],
-      name: row[1],
-      description: row[2] || '',
-      price: parseFloat(row[3]),
-      category: row[4],
-      available: row[5] === 'TRUE'
-    })).filter(item => item.available);
+    const menu = await menuCache.get();
+    return menu.filter(item => item.available || item.outOfStock);
   } catch (error) {
     console.error('Error getting menu:', error);
     return [];
   }
 }
 
-// Función para guardar pedido en Google Sheets
+// Función para registrar cambios de stock: renueva el menú en memoria y avisa
+// al panel los productos actualizados y los que quedaron con poco stock
+function publishStock(products) {
+  if (products.length === 0) return;
+  
+  menuCache.invalidate();
+  const summary = products.map(({ id, name, stock }) => ({ id, name, stock }));
+  events.publish('stock.updated', summary);
+  summary
+    .filter(product => product.stock <= LOW_STOCK_THRESHOLD)
+    .forEach(product => events.publish('stock.low', product));
+}
+
+// Función para guardar pedido
 async function saveOrder(orderData) {
   try {
-    const values = [[
-      new Date().toISOString(),
-      orderData.customerPhone,
-      orderData.customerName,
-      JSON.stringify(orderData.items),
-      orderData.total,
-      orderData.deliveryType,
-      orderData.address || '',
-      orderData.paymentMethod || 'Efectivo',
-      orderData.paymentStatus || 'Pendiente',
-      'NUEVO'
-    ]];
-
-    await sheets.spreadsheets.values.append({
-      spreadsheetId: SPREADSHEET_ID,
-      range: 'Pedidos!A:K',
-      valueInputOption: 'USER_ENTERED',
-      resource: { values }
-    });
+    const order = await storage.createOrder(orderData);
+    await recordHistory(order.orderId, 'cliente', '', order.status);
+    events.publish('order.created', order);
+    return order;
   } catch (error) {
     console.error('Error saving order:', error);
+    return null;
   }
 }
 
-// Función para actualizar estado del pedido
-async function updateOrderStatus(phone, newStatus) {
+// Función para armar los datos de la comanda de cocina de un pedido
+function ticketOptions(order) {
+  return {
+    location: branding.getLocation(order.locationId),
+    timezone: (schedule.getConfig() || {}).timezone || 'America/Argentina/Buenos_Aires',
+    scheduledLabel: order.scheduledFor ? schedule.formatSlot(order.scheduledFor, order.locationId) : ''
+  };
+}
+
+// Función para imprimir la comanda en la impresora de cocina del local
+// Sin impresora configurada (en el local ni en KITCHEN_PRINTER) devuelve false
+async function printKitchenTicket(order) {
+  const options = ticketOptions(order);
+  const address = parsePrinterAddress(options.location.kitchenPrinter || process.env.KITCHEN_PRINTER);
+  if (!address) return false;
+  
+  await createNetworkPrinter(address).print(renderEscPos(order, options));
+  return true;
+}
+
+// Cada pedido nuevo sale impreso en la cocina (menos los de prueba del simulador)
+events.on('order.created', (order) => {
+  if (isSimulatorOrder(order)) return;
+  printKitchenTicket(order).catch(error => {
+    console.error(`Error printing kitchen ticket for order ${order.orderId}:`, error.message);
+  });
+});
+
+// Función para buscar un pedido por su ID
+async function getOrderById(orderId) {
   try {
-    console.log(`Buscando pedido para: "${phone}" -> estado: "${newStatus}"`);
-    
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: SPREADSHEET_ID,
-      range: 'Pedidos!A:K',
-    });
-    
-    const rows = response.data.values;
-    if (!rows || rows.length <= 1) return false;
-    
-    // Buscar el pedido más reciente del usuario
-    for (let i = rows.length - 1; i >= 1; i--) {
-      const rowPhone = rows[i][1]; // Teléfono en la columna B
-      
-      // Limpiar ambos números para comparación
-      const cleanRowPhone = rowPhone.replace('whatsapp:', '').replace('+', '');
-      const cleanSearchPhone = phone.replace('whatsapp:', '').replace('+', '');
-      
-      console.log(`Comparando: "${cleanRowPhone}" vs "${cleanSearchPhone}"`);
-      
-      if (cleanRowPhone === cleanSearchPhone) {
-        console.log(`ENCONTRADO! Actualizando fila ${i + 1}`);
-        
-        await sheets.spreadsheets.values.update({
-          spreadsheetId: SPREADSHEET_ID,
-          range: `Pedidos!H${i + 1}`, // Actualizar columna H (Estado)
-          valueInputOption: 'USER_ENTERED',
-          resource: { values: [[newStatus]] }
-        });
-        
-        return true;
-      }
-    }
-    
-    console.log('No se encontró el pedido');
-    return false;
+    return await storage.getOrderById(orderId);
   } catch (error) {
-    console.error('Error updating order status:', error);
-    return false;
+    console.error('Error getting order:', error);
+    return null;
   }
 }
 
-// Función para formatear precios argentinos
-function formatPrice(price) {
-  return new Intl.NumberFormat('es-AR', {
-    style: 'currency',
-    currency: 'ARS',
-    minimumFractionDigits: 0
-  }).format(price);
+// Función para buscar los pedidos en curso de un cliente (del más nuevo al más viejo)
+async function getOpenOrders(phone) {
+  try {
+    const orders = await storage.getOrdersByPhone(phone);
+    return orders
+      .filter(order => lifecycle.isPending(order.status))
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+  } catch (error) {
+    console.error('Error getting customer orders:', error);
+    return [];
+  }
 }
 
-// Función para generar link de pago de MercadoPago
-function generateMercadoPagoLink(total, orderId, customerName) {
-  // En producción, aquí usarías la API real de MercadoPago
-  // Por ahora simulamos un link con los datos del pedido
-  const encodedData = encodeURIComponent(`${customerName}-${orderId}-${total}`);
-  return `https://mpago.la/2Qx8y9z?amount=${total}&concept=Pedido-${orderId.slice(-6)}`;
+// Función para obtener los turnos con lugar para programar pedidos en un local
+async function getSlots(locationId) {
+  const booked = {};
+  try {
+    const orders = await storage.getOrders();
+    orders
+      .filter(order => order.scheduledFor && order.status !== 'CANCELADO' && !isSimulatorOrder(order) &&
+        (order.locationId || branding.getLocation().id) === locationId)
+      .forEach(order => {
+        booked[order.scheduledFor] = (booked[order.scheduledFor] || 0) + 1;
+      });
+  } catch (error) {
+    console.error('Error counting scheduled orders:', error);
+    return [];
+  }
+  
+  return schedule.availableSlots(locationId, booked);
 }
 
-// Función para formatear el menú con pseudo-botones visuales
-function formatMenuWithButtons(menu) {
-  const categories = [...new Set(menu.map(item => item.category))];
-  let message = "🍽️ *MENÚ SABORES DEL BARRIO*\n\n";
+// Función para contar los pedidos (no cancelados) que usaron un cupón
+// Devuelve { total, byCustomer, customerOrders } para pricing.checkCoupon
+async function couponUsage(code, phone) {
+  const orders = (await storage.getOrders()).filter(order => order.status !== 'CANCELADO' && !isSimulatorOrder(order));
+  const customerOrders = orders.filter(order => normalizePhone(order.phone) === normalizePhone(phone));
   
-  categories.forEach(category => {
-    message += `📋 *${category}*\n\n`;
-    
-    menu.filter(item => item.category === category).forEach(item => {
-      message += `┌─ ${item.id}️⃣ ${item.name} ─┐\n`;
-      message += `│ ${formatPrice(item.price)} │\n`;
-      if (item.description) {
-        message += `│ _${item.description}_ │\n`;
-      }
-      message += `└──────────────┘\n\n`;
-    });
-  });
+  return {
+    total: orders.filter(order => order.coupon === code).length,
+    byCustomer: customerOrders.filter(order => order.coupon === code).length,
+    customerOrders: customerOrders.length
+  };
+}
+
+// Función para verificar un cupón para el carrito de un cliente
+// Devuelve { coupon } o { error } con el motivo para el cliente
+async function validateCoupon(phone, code, { cart, locationId }) {
+  try {
+    const usage = await couponUsage(normalizeCode(code), phone);
+    return pricing.checkCoupon(code, { subtotal: cartSubtotal(cart), locationId, usage });
+  } catch (error) {
+    console.error('Error validating coupon:', error);
+    return { error: 'No pudimos verificar el cupón, probá de nuevo en unos minutos.' };
+  }
+}
+
+// Función para que el cliente cancele su pedido por el número corto (#123456)
+// Devuelve { order } o { error: 'NOT_FOUND' | 'NOT_CANCELLABLE', order }
+async function cancelCustomerOrder(phone, shortId) {
+  // Dos pedidos del mismo cliente pueden terminar igual: se toma el más reciente
+  const orders = await storage.getOrdersByPhone(phone);
+  const order = orders
+    .filter(o => o.orderId.slice(-6) === shortId)
+    .sort((a, b) => new Date(b.date) - new Date(a.date))[0];
   
-  message += "*⚡ CÓMO PEDIR:*\n";
-  message += "• Un producto: *1*\n";
-  message += "• Varios: *1,2,3*\n";
-  message += "• Ver carrito: *carrito*\n";
-  message += "• Finalizar: *finalizar*";
+  if (!order) {
+    return { error: 'NOT_FOUND' };
+  }
+  
+  if (!lifecycle.canCustomerCancel(order)) {
+    return { error: 'NOT_CANCELLABLE', order };
+  }
   
-  return message;
+  const result = await changeOrderStatus(order.orderId, 'CANCELADO', 'cliente');
+  if (result.error) {
+    return { error: 'NOT_CANCELLABLE', order };
+  }
+  
+  events.publish('order.cancelled', result.order);
+  return result;
 }
 
-// Función para formatear el carrito mejorada - SIEMPRE muestra contenido
-function formatCart(cart, showOptions = true) {
-  let message = "🛒 *TU CARRITO*\n\n";
-  let total = 0;
-  
-  if (!cart || cart.length === 0) {
-    message += "Carrito vacío\n\n";
-  } else {
-    cart.forEach((item, index) => {
-      const subtotal = item.price * item.quantity;
-      total += subtotal;
-      message += `${index + 1}. ${item.name}\n`;
-      message += `   Cantidad: ${item.quantity} x ${formatPrice(item.price)} = ${formatPrice(subtotal)}\n\n`;
-    });
+// Función para registrar un cambio de estado en el historial del pedido
+async function recordHistory(orderId, by, from, to) {
+  try {
+    await storage.appendHistory(orderId, { at: new Date().toISOString(), by, from, to });
+  } catch (error) {
+    console.error('Error saving order history:', error);
+  }
+}
+
+// Función para cambiar el estado del pedido respetando el ciclo de vida
+// Devuelve { order } o { error: 'NOT_FOUND' | 'INVALID_TRANSITION', order }
+async function changeOrderStatus(orderId, newStatus, actor) {
+  const order = await getOrderById(orderId);
+  
+  if (!order) {
+    console.log(`No se encontró el pedido ${orderId}`);
+    return { error: 'NOT_FOUND' };
+  }
+  
+  if (!lifecycle.canTransition(order, newStatus)) {
+    return { error: 'INVALID_TRANSITION', order };
   }
   
-  message += `💰 *TOTAL: ${formatPrice(total)}*\n\n`;
+  const updated = await storage.updateOrder(orderId, { status: newStatus });
+  await recordHistory(orderId, actor, order.status, newStatus);
+  events.publish('order.status', updated);
   
-  if (showOptions) {
-    message += "*Opciones disponibles:*\n";
-    message += "• Enviá un número para agregar productos\n";
-    message += "• Enviá varios números separados por comas (ej: 1,2,3)\n";
-    if (cart.length > 0) {
-      message += "• *finalizar* - Completar pedido\n";
-      message += "• *limpiar* - Vaciar carrito\n";
-    }
-    message += "• *menu* - Ver menú completo";
+  if (newStatus === 'CANCELADO' && !isSimulatorOrder(order)) {
+    await stockReservations.restore(order.items);
   }
   
-  return message;
+  return { order: updated };
 }
 
-// Función para enviar mensajes simples
-async function sendMessage(to, body) {
-  if (!client) {
-    console.error('Twilio client not initialized - check credentials');
-    return;
-  }
+// Función para actualizar datos de pago del pedido (estado del pago, comprobante)
+// Si el cambio incluye un estado que el ciclo de vida no permite, se ignora el estado
+async function updateOrderPayment(orderId, changes, actor = 'sistema') {
+  const order = await getOrderById(orderId);
+  if (!order) return null;
   
-  try {
-    await client.messages.create({
-      body: body,
-      from: 'whatsapp:+14155238886',
-      to: to
-    });
-  } catch (error) {
-    console.error('Error sending message:', error);
+  const { status, ...paymentChanges } = changes;
+  const statusChanged = status && status !== order.status && lifecycle.canTransition(order, status);
+  
+  const updated = await storage.updateOrder(orderId, statusChanged ? changes : paymentChanges);
+  if (statusChanged) {
+    await recordHistory(orderId, actor, order.status, status);
   }
+  
+  events.publish('order.payment', updated);
+  return updated;
 }
 
-// Función para enviar mensajes con botones interactivos
-async function sendInteractiveMessage(to, body, options = null) {
-  if (!client) {
-    console.error('Twilio client not initialized - check credentials');
-    return;
+// Función para generar link de pago de MercadoPago
+// Crea una preferencia de Checkout Pro; devuelve null si MercadoPago no está configurado
+// quote: cotización del pedido (lib/pricing) con descuentos y envío
+async function generateMercadoPagoLink(orderId, cart, quote) {
+  if (!mercadoPago.isConfigured()) return null;
+  
+  let items = cart.map(item => ({
+    id: item.id,
+    title: item.modifiers && item.modifiers.length > 0 ? `${item.name} (${formatModifiers(item)})` : item.name,
+    quantity: item.quantity,
+    unitPrice: item.price
+  }));
+  
+  if (quote.deliveryFee > 0) {
+    items.push({ id: 'envio', title: 'Envío', quantity: 1, unitPrice: quote.deliveryFee });
+  }
+  
+  // Checkout Pro no acepta precios negativos: con descuentos se cobra el total en una línea
+  if (quote.discount > 0) {
+    items = [{ id: orderId, title: `Pedido #${orderId.slice(-6)}`, quantity: 1, unitPrice: quote.total }];
   }
   
   try {
-    if (options && options.type === 'buttons' && options.buttons) {
-      // Enviar mensaje con botones de respuesta rápida (máximo 3)
-      await client.messages.create({
-        body: body,
-        from: 'whatsapp:+14155238886',
-        to: to,
-        // Nota: Los botones interactivos requieren configuración especial en Twilio
-        // Por ahora simulamos con texto estructurado
-      });
-    } else if (options && options.type === 'list' && options.listItems) {
-      // Enviar mensaje con lista interactiva
-      await client.messages.create({
-        body: body,
-        from: 'whatsapp:+14155238886',
-        to: to,
-        // Nota: Las listas interactivas requieren configuración especial en Twilio
-        // Por ahora simulamos con texto estructurado
-      });
-    } else {
-      // Mensaje simple
-      await client.messages.create({
-        body: body,
-        from: 'whatsapp:+14155238886',
-        to: to
-      });
-    }
+    const preference = await mercadoPago.createPreference({
+      orderId,
+      items,
+      notificationUrl: process.env.PUBLIC_URL ? `${process.env.PUBLIC_URL}/webhooks/mercadopago` : null
+    });
+    return preference.init_point;
   } catch (error) {
-    console.error('Error sending interactive message:', error);
-    // Fallback a mensaje simple
-    await sendMessage(to, body);
+    console.error('Error creating MercadoPago preference:', error);
+    return null;
   }
 }
 
+// Datos de un mensaje no entregado que se muestran en la tarjeta del pedido
+function messageFailure(message) {
+  return {
+    id: message.id,
+    orderId: message.orderId,
+    body: message.body,
+    error: message.error,
+    failedAt: message.updatedAt
+  };
+}
+
+// Función para agregar a cada pedido los mensajes que no le llegaron al cliente
+function withMessageFailures(orders) {
+  const failures = outbox.failuresByOrder();
+  return orders.map(order => ({
+    ...order,
+    messageFailures: (failures[order.orderId] || []).map(messageFailure)
+  }));
+}
+
+// Función para enviar mensajes simples desde el número del local
+// orderId asocia el mensaje a un pedido para mostrar en el panel si no se entregó
+async function sendMessage(to, body, locationId, orderId = null) {
+  await sendInteractiveMessage(to, body, null, locationId, orderId);
+}
+
+// Función para enviar mensajes con botones interactivos
+// El canal que atiende la dirección decide cómo mostrar los botones o la lista.
+// El mensaje pasa por la cola de salida: si el canal falla se reintenta más tarde.
+async function sendInteractiveMessage(to, body, options = null, locationId, orderId = null) {
+  conversations.record(to, { direction: 'out', body }, { locationId });
+  await outbox.enqueue({
+    from: branding.getLocation(locationId).sender,
+    to,
+    body,
+    options,
+    orderId
+  });
+}
+
 // Función para procesar pedido completo
-async function processOrder(phone, customerName, cart, deliveryType, address = '', paymentMethod = 'efectivo') {
-  const total = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-  const orderId = Date.now().toString();
+// deliveryZone: zona de delivery elegida ({ name, fee, eta }) o null
+// scheduledFor: fecha ISO del turno si el pedido es programado
+// addressCoordinates: { latitude, longitude } si la dirección vino de una ubicación compartida
+// couponCode: cupón que aplicó el cliente (se vuelve a verificar antes de guardar)
+// notes: nota del cliente para la cocina
+// Devuelve { orderId, quote }, { error: 'OUT_OF_STOCK', shortages } si no alcanzó el stock
+// o { error: 'COUPON_INVALID', message } si el cupón ya no se puede usar
+// o { error: 'STOCK_UNAVAILABLE' | 'SAVE_FAILED' } si no se pudo descontar el stock o guardar el pedido
+async function processOrder({ phone, customerName, cart, deliveryType, address = '', deliveryZone = null, addressCoordinates = null, scheduledFor = null, couponCode = null, notes = '', paymentMethod = 'efectivo', orderId = Date.now().toString(), locationId }) {
+  const zone = deliveryType === 'delivery' ? deliveryZone : null;
+  
+  if (couponCode) {
+    const check = await validateCoupon(phone, couponCode, { cart, locationId });
+    if (check.error) {
+      return { error: 'COUPON_INVALID', message: check.error };
+    }
+  }
+  
+  const quote = pricing.quote({ cart, deliveryZone: zone, couponCode, locationId });
+  const { total, deliveryFee } = quote;
   
   const orderData = {
     customerPhone: phone,
@@ -286,413 +461,1000 @@ async function processOrder(phone, customerName, cart, deliveryType, address = '
     total: total,
     deliveryType: deliveryType,
     address: address,
+    deliveryZone: zone ? zone.name : '',
+    deliveryFee: deliveryFee,
+    discounts: quote.discounts.map(({ label, amount }) => ({ label, amount })),
+    coupon: quote.couponCode || '',
+    notes: notes,
+    scheduledFor: scheduledFor || '',
     paymentMethod: paymentMethod,
     paymentStatus: paymentMethod === 'efectivo' ? 'Confirmado' : 'Pendiente',
-    orderId: orderId
+    orderId: orderId,
+    locationId: locationId,
+    channel: channels.forAddress(phone).name
   };
   
-  await saveOrder(orderData);
+  // Sin stock descontado o sin pedido guardado no se confirma nada al cliente
+  // Los pedidos del simulador son de prueba y no tocan el stock
+  const placed = isSimulatorOrder(orderData) ?
+    (await saveOrder(orderData) ? {} : { error: 'SAVE_FAILED' }) :
+    await stockReservations.reserve(cart, () => saveOrder(orderData));
+  if (placed.error) {
+    return placed;
+  }
+  
+  customers.recordOrder(phone, { name: customerName, orderId, deliveryType, address, coordinates: addressCoordinates, items: cart });
   
-  // Limpiar carrito y estado
-  userCarts.set(phone, []);
-  userStates.set(phone, STATES.MAIN_MENU);
+  const vars = { orderShortId: orderId.slice(-6), total: formatPrice(total), customerName: customerName, address: address };
+  if (zone && zone.eta) {
+    vars.etaDelivery = zone.eta;
+  }
   
   // Mensaje de confirmación
   let confirmMessage = "✅ *PEDIDO CONFIRMADO*\n\n";
-  confirmMessage += `📝 *Pedido #${orderId.slice(-6)}*\n\n`;
+  confirmMessage += `📝 *Pedido #${vars.orderShortId}*\n\n`;
   
   cart.forEach(item => {
     confirmMessage += `• ${item.name} x${item.quantity} - ${formatPrice(item.price * item.quantity)}\n`;
+    if (item.modifiers && item.modifiers.length > 0) {
+      confirmMessage += `   ➕ ${formatModifiers(item)}\n`;
+    }
+  });
+  
+  quote.discounts.forEach(discount => {
+    confirmMessage += `🏷️ ${discount.label}: -${formatPrice(discount.amount)}\n`;
   });
   
-  confirmMessage += `\n💰 *Total: ${formatPrice(total)}*\n`;
+  if (zone) {
+    confirmMessage += `🚚 Envío (${zone.name}): ${deliveryFee ? formatPrice(deliveryFee) : 'sin cargo'}\n`;
+  }
+  
+  if (notes) {
+    confirmMessage += `📝 Nota: ${notes}\n`;
+  }
+  
+  confirmMessage += `\n💰 *Total: ${vars.total}*\n`;
   confirmMessage += `💳 *Pago: ${paymentMethod === 'efectivo' ? 'Efectivo' : 'MercadoPago'}*\n\n`;
   
-  if (deliveryType === 'delivery') {
-    confirmMessage += `🚚 *Delivery a:* ${address}\n`;
-    confirmMessage += `⏱️ *Tiempo estimado:* 30-45 minutos\n\n`;
-  } else {
-    confirmMessage += `🏪 *Retiro en local*\n`;
-    confirmMessage += `⏱️ *Estará listo en:* 20-30 minutos\n\n`;
+  let deliveryTemplate = deliveryType === 'delivery' ? 'orderDelivery' : 'orderPickup';
+  if (scheduledFor) {
+    vars.scheduledFor = schedule.formatSlot(scheduledFor, locationId);
+    deliveryTemplate = deliveryType === 'delivery' ? 'orderScheduledDelivery' : 'orderScheduledPickup';
   }
+  confirmMessage += branding.message(locationId, deliveryTemplate, vars) + "\n\n";
   
+  // Los datos para pagar (link y transferencia) van en el mensaje siguiente del bot
   if (paymentMethod === 'mercadopago') {
-    confirmMessage += `💳 *Para completar el pago:*\n`;
-    confirmMessage += `💰 Alias: SABORES.BARRIO.MP\n`;
-    confirmMessage += `💵 Importe: ${formatPrice(total)}\n`;
-    confirmMessage += `📝 Concepto: Pedido #${orderId.slice(-6)}\n\n`;
-    confirmMessage += `📸 *Después del pago, enviá una foto del comprobante.*\n\n`;
+    confirmMessage += `💳 *Te mandamos los datos para pagar en el próximo mensaje.*\n\n`;
   }
   
-  confirmMessage += "¡Gracias por elegirnos! 😊\n";
-  confirmMessage += "Te avisamos cuando esté listo para retirar/entregar.";
+  confirmMessage += branding.message(locationId, 'orderThanks', vars);
   
-  await sendMessage(phone, confirmMessage);
+  await sendMessage(phone, confirmMessage, locationId, orderId);
   
-  return orderId;
+  return { orderId, quote };
 }
 
-// Función para notificar al cliente
-async function notifyCustomer(phone, message) {
-  await sendMessage(phone, message);
+// Función para vencer carritos inactivos y avisarle al cliente
+async function expireIdleSessions() {
+  // Mientras el staff atiende al cliente el carrito no vence
+  const idleSessions = sessions.findIdle(SESSION_IDLE_MINUTES * 60 * 1000)
+    .filter(session => session.cart.length > 0 && !conversations.isPaused(session.phone));
+  
+  for (const session of idleSessions) {
+    console.log(`Carrito vencido para ${session.phone}`);
+    sessions.reset(session.phone);
+    await sendMessage(session.phone,
+      branding.message(session.locationId, 'cartExpired', { idleMinutes: SESSION_IDLE_MINUTES }),
+      session.locationId
+    );
+  }
 }
 
-// Webhook principal de WhatsApp mejorado
-app.post('/webhook', async (req, res) => {
-  const { Body, From, ProfileName, MediaUrl0, MediaContentType0 } = req.body;
-  const message = Body ? Body.toLowerCase().trim() : '';
-  const phone = From;
-  const customerName = ProfileName || 'Cliente';
+// Marcadores de un pedido para las plantillas de mensajes
+function orderVars(order) {
+  return {
+    orderId: order.orderId,
+    orderShortId: order.orderId.slice(-6),
+    total: formatPrice(order.total),
+    customerName: order.customer,
+    address: order.address
+  };
+}
+
+// Función para notificar al cliente con una plantilla del local del pedido
+async function notifyCustomer(order, templateKey, vars = {}) {
+  const message = branding.message(order.locationId, templateKey, { ...orderVars(order), ...vars });
+  await sendMessage(order.phone, message, order.locationId, order.orderId);
+}
+
+// Conversación del bot (estados, comandos y transiciones)
+const orderFlow = createOrderFlow({
+  getMenu,
+  processOrder,
+  attachReceipt,
+  generateMercadoPagoLink,
+  getOpenOrders,
+  cancelCustomerOrder,
+  getLocation: branding.getLocation,
+  zones,
+  schedule,
+  getSlots,
+  pricing,
+  validateCoupon,
+  customers,
+  requestHandoff
+});
+
+// Función para pausar el bot y pasarle la conversación al staff
+// reason: clave de HANDOFF_REASONS (customer, unrecognized, staff)
+async function requestHandoff(ctx, reason) {
+  const conversation = conversations.startHandoff(ctx.phone, reason);
+  if (conversation) {
+    console.log(`Conversación con ${ctx.phone} derivada al staff: ${HANDOFF_REASONS[reason]}`);
+    events.publish('conversation.handoff', conversations.summary(conversation));
+  }
+}
+
+// Texto de un mensaje entrante para el historial (los adjuntos y ubicaciones no traen texto)
+function inboundText(inbound) {
+  if (inbound.body) return inbound.body;
+  if (inbound.sharedLocation) return `📍 Ubicación compartida ${inbound.sharedLocation.address || ''}`.trim();
+  if (inbound.media) return `📎 Archivo adjunto (${inbound.media.contentType})`;
+  return '';
+}
+
+// Middleware para verificar que el webhook viene de Twilio (header X-Twilio-Signature)
+// La URL firmada es la pública: configurá PUBLIC_URL si el server está detrás de un proxy
+function validateTwilioSignature(req, res, next) {
+  if (process.env.TWILIO_VALIDATE_SIGNATURE === 'false') {
+    return next();
+  }
+  
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.get('x-twilio-signature');
+  const url = (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`) + req.originalUrl;
+  
+  if (!authToken || !signature || !twilio.validateRequest(authToken, signature, url, req.body)) {
+    console.error(`Webhook con firma de Twilio inválida desde ${req.ip}`);
+    return res.sendStatus(403);
+  }
+  
+  next();
+}
+
+// Función para procesar un mensaje entrante ya normalizado por su canal
+// (ver lib/channels para el formato)
+async function handleIncoming(inbound) {
+  if (inboundDedupe.seen(inbound.messageId)) {
+    console.log(`Mensaje repetido ignorado: ${inbound.messageId}`);
+    return;
+  }
+  
+  const message = inbound.body.toLowerCase().trim();
+  const phone = inbound.from;
+  const customer = customers.get(phone);
+  const customerName = inbound.profileName || (customer && customer.name) || 'Cliente';
+  
+  // El número al que escribió el cliente define el local que lo atiende
+  const location = branding.findBySender(inbound.to);
   
   console.log(`Mensaje de ${phone}: ${message}`);
   
-  // Obtener estado actual del usuario
-  let userState = userStates.get(phone) || STATES.MAIN_MENU;
-  let cart = userCarts.get(phone) || [];
-  
-  try {
-    // Manejar imágenes (comprobantes de pago)
-    if (MediaUrl0 && MediaContentType0 && MediaContentType0.startsWith('image/')) {
-      if (userState === STATES.PAYMENT_CONFIRMATION) {
-        await updateOrderStatus(phone, 'PAGO_RECIBIDO');
-        await sendMessage(phone, 
-          "✅ *Comprobante recibido correctamente.*\n\n" +
-          "📋 Verificaremos tu pago y te confirmaremos en breve.\n" +
-          "🍽️ Una vez confirmado, comenzamos a preparar tu pedido.\n\n" +
-          "¡Gracias por tu paciencia!"
-        );
-        userStates.set(phone, STATES.MAIN_MENU);
-        return res.sendStatus(200);
-      }
-    }
+  const conversation = conversations.record(phone, { direction: 'in', body: inboundText(inbound) }, {
+    customerName,
+    locationId: location.id
+  });
+  
+  // Con la conversación en manos del staff el bot no responde; el mensaje aparece en el panel
+  if (conversation.handoff) {
+    events.publish('conversation.message', conversations.summary(conversation));
+    return;
+  }
+  
+  // Obtener sesión actual del usuario
+  const session = sessions.get(phone);
+  session.customerName = customerName;
+  session.locationId = location.id;
+  
+  try {
+    await orderFlow.handle({
+      session,
+      phone,
+      customerName,
+      message,
+      body: inbound.body,
+      media: inbound.media,
+      sharedLocation: inbound.sharedLocation,
+      location,
+      t: (key, vars) => branding.message(location.id, key, vars),
+      reply: (body, options) => sendInteractiveMessage(phone, body, options, location.id)
+    });
+  } catch (error) {
+    console.error('Error processing message:', error);
+    await sendMessage(phone, "❌ Hubo un error. Por favor intentá nuevamente o enviá *menu* para empezar.", location.id);
+  } finally {
+    await sessions.save(session);
+  }
+}
+
+// Webhook principal de WhatsApp mejorado
+app.post('/webhook', validateTwilioSignature, async (req, res) => {
+  try {
+    await handleIncoming(channels.twilio.parseInbound(req.body));
+  } catch (error) {
+    // Igual respondemos 200: un reintento de Twilio volvería a fallar con el mismo mensaje
+    console.error('Error handling incoming message:', error);
+  }
+  res.sendStatus(200);
+});
+
+// Estado de entrega de los mensajes enviados (statusCallback de Twilio)
+app.post('/webhooks/twilio/status', validateTwilioSignature, (req, res) => {
+  const { MessageSid, MessageStatus, ErrorCode } = req.body;
+  outbox.updateStatus(MessageSid, MessageStatus, ErrorCode);
+  res.sendStatus(200);
+});
+
+// Función para guardar el comprobante que mandó el cliente y dejarlo para revisión
+async function attachReceipt(orderId, media) {
+  let receipt = '';
+  try {
+    receipt = await receipts.save(orderId, media.url, media.contentType);
+  } catch (error) {
+    // El pedido igual queda marcado para que el staff lo revise en WhatsApp
+    console.error('Error downloading receipt:', error);
+  }
+  
+  return updateOrderPayment(orderId, {
+    status: 'PAGO_RECIBIDO',
+    paymentStatus: 'En revisión',
+    receipt
+  }, 'cliente');
+}
+
+// Plantillas de mensajes al cliente según la revisión del comprobante
+const PAYMENT_REVIEW_TEMPLATES = {
+  approve: 'paymentApproved',
+  reject: 'paymentRejected'
+};
+
+// Función para registrar un pago aprobado de MercadoPago y avisar al cliente
+async function confirmMercadoPagoPayment(payment) {
+  const orderId = payment.external_reference;
+  const order = orderId ? await getOrderById(orderId) : null;
+  
+  if (!order) {
+    console.log(`Pago ${payment.id} sin pedido asociado (${orderId})`);
+    return;
+  }
+  
+  if (payment.status === 'approved') {
+    if (['Aprobado', 'A reembolsar'].includes(order.paymentStatus)) return; // Notificación repetida
     
-    if (message === 'menu' || message === 'menú') {
-      const menu = await getMenu();
-      const menuText = formatMenuWithButtons(menu);
-      let fullMessage = menuText + "\n\n";
-      
-      // SIEMPRE mostrar estado del carrito
-      fullMessage += formatCart(cart, true);
-      
-      await sendInteractiveMessage(phone, fullMessage);
-      userStates.set(phone, STATES.BROWSING_PRODUCTS);
-      
-    } else if (message === 'carrito') {
-      const cartText = formatCart(cart, true);
-      await sendInteractiveMessage(phone, cartText);
-      
-    } else if (message === 'limpiar') {
-      userCarts.set(phone, []);
-      await sendInteractiveMessage(phone, "🗑️ Carrito vaciado.\n\n" + formatCart([], true));
-      userStates.set(phone, STATES.MAIN_MENU);
-      
-    } else if (message === 'cancelar') {
-      // Usuario quiere cancelar su pedido actual
-      if (cart.length > 0) {
-        userCarts.set(phone, []);
-        userStates.set(phone, STATES.MAIN_MENU);
-        await sendInteractiveMessage(phone, 
-          "❌ *Pedido cancelado*\n\n" +
-          "Tu carrito ha sido vaciado.\n" +
-          "Enviá *menu* cuando quieras hacer un nuevo pedido."
-        );
-      } else {
-        await sendInteractiveMessage(phone, 
-          "No tenés ningún pedido activo para cancelar.\n" +
-          "Enviá *menu* para empezar un nuevo pedido."
-        );
-      }
-      
-    } else if (message === 'finalizar') {
-      if (cart.length === 0) {
-        await sendInteractiveMessage(phone, "Tu carrito está vacío. Enviá *menu* para agregar productos.");
-        return res.sendStatus(200);
-      }
-      
-      let confirmMessage = "🛒 *RESUMEN DE TU PEDIDO*\n\n";
-      confirmMessage += formatCart(cart, false) + "\n\n";
-      
-      confirmMessage += "🏠 *SELECCIONÁ EL TIPO DE ENTREGA:*\n\n";
-      confirmMessage += "┌─────────────────────┐\n";
-      confirmMessage += "│  1️⃣  🚚 DELIVERY     │\n";
-      confirmMessage += "│  2️⃣  🏪 RETIRO      │\n";
-      confirmMessage += "└─────────────────────┘\n\n";
-      confirmMessage += "Tocá *1* para delivery o *2* para retiro en local.";
-      
-      await sendInteractiveMessage(phone, confirmMessage, {
-        type: 'buttons',
-        buttons: ['1️⃣ Delivery', '2️⃣ Retiro']
-      });
-      userStates.set(phone, STATES.DELIVERY_INFO);
-      
-    } else if (userState === STATES.DELIVERY_INFO) {
-      if (message === '1') {
-        await sendInteractiveMessage(phone, "📍 *DIRECCIÓN PARA DELIVERY*\n\nPor favor enviá tu dirección completa:\n\n*Ejemplo:* Av. Corrientes 1234, CABA");
-        userStates.set(phone, STATES.PAYMENT_METHOD);
-        userCarts.set(phone + '_delivery', 'delivery');
-        
-      } else if (message === '2') {
-        userCarts.set(phone + '_delivery', 'pickup');
-        
-        let paymentMessage = "💳 *MÉTODO DE PAGO*\n\n";
-        paymentMessage += formatCart(cart, false) + "\n\n";
-        paymentMessage += "🏪 *RETIRO EN LOCAL*\n\n";
-        paymentMessage += "┌─────────────────────────┐\n";
-        paymentMessage += "│  1️⃣  💵 EFECTIVO       │\n";
-        paymentMessage += "│  2️⃣  💳 MERCADOPAGO    │\n";
-        paymentMessage += "└─────────────────────────┘\n\n";
-        paymentMessage += "Tocá *1* para pagar en efectivo o *2* para MercadoPago.";
-        
-        await sendInteractiveMessage(phone, paymentMessage, {
-          type: 'buttons',
-          buttons: ['1️⃣ Efectivo', '2️⃣ MercadoPago']
-        });
-        userStates.set(phone, STATES.PAYMENT_METHOD);
-        
-      } else {
-        await sendInteractiveMessage(phone, 
-          "❌ *Opción no válida*\n\n" +
-          "Por favor seleccioná:\n" +
-          "1️⃣ Delivery\n" +
-          "2️⃣ Retiro en local"
-        );
-      }
-      
-    } else if (userState === STATES.PAYMENT_METHOD) {
-      const deliveryType = userCarts.get(phone + '_delivery') || 'pickup';
-      const address = message;
-      
-      if (deliveryType === 'delivery' && !userCarts.get(phone + '_address')) {
-        // Guardar dirección y pedir método de pago
-        userCarts.set(phone + '_address', address);
-        
-        let paymentMessage = "💳 *MÉTODO DE PAGO*\n\n";
-        paymentMessage += formatCart(cart, false) + "\n\n";
-        paymentMessage += `🚚 *Delivery a:* ${address}\n\n`;
-        paymentMessage += "*Seleccioná cómo vas a pagar:*\n";
-        paymentMessage += "1️⃣ 💵 Efectivo (al recibir)\n";
-        paymentMessage += "2️⃣ 💳 MercadoPago (transferencia)\n\n";
-        paymentMessage += "Enviá *1* para efectivo o *2* para MercadoPago.";
-        
-        await sendMessage(phone, paymentMessage);
-        return res.sendStatus(200);
-      }
-      
-      if (message === '1') {
-        // Pago en efectivo
-        const finalAddress = userCarts.get(phone + '_address') || '';
-        await processOrder(phone, customerName, cart, deliveryType, finalAddress, 'efectivo');
-        
-        // Limpiar datos temporales
-        userCarts.delete(phone + '_delivery');
-        userCarts.delete(phone + '_address');
-        
-      } else if (message === '2') {
-        // Pago con MercadoPago
-        const finalAddress = userCarts.get(phone + '_address') || '';
-        const total = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        const orderId = Date.now().toString();
-        
-        // Generar link de MercadoPago
-        const mpLink = generateMercadoPagoLink(total, orderId, customerName);
-        
-        let mpMessage = "💳 *PAGAR CON MERCADOPAGO*\n\n";
-        mpMessage += formatCart(cart, false) + "\n\n";
-        mpMessage += `💰 *Total a pagar: ${formatPrice(total)}*\n\n`;
-        mpMessage += "🔗 *OPCIÓN 1 - Link de pago:*\n";
-        mpMessage += `${mpLink}\n\n`;
-        mpMessage += "💰 *OPCIÓN 2 - Transferencia:*\n";
-        mpMessage += `📱 Alias: SABORES.BARRIO.MP\n`;
-        mpMessage += `💵 Importe: ${formatPrice(total)}\n`;
-        mpMessage += `📝 Concepto: Pedido #${orderId.slice(-6)}\n\n`;
-        mpMessage += "📸 *Después del pago, enviá una foto del comprobante.*\n\n";
-        mpMessage += "Una vez que recibamos el comprobante, procesaremos tu pedido.";
-        
-        await sendInteractiveMessage(phone, mpMessage);
-        
-        // Procesar pedido como pendiente de pago
-        await processOrder(phone, customerName, cart, deliveryType, finalAddress, 'mercadopago');
-        userStates.set(phone, STATES.PAYMENT_CONFIRMATION);
-        
-        // Limpiar datos temporales
-        userCarts.delete(phone + '_delivery');
-        userCarts.delete(phone + '_address');
-        
-      } else {
-        await sendInteractiveMessage(phone, "❌ *Opción no válida*\n\nPor favor seleccioná:\n1️⃣ Efectivo\n2️⃣ MercadoPago");
-      }
-      
-    } else if (/^[\d,\s]+$/.test(message)) {
-      // Usuario seleccionó productos (múltiples números: 1,2,3 o 1 2 3)
-      const menu = await getMenu();
-      const productIds = message.split(/[,\s]+/).map(id => parseInt(id.trim())).filter(id => !isNaN(id));
-      
-      let addedProducts = [];
-      let notFoundProducts = [];
-      
-      productIds.forEach(productId => {
-        const product = menu.find(item => parseInt(item.id) === productId);
-        
-        if (product) {
-          const existingItem = cart.find(item => item.id === product.id);
-          
-          if (existingItem) {
-            existingItem.quantity += 1;
-          } else {
-            cart.push({
-              ...product,
-              quantity: 1
-            });
-          }
-          addedProducts.push(product.name);
-        } else {
-          notFoundProducts.push(productId.toString());
-        }
+    // El pedido se canceló antes de que se acreditara el pago: queda marcado para devolver el dinero
+    if (order.status === 'CANCELADO') {
+      await updateOrderPayment(orderId, { paymentStatus: 'A reembolsar' }, 'mercadopago');
+      await notifyCustomer(order, 'mercadoPagoRefund', {
+        amount: formatPrice(payment.transaction_amount || order.total)
       });
-      
-      userCarts.set(phone, cart);
-      
-      let responseMessage = "";
-      
-      if (addedProducts.length > 0) {
-        responseMessage += "✅ *Productos agregados:*\n";
-        addedProducts.forEach(name => {
-          responseMessage += `• ${name}\n`;
-        });
-        responseMessage += "\n";
-      }
-      
-      if (notFoundProducts.length > 0) {
-        responseMessage += "❌ *Productos no encontrados:* " + notFoundProducts.join(", ") + "\n\n";
-      }
-      
-      // SIEMPRE mostrar carrito actualizado
-      responseMessage += formatCart(cart, true);
-      
-      await sendMessage(phone, responseMessage);
-      userStates.set(phone, STATES.BROWSING_PRODUCTS);
-      
-    } else {
-      // Mensaje de bienvenida
-      const welcomeMessage = 
-        `¡Hola ${customerName}! 👋\n\n` +
-        `Bienvenido a nuestro sistema de pedidos.\n\n` +
-        `Enviá *menu* para ver nuestros productos disponibles.`;
-      
-      await sendMessage(phone, welcomeMessage);
-      userStates.set(phone, STATES.MAIN_MENU);
+      return;
     }
     
-  } catch (error) {
-    console.error('Error processing message:', error);
-    await sendMessage(phone, "❌ Hubo un error. Por favor intentá nuevamente o enviá *menu* para empezar.");
+    await updateOrderPayment(orderId, {
+      paymentStatus: 'Aprobado',
+      ...(order.status === 'NUEVO' ? { status: 'PAGO_RECIBIDO' } : {})
+    }, 'mercadopago');
+    
+    // Ya no hace falta que el cliente mande el comprobante
+    const session = sessions.get(order.phone);
+    if (session.pendingOrderId === orderId) {
+      session.pendingOrderId = null;
+      session.state = STATES.MAIN_MENU;
+      await sessions.save(session);
+    }
+    
+    await notifyCustomer(order, 'mercadoPagoApproved', {
+      amount: formatPrice(payment.transaction_amount || order.total)
+    });
+  } else if (['rejected', 'cancelled'].includes(payment.status) && !['Aprobado', 'A reembolsar'].includes(order.paymentStatus)) {
+    await updateOrderPayment(orderId, { paymentStatus: 'Rechazado' }, 'mercadopago');
+    
+    await notifyCustomer(order, 'mercadoPagoRejected');
   }
+}
+
+// Webhook de notificaciones de pago de MercadoPago
+app.post('/webhooks/mercadopago', async (req, res) => {
+  const type = req.body.type || req.query.type;
+  const dataId = req.query['data.id'] || (req.body.data && req.body.data.id);
   
-  res.sendStatus(200);
+  const valid = mercadoPago.verifySignature({
+    signature: req.get('x-signature'),
+    requestId: req.get('x-request-id'),
+    dataId
+  });
+  
+  if (!valid) {
+    console.error('Notificación de MercadoPago con firma inválida');
+    return res.sendStatus(401);
+  }
+  
+  // Solo nos interesan las notificaciones de pagos
+  if (type !== 'payment' || !dataId) {
+    return res.sendStatus(200);
+  }
+  
+  try {
+    const payment = await mercadoPago.getPayment(dataId);
+    await confirmMercadoPagoPayment(payment);
+    res.sendStatus(200);
+  } catch (error) {
+    console.error('Error processing MercadoPago notification:', error);
+    // MercadoPago reintenta la notificación si no respondemos 2xx
+    res.sendStatus(500);
+  }
 });
 
-// Ruta para el panel de administración
-app.get('/', (req, res) => {
+// Ruta para el panel de administración (requiere sesión del staff)
+app.get(['/', '/index.html'], auth.requirePage, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// API para obtener pedidos
+// Pantalla de cocina con los pedidos por preparar
+app.get(['/kitchen', '/kitchen.html'], auth.requirePage, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'kitchen.html'));
+});
+
+// Chat de prueba que habla con el bot real sin pasar por WhatsApp
+app.get('/simulator.html', auth.requirePage, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'simulator.html'));
+});
+
+app.use(express.static('public', { index: false }));
+
+// Escape de HTML compartido con los paneles (el mismo que usan las comandas)
+app.get('/js/escape-html.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'lib', 'escape-html.js'));
+});
+
+// API de login del staff
+app.post('/api/login', (req, res) => {
+  const { username, password } = req.body;
+  const staffUser = auth.login(res, username, password);
+  
+  if (!staffUser) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+  
+  res.json(staffUser);
+});
+
+app.post('/api/logout', (req, res) => {
+  auth.logout(res);
+  res.json({ success: true });
+});
+
+// Todo el resto de /api requiere un usuario del staff
+app.use('/api', auth.requireRole());
+
+app.get('/api/me', (req, res) => {
+  res.json(req.staff);
+});
+
+// Stream de eventos de pedidos para el panel (cada rol recibe los eventos que puede ver)
+app.get('/api/events', (req, res) => {
+  events.subscribe(req, res, req.staff.role);
+});
+
+// API de administración de usuarios y tokens del staff
+app.get('/api/staff/users', auth.requireRole('admin'), (req, res) => {
+  res.json(auth.listUsers());
+});
+
+app.post('/api/staff/users', auth.requireRole('admin'), (req, res) => {
+  const { username, password, role } = req.body;
+  
+  if (!username || !password) {
+    return res.status(400).json({ error: 'username and password are required' });
+  }
+  
+  try {
+    res.status(201).json(auth.createUser(username, password, role));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/staff/users/:username', auth.requireRole('admin'), (req, res) => {
+  if (req.params.username === req.staff.username) {
+    return res.status(400).json({ error: 'You cannot delete yourself' });
+  }
+  
+  if (!auth.deleteUser(req.params.username)) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  res.json({ success: true });
+});
+
+app.post('/api/staff/tokens', auth.requireRole('admin'), (req, res) => {
+  const { name, role } = req.body;
+  
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+  
+  try {
+    res.status(201).json(auth.createToken(name, role));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // API para obtener pedidos
 app.get('/api/orders', async (req, res) => {
   try {
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: SPREADSHEET_ID,
-      range: 'Pedidos!A:K',
-    });
+    const orders = await storage.getOrders();
+    res.json(withMessageFailures(orders));
+  } catch (error) {
+    console.error('Error getting orders:', error);
+    res.status(500).json({ error: 'Error getting orders' });
+  }
+});
+
+// API para obtener un pedido por ID
+app.get('/api/orders/:orderId', async (req, res) => {
+  const order = await getOrderById(req.params.orderId);
+  
+  if (!order) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+  
+  res.json(withMessageFailures([order])[0]);
+});
+
+// Función para leer el rango de los reportes de la query (lanza un error si es inválido)
+// Query: from, to (AAAA-MM-DD, hora del local), groupBy (day, week, month), locationId
+function reportRange(query) {
+  const timezone = (schedule.getConfig() || {}).timezone || 'America/Argentina/Buenos_Aires';
+  return { ...normalizeRange(query, timezone), locationId: query.locationId || null, timezone };
+}
+
+// Pedidos que cuentan para los reportes: los del simulador son de prueba
+async function reportOrders() {
+  return (await storage.getOrders()).filter(order => !isSimulatorOrder(order));
+}
+
+// API de reportes de ventas (JSON para los gráficos del panel)
+app.get('/api/reports', auth.requireRole('admin'), async (req, res) => {
+  let range;
+  try {
+    range = reportRange(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    res.json(buildReports(await reportOrders(), range));
+  } catch (error) {
+    console.error('Error building reports:', error);
+    res.status(500).json({ error: 'Error building reports' });
+  }
+});
+
+// Descarga de reportes: format=csv (un reporte, elegido con report) o xlsx (una hoja por reporte)
+app.get('/api/reports/export', auth.requireRole('admin'), async (req, res) => {
+  const format = req.query.format || 'xlsx';
+  const report = req.query.report || 'revenue';
+  
+  if (!['csv', 'xlsx'].includes(format)) {
+    return res.status(400).json({ error: 'format must be csv or xlsx' });
+  }
+  if (format === 'csv' && !REPORT_NAMES[report]) {
+    return res.status(400).json({ error: `report must be one of: ${Object.keys(REPORT_NAMES).join(', ')}` });
+  }
+  
+  let range;
+  try {
+    range = reportRange(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    const reports = buildReports(await reportOrders(), range);
+    const filename = `reporte-${range.from}-${range.to}`;
     
-    const rows = response.data.values;
-    if (!rows || rows.length <= 1) {
-      return res.json([]);
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}-${report}.csv"`);
+      // BOM para que Excel lea bien los acentos
+      return res.send('\uFEFF' + toCsv(reportTable(reports, report)));
     }
     
-    const [headers, ...data] = rows;
-    const orders = data.map((row, index) => ({
-      rowIndex: index + 2,
-      date: row[0],
-      phone: row[1],
-      customer: row[2],
-      items: JSON.parse(row[3] || '[]'),
-      total: parseFloat(row[4]),
-      deliveryType: row[5],
-      address: row[6],
-      status: row[7] || 'NUEVO',        // CAMBIAR: Leer desde columna H (índice 7)
-      paymentMethod: row[8] || 'Efectivo',  // CAMBIAR: Mover a columna I (índice 8)
-      paymentStatus: row[9] || 'Pendiente'  // CAMBIAR: Mover a columna J (índice 9)
-    }));
+    const workbook = createWorkbook(Object.keys(REPORT_NAMES).map(name => ({
+      name: REPORT_NAMES[name],
+      rows: reportTable(reports, name)
+    })));
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    res.send(workbook);
+  } catch (error) {
+    console.error('Error exporting reports:', error);
+    res.status(500).json({ error: 'Error exporting reports' });
+  }
+});
+
+// API para reintentar un mensaje al cliente que no se pudo entregar
+app.post('/api/messages/:messageId/retry', auth.requireRole('cashier', 'admin'), async (req, res) => {
+  const message = await outbox.retry(req.params.messageId);
+  
+  if (!message) {
+    return res.status(404).json({ error: 'Failed message not found' });
+  }
+  
+  res.json({ id: message.id, status: message.status, error: message.error });
+});
+
+// API con la definición del ciclo de vida (estados, transiciones, botones)
+app.get('/api/lifecycle', (req, res) => {
+  res.json(lifecycle.describe());
+});
+
+// API con los locales (ID y nombre) para identificar los pedidos en el panel
+app.get('/api/locations', (req, res) => {
+  res.json(branding.listLocations().map(({ id, name }) => ({ id, name })));
+});
+
+// API de administración de locales y textos del bot
+app.get('/api/branding', auth.requireRole('admin'), (req, res) => {
+  res.json({ locations: branding.listLocations(), templates: TEMPLATES });
+});
+
+app.put('/api/branding/locations/:locationId', auth.requireRole('admin'), (req, res) => {
+  try {
+    res.json(branding.saveLocation(req.params.locationId, req.body));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// API de administración de las zonas de delivery
+app.get('/api/zones', auth.requireRole('admin'), (req, res) => {
+  res.json(zones.list());
+});
+
+app.put('/api/zones', auth.requireRole('admin'), (req, res) => {
+  try {
+    res.json(zones.replace(req.body.zones));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// API de administración de horarios, feriados y turnos
+app.get('/api/hours', auth.requireRole('admin'), (req, res) => {
+  res.json(schedule.getConfig());
+});
+
+app.put('/api/hours', auth.requireRole('admin'), (req, res) => {
+  try {
+    res.json(schedule.replace(req.body));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// API del menú (los clientes ven los cambios al instante: se renueva la caché)
+app.get('/api/menu', auth.requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await menuCache.get());
+  } catch (error) {
+    console.error('Error getting menu:', error);
+    res.status(500).json({ error: 'Error getting menu' });
+  }
+});
+
+// Vuelve a leer el menú (por ejemplo después de editar la planilla a mano)
+app.post('/api/menu/refresh', auth.requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await menuCache.reload());
+  } catch (error) {
+    console.error('Error reloading menu:', error);
+    res.status(500).json({ error: 'Error reloading menu, still using the last good copy' });
+  }
+});
+
+app.post('/api/menu', auth.requireRole('admin'), async (req, res) => {
+  let product;
+  try {
+    product = normalizeProduct(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    const created = await storage.createProduct(product);
+    menuCache.invalidate();
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error creating product:', error);
+    res.status(500).json({ error: 'Error creating product' });
+  }
+});
+
+app.patch('/api/menu/:productId', auth.requireRole('admin'), async (req, res) => {
+  let changes;
+  try {
+    changes = normalizeProduct(req.body, { partial: true });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    const product = await storage.updateProduct(req.params.productId, changes);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
     
-    res.json(orders);
+    menuCache.invalidate();
+    res.json(product);
   } catch (error) {
-    console.error('Error getting orders:', error);
-    res.status(500).json({ error: 'Error getting orders' });
+    console.error('Error updating product:', error);
+    res.status(500).json({ error: 'Error updating product' });
+  }
+});
+
+// API de stock por producto (null = sin control de stock)
+app.get('/api/stock', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const menu = await storage.getMenu();
+    res.json({
+      lowStockThreshold: LOW_STOCK_THRESHOLD,
+      products: menu.map(({ id, name, category, available, outOfStock, stock }) =>
+        ({ id, name, category, available, outOfStock, stock }))
+    });
+  } catch (error) {
+    console.error('Error getting stock:', error);
+    res.status(500).json({ error: 'Error getting stock' });
+  }
+});
+
+app.put('/api/stock/:productId', auth.requireRole('admin'), async (req, res) => {
+  const { stock } = req.body;
+  const value = stock === null || stock === '' ? null : Number(stock);
+  
+  if (value !== null && (!Number.isInteger(value) || value < 0)) {
+    return res.status(400).json({ error: 'stock must be a non-negative integer or null' });
+  }
+  
+  try {
+    const product = await storage.setStock(req.params.productId, value);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    
+    publishStock([product]);
+    res.json(product);
+  } catch (error) {
+    console.error('Error updating stock:', error);
+    res.status(500).json({ error: 'Error updating stock' });
+  }
+});
+
+// API de administración de promociones y cupones
+app.get('/api/promotions', auth.requireRole('admin'), (req, res) => {
+  res.json(pricing.getConfig());
+});
+
+app.put('/api/promotions', auth.requireRole('admin'), (req, res) => {
+  try {
+    res.json(pricing.replace(req.body));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
   }
 });
 
 // API para actualizar estado de pedido
-app.post('/api/orders/:phone/status', async (req, res) => {
+app.post('/api/orders/:orderId/status', async (req, res) => {
   try {
-    const { phone } = req.params;
+    const { orderId } = req.params;
     const { status } = req.body;
     
-    const success = await updateOrderStatus(`whatsapp:${phone}`, status);
+    if (!lifecycle.isValidStatus(status)) {
+      return res.status(400).json({ error: `Unknown status: ${status}` });
+    }
     
-    if (success) {
-      // Enviar notificación al cliente según el estado
-      let notificationMessage = "";
-      
-      switch (status) {
-        case 'PREPARANDO':
-          notificationMessage = "👨‍🍳 ¡Tu pedido se está preparando!\n\nTe avisamos cuando esté listo. ⏱️";
-          break;
-        case 'LISTO':
-          notificationMessage = "🎉 ¡Tu pedido está listo!\n\n" +
-            "🏪 Ya podés pasar a retirarlo.\n" +
-            "📍 Dirección: [Tu dirección del local]\n\n" +
-            "¡Te esperamos! 😊";
-          break;
-        case 'EN_DELIVERY':
-          notificationMessage = "🚚 ¡Tu pedido salió para delivery!\n\n" +
-            "📍 Llega a tu dirección en 15-20 minutos.\n" +
-            "¡Mantenete atento! 📱";
-          break;
-        case 'ENTREGADO':
-          notificationMessage = "✅ ¡Pedido entregado!\n\n" +
-            "🙏 Gracias por elegirnos.\n" +
-            "⭐ Tu opinión es muy importante para nosotros.";
-          break;
-        case 'FINALIZADO':
-          notificationMessage = "🏁 *Pedido finalizado*\n\n" +
-            "✅ Tu pedido ha sido completado exitosamente.\n" +
-            "¡Esperamos verte pronto! 😊";
-          break;
-        case 'CANCELADO':
-          notificationMessage = "❌ *Pedido cancelado*\n\n" +
-            "😔 Tu pedido ha sido cancelado.\n" +
-            "Si tenés alguna consulta, no dudes en contactarnos.\n\n" +
-            "¡Esperamos poder atenderte pronto! 🙏";
-          break;
-      }
-      
-      if (notificationMessage) {
-        await notifyCustomer(`whatsapp:${phone}`, notificationMessage);
-      }
-      
-      res.json({ success: true });
-    } else {
-      res.status(404).json({ error: 'Order not found' });
+    if (!lifecycle.canSetStatus(req.staff.role, status)) {
+      return res.status(403).json({ error: `Role ${req.staff.role} cannot set status ${status}` });
     }
+    
+    const result = await changeOrderStatus(orderId, status, req.staff.username);
+    
+    if (result.error === 'NOT_FOUND') {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    
+    if (result.error === 'INVALID_TRANSITION') {
+      return res.status(409).json({
+        error: `Cannot change order from ${result.order.status} to ${status}`,
+        status: result.order.status
+      });
+    }
+    
+    // Enviar notificación al cliente según el estado
+    const notificationTemplate = lifecycle.customerTemplate(result.order, status);
+    if (notificationTemplate) {
+      await notifyCustomer(result.order, notificationTemplate);
+    }
+    
+    res.json({ success: true, order: result.order });
   } catch (error) {
     console.error('Error updating order status:', error);
     res.status(500).json({ error: 'Error updating order status' });
   }
 });
 
+// API de la pantalla de cocina: pedidos por preparar, del más viejo al más nuevo
+app.get('/api/kitchen/orders', async (req, res) => {
+  try {
+    const orders = await storage.getOrders();
+    const pending = orders
+      .filter(order => KITCHEN_STATUSES.includes(order.status))
+      .filter(order => !req.query.locationId || order.locationId === req.query.locationId)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+    
+    res.json(pending);
+  } catch (error) {
+    console.error('Error getting kitchen orders:', error);
+    res.status(500).json({ error: 'Error getting kitchen orders' });
+  }
+});
+
+// Comanda de cocina lista para imprimir desde el navegador
+app.get('/api/orders/:orderId/ticket', async (req, res) => {
+  const order = await getOrderById(req.params.orderId);
+  
+  if (!order) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+  
+  res.type('html').send(renderTicketHtml(order, ticketOptions(order)));
+});
+
+// Reimprimir la comanda en la impresora de cocina
+app.post('/api/orders/:orderId/ticket/print', async (req, res) => {
+  const order = await getOrderById(req.params.orderId);
+  
+  if (!order) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+  
+  try {
+    const printed = await printKitchenTicket(order);
+    if (!printed) {
+      return res.status(409).json({ error: 'No kitchen printer configured for this location' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error printing kitchen ticket:', error);
+    res.status(502).json({ error: `Printer error: ${error.message}` });
+  }
+});
+
+// API para ver el historial de estados de un pedido
+app.get('/api/orders/:orderId/history', async (req, res) => {
+  try {
+    const order = await getOrderById(req.params.orderId);
+    
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    
+    res.json(await storage.getHistory(order.orderId));
+  } catch (error) {
+    console.error('Error getting order history:', error);
+    res.status(500).json({ error: 'Error getting order history' });
+  }
+});
+
+// API para ver el comprobante de pago de un pedido
+app.get('/api/orders/:orderId/receipt', async (req, res) => {
+  const order = await getOrderById(req.params.orderId);
+  
+  if (!order || !order.receipt) {
+    return res.status(404).json({ error: 'Receipt not found' });
+  }
+  
+  res.sendFile(receipts.resolve(order.receipt), error => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: 'Receipt not found' });
+    }
+  });
+});
+
+// API para aprobar o rechazar el pago de un pedido
+app.post('/api/orders/:orderId/payment', auth.requireRole('cashier', 'admin'), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { action, reason } = req.body;
+    
+    if (!PAYMENT_REVIEW_TEMPLATES[action]) {
+      return res.status(400).json({ error: 'Action must be approve or reject' });
+    }
+    
+    const order = await getOrderById(orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    
+    // Al rechazar el comprobante el pedido vuelve a NUEVO (esperando el pago);
+    // si ya se estaba preparando el ciclo de vida no lo permite y sigue igual
+    const changes = action === 'approve' ?
+      { paymentStatus: 'Aprobado' } :
+      { paymentStatus: 'Rechazado', status: 'NUEVO' };
+    const updated = await updateOrderPayment(orderId, changes, req.staff.username);
+    
+    // Si se rechaza, el cliente vuelve a poder mandar el comprobante
+    if (action === 'reject') {
+      const session = sessions.get(order.phone);
+      session.pendingOrderId = orderId;
+      session.state = STATES.PAYMENT_CONFIRMATION;
+      await sessions.save(session);
+    }
+    
+    await notifyCustomer(order, PAYMENT_REVIEW_TEMPLATES[action], { reason: reason || 'no se indicó' });
+    
+    res.json(updated);
+  } catch (error) {
+    console.error('Error reviewing payment:', error);
+    res.status(500).json({ error: 'Error reviewing payment' });
+  }
+});
+
+// API de la bandeja de conversaciones: las derivadas al staff primero
+app.get('/api/conversations', auth.requireRole('cashier', 'admin'), (req, res) => {
+  res.json(conversations.list());
+});
+
+// Historial de una conversación; al abrirla se marca como leída
+app.get('/api/conversations/:phone', auth.requireRole('cashier', 'admin'), (req, res) => {
+  const conversation = conversations.markRead(req.params.phone);
+  
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  
+  res.json(conversation);
+});
+
+// Respuesta del staff al cliente desde el número del local; si el bot estaba
+// atendiendo, queda en pausa hasta que se le devuelva la conversación
+app.post('/api/conversations/:phone/messages', auth.requireRole('cashier', 'admin'), async (req, res) => {
+  const { phone } = req.params;
+  const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+  const conversation = conversations.get(phone);
+  
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  
+  if (!body) {
+    return res.status(400).json({ error: 'body is required' });
+  }
+  
+  try {
+    if (conversations.startHandoff(phone, 'staff')) {
+      events.publish('conversation.handoff', conversations.summary(conversation));
+    }
+    
+    conversations.record(phone, { direction: 'out', body, author: req.staff.username });
+    conversations.markRead(phone);
+    await outbox.enqueue({
+      from: branding.getLocation(conversation.locationId).sender,
+      to: phone,
+      body
+    });
+    
+    events.publish('conversation.message', conversations.summary(conversation));
+    res.json(conversation);
+  } catch (error) {
+    console.error('Error sending staff reply:', error);
+    res.status(500).json({ error: 'Error sending message' });
+  }
+});
+
+// Devuelve la conversación al bot y se lo avisa al cliente
+app.post('/api/conversations/:phone/release', auth.requireRole('cashier', 'admin'), async (req, res) => {
+  const { phone } = req.params;
+  const conversation = conversations.endHandoff(phone);
+  
+  if (!conversation) {
+    return res.status(409).json({ error: 'Conversation is not handled by staff' });
+  }
+  
+  try {
+    const session = sessions.get(phone);
+    session.unrecognized = 0;
+    await sessions.save(session);
+    
+    await sendMessage(phone, branding.message(conversation.locationId, 'handoffEnded'), conversation.locationId);
+    
+    console.log(`Conversación con ${phone} devuelta al bot por ${req.staff.username}`);
+    events.publish('conversation.released', conversations.summary(conversation));
+    res.json(conversation);
+  } catch (error) {
+    console.error('Error releasing conversation:', error);
+    res.status(500).json({ error: 'Error releasing conversation' });
+  }
+});
+
+// API del simulador de conversaciones (canal "sim:")
+// Cada mensaje pasa por el mismo flujo que WhatsApp; los pedidos quedan marcados como de prueba
+// (channel 'simulator') y no mueven stock ni cuentan en reportes
+app.post('/api/simulator/messages', auth.requireRole('cashier', 'admin'), async (req, res) => {
+  if (!req.body.phone || typeof req.body.body !== 'string') {
+    return res.status(400).json({ error: 'phone and body are required' });
+  }
+  if (!simulatorAddress(req.body.phone)) {
+    return res.status(400).json({ error: 'phone must contain only digits' });
+  }
+  
+  // El cliente simulado le escribe al número del local elegido
+  const inbound = channels.simulator.parseInbound({
+    ...req.body,
+    to: branding.getLocation(req.body.locationId).sender
+  });
+  const sent = channels.simulator.transcript(inbound.from).length;
+  
+  try {
+    await handleIncoming(inbound);
+  } catch (error) {
+    console.error('Error handling simulator message:', error);
+    return res.status(500).json({ error: 'Error handling message' });
+  }
+  
+  // Respuestas que generó este mensaje; las que lleguen después (cambios de estado) salen en el GET
+  res.json({
+    address: inbound.from,
+    replies: channels.simulator.transcript(inbound.from).slice(sent)
+  });
+});
+
+app.get('/api/simulator/messages', auth.requireRole('cashier', 'admin'), (req, res) => {
+  if (!req.query.phone) {
+    return res.status(400).json({ error: 'phone is required' });
+  }
+  
+  const address = simulatorAddress(req.query.phone);
+  if (!address) {
+    return res.status(400).json({ error: 'phone must contain only digits' });
+  }
+  res.json({ address, messages: channels.simulator.transcript(address) });
+});
+
+// Borra la conversación y la sesión para empezar de cero
+app.delete('/api/simulator/conversations/:phone', auth.requireRole('cashier', 'admin'), async (req, res) => {
+  const address = simulatorAddress(req.params.phone);
+  if (!address) {
+    return res.status(400).json({ error: 'phone must contain only digits' });
+  }
+  channels.simulator.clear(address);
+  sessions.reset(address);
+  conversations.endHandoff(address);
+  res.json({ success: true });
+});
+
 // Iniciar servidor
 const PORT = process.env.PORT || 3000;
+setInterval(() => {
+  expireIdleSessions().catch(error => console.error('Error expiring idle sessions:', error));
+}, 60 * 1000);
+setInterval(() => {
+  outbox.flush().catch(error => console.error('Error flushing outbox:', error));
+}, 5 * 1000);
+
 app.listen(PORT, () => {
   console.log(`🤖 Sistema de Pedidos WhatsApp funcionando en puerto ${PORT}`);
   console.log(`📱 Panel: http://localhost:${PORT}`);
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  MAX_QUANTITY,
+  parseSelection,
+  parseOptionChoice,
+  addProduct,
+  removeLine,
+  setLineQuantity,
+  decrementLine,
+  cartSubtotal
+} = require('../lib/cart');
+
+const EMPANADA = { id: '1', name: 'Empanada', category: 'Empanadas', price: 1200, stock: 10, rowIndex: 2 };
+
+test('parseSelection entiende números sueltos, listas y cantidades', () => {
+  assert.deepStrictEqual(parseSelection('3'), [{ productId: 3, quantity: 1 }]);
+  assert.deepStrictEqual(parseSelection('1,2'), [{ productId: 1, quantity: 1 }, { productId: 2, quantity: 1 }]);
+  assert.deepStrictEqual(parseSelection('3x2'), [{ productId: 2, quantity: 3 }]);
+  assert.deepStrictEqual(parseSelection('2x1 3, 4x5'), [
+    { productId: 1, quantity: 2 },
+    { productId: 3, quantity: 1 },
+    { productId: 5, quantity: 4 }
+  ]);
+});
+
+test('parseSelection devuelve null si el texto no es una selección', () => {
+  assert.strictEqual(parseSelection(''), null);
+  assert.strictEqual(parseSelection('   '), null);
+  assert.strictEqual(parseSelection('hola'), null);
+  assert.strictEqual(parseSelection('1 y 2'), null);
+  assert.strictEqual(parseSelection('x2'), null);
+  assert.strictEqual(parseSelection('2x'), null);
+  assert.strictEqual(parseSelection('-1'), null);
+});
+
+test('addProduct suma cantidades del mismo producto y respeta el máximo', () => {
+  const cart = [];
+
+  assert.strictEqual(addProduct(cart, EMPANADA, 2), null);
+  assert.strictEqual(addProduct(cart, EMPANADA, 3), null);
+  assert.strictEqual(cart.length, 1);
+  assert.strictEqual(cart[0].quantity, 5);
+  // El stock y la fila de la hoja no pasan a la línea del pedido
+  assert.strictEqual(cart[0].stock, undefined);
+  assert.strictEqual(cart[0].rowIndex, undefined);
+
+  assert.match(addProduct(cart, EMPANADA, MAX_QUANTITY), /No podés pedir más de 99/);
+  assert.match(addProduct(cart, EMPANADA, 0), /al menos 1/);
+  assert.strictEqual(cart[0].quantity, 5);
+});
+
+test('editar el carrito por posición', () => {
+  const cart = [];
+  addProduct(cart, EMPANADA, 3);
+  addProduct(cart, { id: '2', name: 'Pizza', price: 9000 }, 1);
+
+  assert.strictEqual(setLineQuantity(cart, 1, 4), null);
+  assert.strictEqual(cart[0].quantity, 4);
+  assert.strictEqual(decrementLine(cart, 1), null);
+  assert.strictEqual(cart[0].quantity, 3);
+  assert.strictEqual(cartSubtotal(cart), 3 * 1200 + 9000);
+
+  assert.match(removeLine(cart, 3), /Elegí un número entre 1 y 2/);
+  assert.match(setLineQuantity(cart, 1, MAX_QUANTITY + 1), /No podés pedir más/);
+
+  assert.strictEqual(decrementLine(cart, 2), null);
+  assert.deepStrictEqual(cart.map(item => item.id), ['1']);
+  assert.strictEqual(setLineQuantity(cart, 1, 0), null);
+  assert.deepStrictEqual(cart, []);
+  assert.match(removeLine(cart, 1), /Tu carrito está vacío/);
+});
+
+test('el mismo producto con otras opciones va en otra línea con su recargo', () => {
+  const pizza = { id: '2', name: 'Pizza', price: 9000 };
+  const grande = [{ group: 'Tamaño', name: 'Grande', priceDelta: 3000 }];
+  const cart = [];
+
+  addProduct(cart, pizza, 1, grande);
+  addProduct(cart, pizza, 1);
+  addProduct(cart, pizza, 2, [...grande]);
+
+  assert.deepStrictEqual(cart.map(item => [item.quantity, item.price, item.basePrice]), [[3, 12000, 9000], [1, 9000, 9000]]);
+});
+
+test('parseOptionChoice valida la elección de un grupo de opciones', () => {
+  const size = { name: 'Tamaño', required: true, options: [{ name: 'Chica' }, { name: 'Grande', priceDelta: 3000 }] };
+  const extras = { name: 'Extras', max: 2, options: [{ name: 'Aceitunas', priceDelta: 500 }, { name: 'Huevo' }, { name: 'Jamón' }] };
+
+  assert.deepStrictEqual(parseOptionChoice(size, '2'), {
+    error: null,
+    modifiers: [{ group: 'Tamaño', name: 'Grande', priceDelta: 3000 }]
+  });
+  assert.match(parseOptionChoice(size, 'no').error, /Tenés que elegir una opción de Tamaño/);
+  assert.match(parseOptionChoice(size, '1,2').error, /Elegí una sola opción/);
+  assert.match(parseOptionChoice(size, '3').error, /La opción 3 no existe/);
+  assert.match(parseOptionChoice(size, 'grande').error, /Respondé con el número/);
+
+  assert.deepStrictEqual(parseOptionChoice(extras, 'no'), { error: null, modifiers: [] });
+  assert.deepStrictEqual(parseOptionChoice(extras, '1, 1 2').modifiers.map(m => m.name), ['Aceitunas', 'Huevo']);
+  assert.match(parseOptionChoice(extras, '1,2,3').error, /hasta 2 opciones/);
+});
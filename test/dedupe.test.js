@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createInboundDedupe } = require('../lib/channels/dedupe');
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dedupe-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'inbound-dedupe.json');
+}
+
+test('un mensaje repetido se reconoce hasta que vence', (t) => {
+  const dedupe = createInboundDedupe({ file: tempFile(t), ttlMs: 1000 });
+
+  assert.strictEqual(dedupe.seen('SM1', 0), false);
+  assert.strictEqual(dedupe.seen('SM1', 500), true);
+  assert.strictEqual(dedupe.seen('SM2', 600), false);
+  // A los 1000ms SM1 ya venció y vuelve a contar como nuevo
+  assert.strictEqual(dedupe.seen('SM1', 1000), false);
+  assert.strictEqual(dedupe.seen('SM2', 1000), true);
+});
+
+test('un mensaje sin ID nunca se descarta', (t) => {
+  const dedupe = createInboundDedupe({ file: tempFile(t) });
+
+  assert.strictEqual(dedupe.seen(undefined), false);
+  assert.strictEqual(dedupe.seen(undefined), false);
+  assert.strictEqual(dedupe.seen(''), false);
+});
+
+test('los IDs vistos sobreviven a un reinicio', async (t) => {
+  const file = tempFile(t);
+  const now = Date.now();
+  createInboundDedupe({ file }).seen('SM1', now);
+
+  // La escritura es asíncrona: se espera a que el archivo tenga el ID
+  while (!fs.existsSync(file) || !fs.readFileSync(file, 'utf8').includes('SM1')) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  const restarted = createInboundDedupe({ file });
+  assert.strictEqual(restarted.seen('SM1', now + 1000), true);
+  assert.strictEqual(restarted.seen('SM2', now + 1000), false);
+});
@@ -0,0 +1,11 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { escapeHtml } = require('../lib/escape-html');
+
+test('escapeHtml escapa etiquetas y las dos comillas', () => {
+  assert.strictEqual(
+    escapeHtml(`<img src=x onerror="a('b')">&`),
+    '&lt;img src=x onerror=&quot;a(&#39;b&#39;)&quot;&gt;&amp;'
+  );
+  assert.strictEqual(escapeHtml(5491100000000), '5491100000000');
+});
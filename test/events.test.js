@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { createEventHub } = require('../lib/events');
+
+// Panel conectado de mentira: junta los tipos de evento que le llegan
+function connect(t, hub, role) {
+  const req = new EventEmitter();
+  const received = [];
+  const res = {
+    writeHead: () => {},
+    write: chunk => {
+      const match = /^event: (.+)$/m.exec(chunk);
+      if (match) received.push(match[1]);
+    }
+  };
+  hub.subscribe(req, res, role);
+  t.after(() => req.emit('close'));
+  return received;
+}
+
+test('la cocina no recibe los eventos de conversaciones con clientes', (t) => {
+  const hub = createEventHub();
+  const kitchen = connect(t, hub, 'kitchen');
+  const cashier = connect(t, hub, 'cashier');
+  const admin = connect(t, hub, 'admin');
+
+  hub.publish('order.created', { orderId: '1' });
+  hub.publish('conversation.handoff', { phone: 'whatsapp:+5491100000000' });
+  hub.publish('conversation.message', { body: 'hola' });
+  hub.publish('stock.low', { id: '1' });
+
+  assert.deepStrictEqual(kitchen, ['order.created', 'stock.low']);
+  assert.deepStrictEqual(cashier, ['order.created', 'conversation.handoff', 'conversation.message', 'stock.low']);
+  assert.deepStrictEqual(admin, cashier);
+});
+
+test('los eventos se siguen pudiendo escuchar dentro del server', () => {
+  const hub = createEventHub();
+  const handoffs = [];
+  hub.on('conversation.handoff', data => handoffs.push(data.phone));
+
+  hub.publish('conversation.handoff', { phone: 'whatsapp:+5491100000000' });
+  assert.deepStrictEqual(handoffs, ['whatsapp:+5491100000000']);
+});
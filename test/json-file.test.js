@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonFile } = require('../lib/json-file');
+
+function tmpFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'sub', 'data.json');
+}
+
+test('las escrituras quedan en orden y se guarda la última', async (t) => {
+  const file = tmpFile(t);
+  const jsonFile = createJsonFile(file);
+  const list = [1];
+
+  jsonFile.save(list);
+  // Se guarda lo que había al llamar a save, aunque después cambie
+  list.push(2);
+  await jsonFile.save([3]);
+
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [3]);
+  assert.deepStrictEqual(createJsonFile(file).load([]), [3]);
+  assert.strictEqual(fs.existsSync(`${file}.tmp`), false);
+});
+
+test('load devuelve el valor por defecto si el archivo no existe o está roto', (t) => {
+  const file = tmpFile(t);
+  assert.deepStrictEqual(createJsonFile(file).load([]), []);
+
+  fs.mkdirSync(path.dirname(file));
+  fs.writeFileSync(file, '{ roto');
+  const errors = [];
+  t.mock.method(console, 'error', (...args) => errors.push(args[0]));
+  assert.deepStrictEqual(createJsonFile(file, { name: 'prueba' }).load([]), []);
+  assert.deepStrictEqual(errors, ['Error loading prueba:']);
+});
+
+test('update no pisa otras escrituras y si falla deja el archivo como estaba', async (t) => {
+  const file = tmpFile(t);
+  const jsonFile = createJsonFile(file);
+
+  await Promise.all([
+    jsonFile.update([], list => list.push('a')),
+    jsonFile.update([], list => list.push('b'))
+  ]);
+  assert.deepStrictEqual(await jsonFile.read(null), ['a', 'b']);
+
+  await assert.rejects(jsonFile.update([], () => {
+    throw new Error('falló');
+  }), /falló/);
+  assert.deepStrictEqual(await jsonFile.read(null), ['a', 'b']);
+});
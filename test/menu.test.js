@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMenuCache } = require('../lib/menu');
+
+// Lecturas que el test resuelve a mano, en el orden que quiera
+function manualLoads() {
+  const pending = [];
+  const load = () => new Promise((resolve, reject) => pending.push({ resolve, reject }));
+  return { load, pending };
+}
+
+test('la caché comparte la lectura en curso y usa la última copia buena si falla', async () => {
+  const { load, pending } = manualLoads();
+  const cache = createMenuCache({ load, ttlMs: 0 });
+
+  const first = cache.get();
+  const second = cache.get();
+  assert.strictEqual(pending.length, 1);
+  pending[0].resolve(['v1']);
+  assert.deepStrictEqual(await first, ['v1']);
+  assert.deepStrictEqual(await second, ['v1']);
+
+  const failed = cache.get();
+  pending[1].reject(new Error('sin red'));
+  assert.deepStrictEqual(await failed, ['v1']);
+});
+
+test('una lectura que empezó antes de invalidate no pisa el menú nuevo', async () => {
+  const { load, pending } = manualLoads();
+  const cache = createMenuCache({ load, ttlMs: 60000 });
+
+  const stale = cache.get();
+  cache.invalidate();
+  const fresh = cache.get();
+  assert.strictEqual(pending.length, 2);
+
+  pending[1].resolve(['nuevo']);
+  assert.deepStrictEqual(await fresh, ['nuevo']);
+
+  // La lectura vieja termina después: se descarta y devuelve la copia nueva
+  pending[0].resolve(['viejo']);
+  assert.deepStrictEqual(await stale, ['nuevo']);
+  assert.deepStrictEqual(await cache.get(), ['nuevo']);
+  assert.strictEqual(pending.length, 2);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { createMercadoPagoClient } = require('../lib/mercadopago');
+
+const SECRET = 'secreto-de-prueba';
+
+// Header x-signature como lo arma MercadoPago para una notificación
+function sign({ ts, dataId = '123456', requestId = 'req-1', secret = SECRET }) {
+  const manifest = `id:${dataId};request-id:${requestId};ts:${ts};`;
+  const v1 = crypto.createHmac('sha256', secret).update(manifest).digest('hex');
+  return `ts=${ts},v1=${v1}`;
+}
+
+// API de MercadoPago de mentira: anota cada pedido y responde lo que diga `reply`
+function listen(t, reply) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      const { status = 200, json } = reply(req);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    });
+  });
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ baseUrl: `http://127.0.0.1:${server.address().port}/`, requests }));
+  });
+}
+
+test('createPreference manda los ítems del pedido con el token', async (t) => {
+  const { baseUrl, requests } = await listen(t, () => ({ status: 201, json: { id: 'pref-1', init_point: 'https://mp/checkout/pref-1' } }));
+  const client = createMercadoPagoClient({ accessToken: 'TEST-token', baseUrl });
+
+  const preference = await client.createPreference({
+    orderId: '1700000123456',
+    items: [{ id: 1, title: 'Empanada de carne', quantity: 3, unitPrice: 1200 }],
+    notificationUrl: 'https://tienda.example/webhook/mercadopago'
+  });
+
+  assert.deepStrictEqual(preference, { id: 'pref-1', init_point: 'https://mp/checkout/pref-1' });
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(requests[0].method, 'POST');
+  assert.strictEqual(requests[0].url, '/checkout/preferences');
+  assert.strictEqual(requests[0].headers.authorization, 'Bearer TEST-token');
+  assert.deepStrictEqual(requests[0].body, {
+    items: [{ id: '1', title: 'Empanada de carne', quantity: 3, unit_price: 1200, currency_id: 'ARS' }],
+    external_reference: '1700000123456',
+    notification_url: 'https://tienda.example/webhook/mercadopago'
+  });
+});
+
+test('getPayment consulta el pago y falla con el mensaje de MercadoPago', async (t) => {
+  const { baseUrl, requests } = await listen(t, req => req.url === '/v1/payments/123'
+    ? { json: { id: 123, status: 'approved', external_reference: '1700000123456' } }
+    : { status: 404, json: { message: 'Payment not found' } });
+  const client = createMercadoPagoClient({ accessToken: 'TEST-token', baseUrl });
+
+  const payment = await client.getPayment('123');
+  assert.strictEqual(payment.status, 'approved');
+  assert.strictEqual(requests[0].method, 'GET');
+  assert.strictEqual(requests[0].headers.authorization, 'Bearer TEST-token');
+
+  await assert.rejects(client.getPayment('../999'), /MercadoPago GET \/v1\/payments\/..%2F999 falló \(404\): Payment not found/);
+  assert.strictEqual(requests[1].url, '/v1/payments/..%2F999');
+});
+
+test('acepta una notificación firmada con el secreto y un ts reciente', () => {
+  const client = createMercadoPagoClient({ webhookSecret: SECRET });
+
+  assert.strictEqual(client.verifySignature({ signature: sign({ ts: Date.now() }), requestId: 'req-1', dataId: '123456' }), true);
+  // El ts también puede venir en segundos
+  const seconds = Math.floor(Date.now() / 1000);
+  assert.strictEqual(client.verifySignature({ signature: sign({ ts: seconds }), requestId: 'req-1', dataId: '123456' }), true);
+});
+
+test('rechaza firmas de otro secreto, de otro pago o sin firma', () => {
+  const client = createMercadoPagoClient({ webhookSecret: SECRET });
+  const ts = Date.now();
+
+  assert.strictEqual(client.verifySignature({ signature: sign({ ts, secret: 'otro' }), requestId: 'req-1', dataId: '123456' }), false);
+  assert.strictEqual(client.verifySignature({ signature: sign({ ts }), requestId: 'req-1', dataId: '999' }), false);
+  assert.strictEqual(client.verifySignature({ signature: `ts=${ts}`, requestId: 'req-1', dataId: '123456' }), false);
+  assert.strictEqual(client.verifySignature({ signature: undefined, requestId: 'req-1', dataId: '123456' }), false);
+});
+
+test('rechaza una notificación con el ts fuera de la tolerancia', () => {
+  const client = createMercadoPagoClient({ webhookSecret: SECRET });
+  const tenMinutes = 10 * 60 * 1000;
+
+  assert.strictEqual(client.verifySignature({ signature: sign({ ts: Date.now() - tenMinutes }), requestId: 'req-1', dataId: '123456' }), false);
+  assert.strictEqual(client.verifySignature({ signature: sign({ ts: Date.now() + tenMinutes }), requestId: 'req-1', dataId: '123456' }), false);
+  assert.strictEqual(client.verifySignature({ signature: sign({ ts: 'ayer' }), requestId: 'req-1', dataId: '123456' }), false);
+});
+
+test('sin secreto configurado no se acepta ninguna notificación', () => {
+  const client = createMercadoPagoClient({});
+
+  assert.strictEqual(client.verifySignature({ signature: sign({ ts: Date.now() }), requestId: 'req-1', dataId: '123456' }), false);
+});
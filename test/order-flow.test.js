@@ -0,0 +1,391 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { STATES, createOrderFlow } = require('../lib/order-flow');
+const { createSessionStore } = require('../lib/sessions');
+const { createBranding } = require('../lib/branding');
+const { createZoneStore } = require('../lib/zones');
+const { createSchedule } = require('../lib/schedule');
+const { createPricing } = require('../lib/pricing');
+const { createCustomerStore } = require('../lib/customers');
+
+const PHONE = 'whatsapp:+5491100000000';
+
+const MENU = [
+  { id: '1', name: 'Empanada de carne', category: 'Empanadas', price: 1200, available: true, stock: null },
+  {
+    id: '2', name: 'Pizza muzzarella', category: 'Pizzas', price: 9000, available: true, stock: null,
+    modifierGroups: [
+      { name: 'Tamaño', required: true, options: [{ name: 'Chica', priceDelta: 0 }, { name: 'Grande', priceDelta: 3000 }] },
+      { name: 'Extras', required: false, max: 2, options: [{ name: 'Aceitunas', priceDelta: 500 }, { name: 'Huevo', priceDelta: 700 }] }
+    ]
+  }
+];
+
+// Flujo con los stores reales en una carpeta temporal y el resto de las dependencias simuladas
+// files: { 'zones.json': {...} } configuración que se escribe antes de crear los stores
+function createFlow(t, { files = {}, ...deps } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-flow-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  Object.entries(files).forEach(([name, content]) => {
+    fs.writeFileSync(path.join(dir, name), JSON.stringify(content));
+  });
+
+  const branding = createBranding({ file: path.join(dir, 'branding.json') });
+  const pricing = createPricing({ file: path.join(dir, 'promotions.json') });
+  const customers = createCustomerStore({ file: path.join(dir, 'customers.json') });
+  const sessions = createSessionStore({ file: path.join(dir, 'sessions.json'), initialState: STATES.MAIN_MENU });
+  const calls = { orders: [], receipts: [], cancellations: [], handoffs: [] };
+
+  const flow = createOrderFlow({
+    getMenu: async () => MENU,
+    processOrder: async (order) => {
+      calls.orders.push(order);
+      return { orderId: order.orderId, quote: pricing.quote({ cart: order.cart, locationId: order.locationId }) };
+    },
+    attachReceipt: async (orderId, media) => {
+      calls.receipts.push({ orderId, media });
+    },
+    generateMercadoPagoLink: async (orderId) => `https://mp.test/checkout/${orderId}`,
+    getOpenOrders: async () => [],
+    cancelCustomerOrder: async (phone, shortId) => {
+      calls.cancellations.push(shortId);
+      return { error: 'NOT_FOUND' };
+    },
+    getLocation: branding.getLocation,
+    zones: createZoneStore({ file: path.join(dir, 'zones.json') }),
+    schedule: createSchedule({ file: path.join(dir, 'hours.json') }),
+    getSlots: async () => [],
+    pricing,
+    validateCoupon: async () => ({ error: 'El cupón no existe.' }),
+    customers,
+    requestHandoff: async (ctx, reason) => {
+      calls.handoffs.push(reason);
+    },
+    ...deps
+  });
+
+  const session = sessions.get(PHONE);
+
+  // Manda un mensaje como lo haría handleIncoming y devuelve las respuestas del bot
+  async function say(body, extra = {}) {
+    const location = branding.getLocation();
+    const replies = [];
+    await flow.handle({
+      session,
+      phone: PHONE,
+      customerName: 'Ana',
+      message: body.toLowerCase().trim(),
+      body,
+      media: null,
+      sharedLocation: null,
+      location,
+      t: (key, vars) => branding.message(location.id, key, vars),
+      reply: async (text) => {
+        replies.push(text);
+      },
+      ...extra
+    });
+    return replies;
+  }
+
+  return { session, say, calls, customers };
+}
+
+test('pedido completo: menú, carrito, delivery, dirección y pago en efectivo', async (t) => {
+  const { session, say, calls } = createFlow(t);
+
+  const welcome = await say('hola');
+  assert.match(welcome[0], /¡Hola Ana!/);
+  assert.strictEqual(session.state, STATES.MAIN_MENU);
+
+  await say('menu');
+  assert.strictEqual(session.state, STATES.BROWSING_PRODUCTS);
+
+  const added = await say('2x1');
+  assert.match(added[0], /Empanada de carne x2/);
+  assert.deepStrictEqual(session.cart.map(item => [item.id, item.quantity]), [['1', 2]]);
+
+  await say('finalizar');
+  assert.strictEqual(session.state, STATES.DELIVERY_INFO);
+
+  await say('1');
+  assert.strictEqual(session.state, STATES.DELIVERY_ADDRESS);
+  assert.strictEqual(session.deliveryType, 'delivery');
+
+  await say('Av. Corrientes 1234, Almagro');
+  assert.strictEqual(session.state, STATES.PAYMENT_METHOD);
+  assert.strictEqual(session.address, 'Av. Corrientes 1234, Almagro');
+
+  await say('1');
+  assert.strictEqual(session.state, STATES.MAIN_MENU);
+  assert.deepStrictEqual(session.cart, []);
+
+  assert.strictEqual(calls.orders.length, 1);
+  const [order] = calls.orders;
+  assert.strictEqual(order.paymentMethod, 'efectivo');
+  assert.strictEqual(order.deliveryType, 'delivery');
+  assert.strictEqual(order.address, 'Av. Corrientes 1234, Almagro');
+  assert.deepStrictEqual(order.cart.map(item => [item.name, item.quantity, item.price]), [['Empanada de carne', 2, 1200]]);
+});
+
+test('una dirección con solo números se toma como dirección', async (t) => {
+  const { session, say } = createFlow(t);
+
+  await say('1');
+  await say('finalizar');
+  await say('1');
+  assert.strictEqual(session.state, STATES.DELIVERY_ADDRESS);
+
+  await say('1234');
+  assert.strictEqual(session.state, STATES.PAYMENT_METHOD);
+  assert.strictEqual(session.address, '1234');
+});
+
+test('los comandos globales funcionan en medio del pedido', async (t) => {
+  const { session, say, calls } = createFlow(t);
+
+  await say('1');
+  await say('finalizar');
+  await say('1');
+
+  // "carrito" muestra el carrito sin tomarlo como dirección
+  const cart = await say('carrito');
+  assert.match(cart[0], /TU CARRITO/);
+  assert.strictEqual(session.state, STATES.DELIVERY_ADDRESS);
+  assert.strictEqual(session.address, null);
+
+  await say('menu');
+  assert.strictEqual(session.state, STATES.BROWSING_PRODUCTS);
+  assert.strictEqual(session.cart.length, 1);
+
+  await say('cancelar');
+  assert.strictEqual(session.state, STATES.MAIN_MENU);
+  assert.deepStrictEqual(session.cart, []);
+  assert.strictEqual(session.deliveryType, null);
+  assert.strictEqual(calls.orders.length, 0);
+});
+
+test('una opción inválida en la entrega o el pago no avanza', async (t) => {
+  const { session, say } = createFlow(t);
+
+  await say('1');
+  await say('finalizar');
+  const delivery = await say('3');
+  assert.match(delivery[0], /Opción no válida/);
+  assert.strictEqual(session.state, STATES.DELIVERY_INFO);
+
+  await say('2');
+  assert.strictEqual(session.state, STATES.PAYMENT_METHOD);
+  const payment = await say('efectivo');
+  assert.match(payment[0], /Opción no válida/);
+  assert.strictEqual(session.state, STATES.PAYMENT_METHOD);
+});
+
+test('si otro cliente se llevó el stock, el pedido no se confirma', async (t) => {
+  const { session, say } = createFlow(t, {
+    processOrder: async () => ({ error: 'OUT_OF_STOCK', shortages: [{ name: 'Empanada de carne', stock: 1 }] })
+  });
+
+  await say('2x1');
+  await say('finalizar');
+  await say('2');
+  const replies = await say('1');
+  assert.match(replies[0], /Nos quedamos sin stock/);
+  assert.match(replies[0], /Empanada de carne: quedan 1/);
+  assert.strictEqual(session.state, STATES.BROWSING_PRODUCTS);
+  assert.strictEqual(session.cart[0].quantity, 2);
+});
+
+test('si no se pudo descontar el stock, el carrito queda para volver a intentar', async (t) => {
+  const { session, say } = createFlow(t, {
+    processOrder: async () => ({ error: 'STOCK_UNAVAILABLE' })
+  });
+
+  await say('2x1');
+  await say('finalizar');
+  await say('2');
+  const replies = await say('1');
+  assert.match(replies[0], /No pudimos registrar tu pedido/);
+  assert.strictEqual(session.state, STATES.PAYMENT_METHOD);
+  assert.strictEqual(session.cart[0].quantity, 2);
+});
+
+test('edita cantidades del carrito con cambiar, -N y quitar', async (t) => {
+  const { session, say } = createFlow(t);
+
+  await say('3x1');
+  await say('cambiar 1 a 5');
+  assert.strictEqual(session.cart[0].quantity, 5);
+
+  await say('-1');
+  assert.strictEqual(session.cart[0].quantity, 4);
+
+  const missing = await say('quitar 2');
+  assert.match(missing[0], /No hay un producto 2/);
+
+  await say('quitar 1');
+  assert.deepStrictEqual(session.cart, []);
+  assert.strictEqual(session.state, STATES.BROWSING_PRODUCTS);
+});
+
+test('pide las opciones de un producto antes de agregarlo', async (t) => {
+  const { session, say } = createFlow(t);
+
+  const sizes = await say('2');
+  assert.strictEqual(session.state, STATES.CHOOSING_OPTIONS);
+  assert.match(sizes[0], /Tamaño/);
+
+  const required = await say('no');
+  assert.match(required[0], /Tenés que elegir una opción de Tamaño/);
+  assert.strictEqual(session.state, STATES.CHOOSING_OPTIONS);
+
+  const extras = await say('2');
+  assert.match(extras[0], /Extras/);
+
+  await say('1,2');
+  assert.strictEqual(session.state, STATES.BROWSING_PRODUCTS);
+  assert.deepStrictEqual(session.pendingItems, []);
+  assert.strictEqual(session.cart.length, 1);
+  assert.deepStrictEqual(session.cart[0].modifiers.map(modifier => modifier.name), ['Grande', 'Aceitunas', 'Huevo']);
+  assert.strictEqual(session.cart[0].price, 9000 + 3000 + 500 + 700);
+});
+
+test('limpiar descarta también el producto que esperaba opciones', async (t) => {
+  const { session, say } = createFlow(t);
+
+  await say('1');
+  await say('2');
+  assert.strictEqual(session.state, STATES.CHOOSING_OPTIONS);
+  assert.strictEqual(session.pendingItems.length, 1);
+
+  await say('limpiar');
+  assert.strictEqual(session.state, STATES.MAIN_MENU);
+  assert.deepStrictEqual(session.cart, []);
+  assert.deepStrictEqual(session.pendingItems, []);
+
+  // El próximo número es un producto nuevo, no una opción de la pizza
+  await say('1');
+  assert.deepStrictEqual(session.cart.map(item => item.id), ['1']);
+  assert.strictEqual(session.state, STATES.BROWSING_PRODUCTS);
+});
+
+test('el pago con MercadoPago espera el comprobante del pedido', async (t) => {
+  const { session, say, calls } = createFlow(t);
+
+  await say('1');
+  await say('finalizar');
+  await say('2');
+  const payment = await say('2');
+  assert.strictEqual(session.state, STATES.PAYMENT_CONFIRMATION);
+
+  const [order] = calls.orders;
+  assert.strictEqual(order.paymentMethod, 'mercadopago');
+  assert.strictEqual(session.pendingOrderId, order.orderId);
+  assert.match(payment[0], new RegExp(`https://mp\\.test/checkout/${order.orderId}`));
+
+  const media = { url: 'https://api.twilio.com/media/1', contentType: 'image/jpeg' };
+  await say('', { media });
+  assert.deepStrictEqual(calls.receipts, [{ orderId: order.orderId, media }]);
+  assert.strictEqual(session.pendingOrderId, null);
+  assert.strictEqual(session.state, STATES.MAIN_MENU);
+});
+
+test('cancelar pedido acepta solo el número corto de 6 dígitos', async (t) => {
+  const { say, calls } = createFlow(t);
+
+  const cancelled = await say('cancelar pedido #123456');
+  assert.deepStrictEqual(calls.cancellations, ['123456']);
+  assert.match(cancelled[0], /No encontramos el pedido #123456/);
+
+  await say('cancelar pedido 1234');
+  assert.deepStrictEqual(calls.cancellations, ['123456']);
+});
+
+test('con zonas configuradas solo acepta direcciones dentro de una zona', async (t) => {
+  const { session, say } = createFlow(t, {
+    files: {
+      'zones.json': { zones: [{ id: 'almagro', name: 'Almagro', neighborhoods: ['Almagro'], fee: 800, minimum: 0, eta: '30 minutos' }] }
+    }
+  });
+
+  await say('1');
+  await say('finalizar');
+  await say('1');
+
+  const outside = await say('Cabildo 2000, Belgrano');
+  assert.match(outside[0], /No llegamos a esa dirección/);
+  assert.strictEqual(session.state, STATES.DELIVERY_ADDRESS);
+
+  await say('Av. Corrientes 4000, Almagro');
+  assert.strictEqual(session.state, STATES.PAYMENT_METHOD);
+  assert.strictEqual(session.deliveryZone.name, 'Almagro');
+  assert.strictEqual(session.deliveryZone.fee, 800);
+});
+
+test('con el local cerrado no toma pedidos pero responde el estado', async (t) => {
+  const { session, say } = createFlow(t, {
+    files: { 'hours.json': { weekly: {} } }
+  });
+
+  const closed = await say('1');
+  assert.match(closed[0], /está cerrado/);
+  assert.deepStrictEqual(session.cart, []);
+
+  const status = await say('estado');
+  assert.doesNotMatch(status[0], /está cerrado/);
+});
+
+test('con el local cerrado "ahora" no deja la elección de turno colgada', async (t) => {
+  const slot = { at: '2026-10-20T23:00:00.000Z', label: 'mar 20/10 20:00' };
+  const { session, say } = createFlow(t, {
+    files: { 'hours.json': { weekly: {}, scheduling: { enabled: true } } },
+    getSlots: async () => [slot]
+  });
+
+  await say('programar');
+  assert.strictEqual(session.state, STATES.SCHEDULING);
+
+  const now = await say('ahora');
+  assert.match(now[0], /está cerrado/);
+  assert.strictEqual(session.state, STATES.MAIN_MENU);
+  assert.strictEqual(session.scheduledFor, null);
+
+  await say('programar');
+  await say('1');
+  assert.strictEqual(session.state, STATES.BROWSING_PRODUCTS);
+  assert.strictEqual(session.scheduledFor, slot.at);
+});
+
+test('repetir arma el carrito con el último pedido', async (t) => {
+  const { session, say, customers } = createFlow(t);
+
+  const empty = await say('repetir');
+  assert.match(empty[0], /Todavía no tenés pedidos/);
+
+  customers.recordOrder(PHONE, {
+    name: 'Ana',
+    orderId: '1700000000001',
+    deliveryType: 'pickup',
+    items: [{ id: '1', name: 'Empanada de carne', quantity: 3, modifiers: [] }]
+  });
+
+  await say('repetir');
+  assert.strictEqual(session.state, STATES.BROWSING_PRODUCTS);
+  assert.deepStrictEqual(session.cart.map(item => [item.id, item.quantity]), [['1', 3]]);
+});
+
+test('hablar con alguien o varios mensajes sin entender pasan la conversación al staff', async (t) => {
+  const { say, calls } = createFlow(t);
+
+  await say('hablar con alguien');
+  assert.deepStrictEqual(calls.handoffs, ['customer']);
+
+  await say('qué onda');
+  await say('??');
+  assert.deepStrictEqual(calls.handoffs, ['customer']);
+  await say('asdf');
+  assert.deepStrictEqual(calls.handoffs, ['customer', 'unrecognized']);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOutbox } = require('../lib/outbox');
+
+const TO = 'whatsapp:+5491100000000';
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'outbox.json');
+}
+
+// Proveedor de mentira: falla las veces indicadas y después devuelve un SID
+function fakeSend(failures = 0) {
+  const sent = [];
+  const send = async (message) => {
+    sent.push(message.body);
+    if (failures > 0) {
+      failures--;
+      throw new Error('Twilio no responde');
+    }
+    return `SM${sent.length}`;
+  };
+  return { send, sent };
+}
+
+test('un mensaje que sale bien queda enviado con el SID del proveedor', async (t) => {
+  const { send, sent } = fakeSend();
+  const outbox = createOutbox({ file: tempFile(t), send });
+
+  const message = await outbox.enqueue({ to: TO, from: 'whatsapp:+14155238886', body: 'Hola', orderId: '1' });
+
+  assert.deepStrictEqual(sent, ['Hola']);
+  assert.strictEqual(message.status, 'sent');
+  assert.strictEqual(message.providerSid, 'SM1');
+  assert.strictEqual(message.attempts, 1);
+});
+
+test('los reintentos esperan cada vez el doble y al agotarse el mensaje falla', async (t) => {
+  const { send, sent } = fakeSend(Infinity);
+  const outbox = createOutbox({ file: tempFile(t), send, maxAttempts: 3, baseDelayMs: 1000 });
+  const failed = [];
+  outbox.on('failed', message => failed.push(message.id));
+
+  const start = Date.now();
+  const message = await outbox.enqueue({ to: TO, body: 'Tu pedido', orderId: '7' });
+  assert.strictEqual(message.status, 'pending');
+  assert.strictEqual(message.error, 'Twilio no responde');
+  const firstDelay = new Date(message.nextAttemptAt).getTime() - start;
+  assert.ok(firstDelay >= 1000 && firstDelay < 2000, `primer reintento a ${firstDelay}ms`);
+
+  // Antes de que venza el reintento no se vuelve a mandar
+  await outbox.flush(Date.now());
+  assert.strictEqual(sent.length, 1);
+
+  await outbox.flush(Date.now() + 1000);
+  assert.strictEqual(message.attempts, 2);
+  const secondDelay = new Date(message.nextAttemptAt).getTime() - Date.now();
+  assert.ok(secondDelay > 1000 && secondDelay <= 2000, `segundo reintento a ${secondDelay}ms`);
+
+  await outbox.flush(Date.now() + 2000);
+  assert.strictEqual(message.status, 'failed');
+  assert.strictEqual(message.nextAttemptAt, null);
+  assert.deepStrictEqual(failed, [message.id]);
+  assert.deepStrictEqual(Object.keys(outbox.failuresByOrder()), ['7']);
+
+  // retry vuelve a empezar la cuenta de intentos
+  await outbox.retry(message.id);
+  assert.strictEqual(message.attempts, 1);
+  assert.strictEqual(message.status, 'pending');
+});
+
+test('los mensajes a un mismo destinatario salen en orden', async (t) => {
+  const { send, sent } = fakeSend(1);
+  const outbox = createOutbox({ file: tempFile(t), send, baseDelayMs: 1000 });
+
+  const first = await outbox.enqueue({ to: TO, body: 'primero' });
+  const second = await outbox.enqueue({ to: TO, body: 'segundo' });
+  const other = await outbox.enqueue({ to: 'whatsapp:+5491199999999', body: 'otro cliente' });
+
+  // El segundo espera al primero; otro destinatario no
+  assert.strictEqual(second.status, 'pending');
+  assert.strictEqual(other.status, 'sent');
+
+  await outbox.flush(Date.now() + 1000);
+  assert.deepStrictEqual([first.status, second.status], ['sent', 'sent']);
+  assert.deepStrictEqual(sent, ['primero', 'otro cliente', 'primero', 'segundo']);
+});
+
+test('el estado de entrega solo avanza y un fallo del proveedor lo marca como fallido', async (t) => {
+  const { send } = fakeSend();
+  const outbox = createOutbox({ file: tempFile(t), send });
+  const message = await outbox.enqueue({ to: TO, body: 'Hola' });
+
+  outbox.updateStatus('SM1', 'read');
+  outbox.updateStatus('SM1', 'delivered');
+  assert.strictEqual(message.status, 'read');
+  assert.strictEqual(outbox.updateStatus('SM999', 'delivered'), null);
+
+  const second = await outbox.enqueue({ to: TO, body: 'Chau' });
+  outbox.updateStatus('SM2', 'undelivered', '63016');
+  assert.strictEqual(second.status, 'failed');
+  assert.match(second.error, /undelivered \(código 63016\)/);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPricing, normalizeCode } = require('../lib/pricing');
+
+// Martes 20/10/2026 a las 13:00 en Buenos Aires
+const TUESDAY = new Date('2026-10-20T16:00:00Z');
+const WEDNESDAY = new Date('2026-10-21T16:00:00Z');
+
+const NO_USAGE = { total: 0, byCustomer: 0, customerOrders: 0 };
+
+function line(id, category, price, quantity) {
+  return { id, name: `Producto ${id}`, category, price, quantity };
+}
+
+function createPricingWith(t, config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const pricing = createPricing({ file: path.join(dir, 'promotions.json') });
+  if (config) pricing.replace(config);
+  return pricing;
+}
+
+test('sin promociones el total es el subtotal más el envío', (t) => {
+  const pricing = createPricingWith(t);
+
+  const quote = pricing.quote({ cart: [line('1', 'Empanadas', 1200, 3)], deliveryZone: { name: 'Almagro', fee: 800 } });
+  assert.deepStrictEqual(quote, {
+    subtotal: 3600,
+    discounts: [],
+    discount: 0,
+    deliveryFee: 800,
+    deliveryZone: 'Almagro',
+    couponCode: null,
+    total: 4400
+  });
+});
+
+test('bundle: en cada grupo se regalan las unidades más baratas y solo los días indicados', (t) => {
+  const pricing = createPricingWith(t, {
+    promotions: [{ id: '2x1-empanadas', name: '2x1 en empanadas', type: 'bundle', buy: 2, pay: 1, category: 'Empanadas', days: [2] }]
+  });
+  const cart = [line('1', 'Empanadas', 1500, 2), line('2', 'Empanadas', 1200, 3)];
+
+  // 1500, 1500 | 1200, 1200 | 1200 suelta: se regalan una de 1500 y una de 1200
+  const tuesday = pricing.quote({ cart, now: TUESDAY });
+  assert.deepStrictEqual(tuesday.discounts, [{ label: '2x1 en empanadas', amount: 2700, promotionId: '2x1-empanadas' }]);
+  assert.strictEqual(tuesday.total, 6600 - 2700);
+
+  assert.strictEqual(pricing.quote({ cart, now: WEDNESDAY }).discount, 0);
+});
+
+test('percent y combo: cada unidad entra en una sola promoción', (t) => {
+  const pricing = createPricingWith(t, {
+    promotions: [
+      { id: 'combo', name: 'Pizza + gaseosa', type: 'combo', price: 10000, items: [{ productId: '3', quantity: 1 }, { productId: '4', quantity: 1 }] },
+      { id: 'bebidas', name: '10% en bebidas', type: 'percent', value: 10, category: 'Bebidas' }
+    ]
+  });
+  const cart = [line('3', 'Pizzas', 9000, 2), line('4', 'Bebidas', 2000, 3)];
+
+  const quote = pricing.quote({ cart, now: TUESDAY });
+  // Dos combos (2 x (11000 - 10000)) y el 10% solo sobre la gaseosa que quedó suelta
+  assert.deepStrictEqual(quote.discounts.map(d => [d.promotionId, d.amount]), [['combo', 2000], ['bebidas', 200]]);
+  assert.strictEqual(quote.total, 24000 - 2200);
+});
+
+test('las promociones respetan local, vigencia y enabled', (t) => {
+  const pricing = createPricingWith(t, {
+    promotions: [
+      { id: 'palermo', name: 'Solo Palermo', type: 'percent', value: 50, locationId: 'palermo' },
+      { id: 'vencida', name: 'Vencida', type: 'percent', value: 50, validUntil: '2026-10-19' },
+      { id: 'apagada', name: 'Apagada', type: 'percent', value: 50, enabled: false }
+    ]
+  });
+  const cart = [line('1', 'Empanadas', 1000, 1)];
+
+  assert.strictEqual(pricing.quote({ cart, locationId: 'centro', now: TUESDAY }).discount, 0);
+  assert.strictEqual(pricing.quote({ cart, locationId: 'palermo', now: TUESDAY }).discount, 500);
+});
+
+test('el cupón se aplica sobre lo que queda después de las promociones', (t) => {
+  const pricing = createPricingWith(t, {
+    promotions: [{ id: 'bebidas', name: '10% en bebidas', type: 'percent', value: 10, category: 'Bebidas' }],
+    coupons: [
+      { code: 'bienvenida', type: 'percent', value: 15 },
+      { code: 'FIJO', type: 'fixed', value: 50000 }
+    ]
+  });
+  const cart = [line('4', 'Bebidas', 2000, 5)];
+
+  const percent = pricing.quote({ cart, couponCode: 'Bienvenida', now: TUESDAY });
+  assert.deepStrictEqual(percent.discounts.map(d => d.amount), [1000, 1350]);
+  assert.strictEqual(percent.couponCode, 'BIENVENIDA');
+  assert.strictEqual(percent.total, 10000 - 2350);
+
+  // Un cupón fijo nunca deja el total en negativo
+  const fixed = pricing.quote({ cart, couponCode: 'FIJO', deliveryZone: { name: 'Almagro', fee: 800 }, now: TUESDAY });
+  assert.strictEqual(fixed.discount, 10000);
+  assert.strictEqual(fixed.total, 800);
+});
+
+test('checkCoupon controla existencia, vencimiento, mínimo y límites de uso', (t) => {
+  const pricing = createPricingWith(t, {
+    coupons: [
+      { code: 'FINDE', type: 'fixed', value: 2000, minimum: 10000, maxUses: 100, maxUsesPerCustomer: 1, expiresAt: '2026-10-20' },
+      { code: 'PRIMERA', type: 'percent', value: 15, firstOrderOnly: true },
+      { code: 'CENTRO', type: 'percent', value: 15, locationId: 'centro' }
+    ]
+  });
+  const check = (code, options = {}) => pricing.checkCoupon(code, {
+    subtotal: 12000, locationId: 'centro', usage: NO_USAGE, now: TUESDAY, ...options
+  });
+
+  assert.strictEqual(check('finde').coupon.code, 'FINDE');
+  assert.match(check('NOEXISTE').error, /no existe/);
+  assert.match(check('CENTRO', { locationId: 'palermo' }).error, /no existe/);
+  // Vence al terminar el día de expiresAt
+  assert.match(check('FINDE', { now: WEDNESDAY }).error, /está vencido/);
+  assert.match(check('FINDE', { subtotal: 9999 }).error, /es para compras desde/);
+  assert.match(check('FINDE', { usage: { ...NO_USAGE, total: 100 } }).error, /límite de usos/);
+  assert.match(check('FINDE', { usage: { ...NO_USAGE, total: 5, byCustomer: 1 } }).error, /Ya usaste el cupón/);
+  assert.match(check('PRIMERA', { usage: { ...NO_USAGE, customerOrders: 1 } }).error, /primer pedido/);
+});
+
+test('replace valida promociones y cupones antes de guardarlos', (t) => {
+  const pricing = createPricingWith(t);
+
+  assert.throws(() => pricing.replace({ promotions: [{ id: 'x', name: 'X', type: 'bundle', buy: 1, pay: 1 }] }), /buy mayor que pay/);
+  assert.throws(() => pricing.replace({ promotions: [{ id: 'x', name: 'X', type: 'regalo' }] }), /tipo desconocido/);
+  assert.throws(() => pricing.replace({ coupons: [{ code: 'a', type: 'percent', value: 10 }, { code: 'A', type: 'fixed', value: 5 }] }), /Cupón repetido: A/);
+  assert.throws(() => pricing.replace({ coupons: [{ code: 'MUCHO', type: 'percent', value: 120 }] }), /valor inválido/);
+  assert.throws(() => pricing.replace({ timezone: 'Marte/Olympus', promotions: [] }), RangeError);
+  assert.strictEqual(normalizeCode('  finde-10 '), 'FINDE-10');
+});
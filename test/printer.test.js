@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { parsePrinterAddress, createNetworkPrinter } = require('../lib/printer');
+const { renderEscPos } = require('../lib/tickets');
+
+// Impresora de mentira: junta los bytes de cada conexión hasta que se cierra
+function listen(t) {
+  const jobs = [];
+  const server = net.createServer(socket => {
+    const chunks = [];
+    socket.on('data', chunk => chunks.push(chunk));
+    socket.on('end', () => jobs.push(Buffer.concat(chunks)));
+  });
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ port: server.address().port, jobs }));
+  });
+}
+
+const ORDER = {
+  orderId: '1700000123456',
+  date: '2024-05-10T23:05:00.000Z',
+  customer: 'Ana 🍕',
+  deliveryType: 'pickup',
+  items: [
+    { name: 'Empanada de carne', quantity: 2, modifiers: [] },
+    { name: 'Pizza muzzarella', quantity: 1, modifiers: [{ group: 'Extras', name: 'Aceitunas', priceDelta: 0 }] }
+  ],
+  notes: 'Sin cebolla, por favor'
+};
+
+test('separa host y puerto de la dirección de la impresora', () => {
+  assert.deepStrictEqual(parsePrinterAddress('192.168.0.50:9101'), { host: '192.168.0.50', port: 9101 });
+  assert.deepStrictEqual(parsePrinterAddress(' cocina.local '), { host: 'cocina.local', port: 9100 });
+  assert.strictEqual(parsePrinterAddress(''), null);
+  assert.strictEqual(parsePrinterAddress('http://impresora'), null);
+});
+
+test('manda la comanda ESC/POS completa a la impresora', async (t) => {
+  const { port, jobs } = await listen(t);
+  const printer = createNetworkPrinter({ host: '127.0.0.1', port });
+  const ticket = renderEscPos(ORDER, { location: { name: 'Lo de Ana' }, timezone: 'America/Argentina/Buenos_Aires' });
+
+  await printer.print(ticket);
+  // El server recibe el cierre de la conexión un instante después
+  while (jobs.length === 0) await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(jobs.length, 1);
+  assert.deepStrictEqual(jobs[0], ticket);
+
+  const text = jobs[0].toString('latin1');
+  assert.ok(text.startsWith('\x1b@'), 'empieza inicializando la impresora');
+  assert.ok(text.endsWith('\x1dVB\x00'), 'termina cortando el papel');
+  assert.match(text, /#123456\n/);
+  assert.match(text, /20:05 - Ana \n/, 'la hora va en la zona del local y sin emojis');
+  assert.match(text, /RETIRO\n/);
+  assert.match(text, /2 x Empanada de carne\n/);
+  assert.match(text, / {4}\+ Aceitunas\n/);
+  assert.match(text, /NOTA: Sin cebolla, por favor\n/);
+});
+
+test('falla si la impresora no acepta la conexión', async () => {
+  // Un puerto que estuvo libre hace un instante y ya nadie escucha
+  const port = await new Promise(resolve => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const free = server.address().port;
+      server.close(() => resolve(free));
+    });
+  });
+
+  const printer = createNetworkPrinter({ host: '127.0.0.1', port });
+  await assert.rejects(printer.print(Buffer.from('hola')), { code: 'ECONNREFUSED' });
+});
+
+test('falla si la impresora no responde a tiempo', async (t) => {
+  // Acepta la conexión pero nunca la cierra
+  const sockets = [];
+  const server = net.createServer(socket => sockets.push(socket));
+  t.after(() => new Promise(resolve => {
+    sockets.forEach(socket => socket.destroy());
+    server.close(resolve);
+  }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const printer = createNetworkPrinter({ host: '127.0.0.1', port: server.address().port, timeoutMs: 100 });
+  await assert.rejects(printer.print(Buffer.from('hola')), /no respondió/);
+});
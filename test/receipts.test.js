@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createReceiptStore } = require('../lib/receipts');
+
+// Servidor local que responde cada ruta con el body indicado
+// (chunked: sin content-length, como algunas respuestas de S3)
+async function serve(t, routes) {
+  const server = http.createServer((req, res) => {
+    const route = routes[req.url];
+    if (route.chunked) {
+      res.write(route.body);
+      return res.end();
+    }
+    res.end(route.body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+function createStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { dir, receipts: createReceiptStore({ dir, maxBytes: 1024 }) };
+}
+
+test('guarda el comprobante con la extensión de su tipo', async (t) => {
+  const base = await serve(t, { '/foto': { body: Buffer.alloc(1024, 1) } });
+  const { dir, receipts } = createStore(t);
+
+  const filename = await receipts.save('123', `${base}/foto`, 'image/png');
+
+  assert.match(filename, /^123-\d+\.png$/);
+  assert.strictEqual(fs.readFileSync(path.join(dir, filename)).length, 1024);
+});
+
+test('no descarga archivos más grandes que el máximo', async (t) => {
+  const base = await serve(t, {
+    '/grande': { body: Buffer.alloc(2048) },
+    '/sin-largo': { body: Buffer.alloc(2048), chunked: true }
+  });
+  const { dir, receipts } = createStore(t);
+
+  await assert.rejects(receipts.save('1', `${base}/grande`, 'image/jpeg'), /supera los 1024 bytes/);
+  await assert.rejects(receipts.save('2', `${base}/sin-largo`, 'image/jpeg'), /supera los 1024 bytes/);
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
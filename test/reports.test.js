@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeRange, buildReports, reportTable, toCsv } = require('../lib/reports');
+
+const TIMEZONE = 'America/Argentina/Buenos_Aires';
+
+function order(date, total, fields = {}) {
+  return { orderId: date, date, total, status: 'ENTREGADO', deliveryType: 'pickup', paymentMethod: 'efectivo', items: [], ...fields };
+}
+
+const ORDERS = [
+  // Lunes 19/10 a las 21:30 en Buenos Aires
+  order('2026-10-20T00:30:00Z', 5000, {
+    deliveryType: 'delivery',
+    items: [{ id: '1', name: 'Empanada', price: 1200, quantity: 3 }, { id: '2', name: 'Pizza', price: 9000, quantity: 1 }]
+  }),
+  order('2026-10-20T15:00:00Z', 3000, { paymentMethod: 'mercadopago', items: [{ id: '1', name: 'Empanada', price: 1200, quantity: 2 }] }),
+  order('2026-10-20T16:00:00Z', 9000, { status: 'CANCELADO', items: [{ id: '2', name: 'Pizza', price: 9000, quantity: 1 }] }),
+  order('2026-10-26T13:00:00Z', 1000, { locationId: 'palermo' }),
+  // Fuera del rango pedido
+  order('2026-11-02T13:00:00Z', 99999)
+];
+
+test('normalizeRange completa el rango y rechaza fechas inválidas', () => {
+  const now = new Date('2026-10-20T02:00:00Z');
+
+  assert.deepStrictEqual(normalizeRange({}, TIMEZONE, now), { from: '2026-09-20', to: '2026-10-19', groupBy: 'day' });
+  assert.deepStrictEqual(normalizeRange({ from: '2026-10-01', to: '2026-10-31', groupBy: 'week' }, TIMEZONE, now),
+    { from: '2026-10-01', to: '2026-10-31', groupBy: 'week' });
+  assert.throws(() => normalizeRange({ groupBy: 'year' }, TIMEZONE, now), /Agrupación inválida/);
+  assert.throws(() => normalizeRange({ from: '2026-02-30' }, TIMEZONE, now), /Fecha inválida: 2026-02-30/);
+  assert.throws(() => normalizeRange({ from: '2026-10-20', to: '2026-10-19' }, TIMEZONE, now), /no puede ser posterior/);
+});
+
+test('las ventas se agrupan por día local y los cancelados solo cuentan en la tasa', () => {
+  const reports = buildReports(ORDERS, { from: '2026-10-19', to: '2026-10-31', groupBy: 'day', timezone: TIMEZONE });
+
+  assert.deepStrictEqual(reports.summary, { orders: 3, revenue: 9000, averageTicket: 3000, cancelled: 1, cancellationRate: 0.25 });
+  assert.deepStrictEqual(reports.revenue, [
+    { period: '2026-10-19', orders: 1, revenue: 5000, averageTicket: 5000 },
+    { period: '2026-10-20', orders: 1, revenue: 3000, averageTicket: 3000 },
+    { period: '2026-10-26', orders: 1, revenue: 1000, averageTicket: 1000 }
+  ]);
+  assert.deepStrictEqual(reports.cancellations.find(row => row.period === '2026-10-20'),
+    { period: '2026-10-20', orders: 2, cancelled: 1, rate: 0.5 });
+  assert.deepStrictEqual(reports.topProducts, [
+    { id: '1', name: 'Empanada', units: 5, revenue: 6000 },
+    { id: '2', name: 'Pizza', units: 1, revenue: 9000 }
+  ]);
+  assert.deepStrictEqual(reports.paymentMethods.map(row => [row.method, row.orders]), [['efectivo', 2], ['mercadopago', 1]]);
+  assert.strictEqual(reports.ordersByHour.length, 24);
+  assert.deepStrictEqual(reports.ordersByHour[21], { hour: 21, orders: 1, revenue: 5000 });
+});
+
+test('agrupar por semana usa el lunes y se puede filtrar por local', () => {
+  const weekly = buildReports(ORDERS, { from: '2026-10-19', to: '2026-10-31', groupBy: 'week', timezone: TIMEZONE });
+  assert.deepStrictEqual(weekly.revenue.map(row => [row.period, row.orders]), [['2026-10-19', 2], ['2026-10-26', 1]]);
+
+  const palermo = buildReports(ORDERS, { from: '2026-10-01', to: '2026-10-31', groupBy: 'month', locationId: 'palermo', timezone: TIMEZONE });
+  assert.deepStrictEqual(palermo.revenue, [{ period: '2026-10', orders: 1, revenue: 1000, averageTicket: 1000 }]);
+});
+
+test('reportTable y toCsv arman la exportación con títulos y comillas', () => {
+  const reports = buildReports(ORDERS, { from: '2026-10-19', to: '2026-10-31', groupBy: 'day', timezone: TIMEZONE });
+
+  assert.deepStrictEqual(reportTable(reports, 'topProducts'), [
+    ['ID', 'Producto', 'Unidades', 'Facturación'],
+    ['1', 'Empanada', 5, 6000],
+    ['2', 'Pizza', 1, 9000]
+  ]);
+  assert.throws(() => reportTable(reports, 'clientes'), /Reporte desconocido: clientes/);
+  assert.strictEqual(toCsv([['Producto', 'Nota'], ['Pizza, grande', 'dice "hola"'], [null, 3]]),
+    'Producto,Nota\r\n"Pizza, grande","dice ""hola"""\r\n,3\r\n');
+});
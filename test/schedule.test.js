@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSchedule, localParts, addDays } = require('../lib/schedule');
+
+const TIMEZONE = 'America/Argentina/Buenos_Aires';
+
+// Hora de Buenos Aires (UTC-3, sin horario de verano)
+function at(date, time) {
+  return new Date(`${date}T${time}:00-03:00`);
+}
+
+function createScheduleWith(t, config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'hours.json');
+  const schedule = createSchedule({ file });
+  if (config) schedule.replace(config);
+  return { schedule, file };
+}
+
+// Martes a sábado de 11 a 15 y de 20 a 1 de la madrugada
+const WEEK = { 2: [['11:00', '15:00'], ['20:00', '01:00']], 3: [['11:00', '15:00'], ['20:00', '01:00']], 6: [['20:00', '01:00']] };
+
+test('localParts y addDays trabajan con la fecha del local', () => {
+  assert.deepStrictEqual(localParts(at('2026-10-20', '23:30'), TIMEZONE), { date: '2026-10-20', weekday: 2, minutes: 1410 });
+  assert.strictEqual(addDays('2026-12-31', 1), '2027-01-01');
+  assert.strictEqual(addDays('2026-03-01', -1), '2026-02-28');
+});
+
+test('sin archivo el local atiende siempre y no programa pedidos', (t) => {
+  const { schedule } = createScheduleWith(t);
+
+  assert.strictEqual(schedule.isOpen('centro', at('2026-10-20', '04:00')), true);
+  assert.strictEqual(schedule.nextOpening('centro'), null);
+  assert.strictEqual(schedule.isSchedulingEnabled('centro'), false);
+  assert.deepStrictEqual(schedule.availableSlots('centro'), []);
+});
+
+test('isOpen respeta los rangos del día y los que pasan la medianoche', (t) => {
+  const { schedule } = createScheduleWith(t, { timezone: TIMEZONE, weekly: WEEK });
+
+  assert.strictEqual(schedule.isOpen('centro', at('2026-10-20', '10:59')), false);
+  assert.strictEqual(schedule.isOpen('centro', at('2026-10-20', '11:00')), true);
+  assert.strictEqual(schedule.isOpen('centro', at('2026-10-20', '15:00')), false);
+  assert.strictEqual(schedule.isOpen('centro', at('2026-10-20', '23:59')), true);
+  // El turno noche del martes sigue abierto el miércoles a la madrugada
+  assert.strictEqual(schedule.isOpen('centro', at('2026-10-21', '00:30')), true);
+  assert.strictEqual(schedule.isOpen('centro', at('2026-10-21', '01:00')), false);
+  // El lunes no abre
+  assert.strictEqual(schedule.isOpen('centro', at('2026-10-19', '12:00')), false);
+});
+
+test('nextOpening avisa cuándo vuelve a abrir', (t) => {
+  const { schedule } = createScheduleWith(t, { timezone: TIMEZONE, weekly: WEEK });
+
+  assert.strictEqual(schedule.nextOpening('centro', at('2026-10-20', '16:00')), 'hoy a las 20:00');
+  assert.strictEqual(schedule.nextOpening('centro', at('2026-10-19', '12:00')), 'mañana a las 11:00');
+  assert.strictEqual(schedule.nextOpening('centro', at('2026-10-22', '12:00')), 'el sábado a las 20:00');
+});
+
+test('los feriados y horarios especiales reemplazan al horario de la semana', (t) => {
+  const { schedule } = createScheduleWith(t, {
+    timezone: TIMEZONE,
+    weekly: WEEK,
+    exceptions: [
+      { date: '2026-10-20', closed: true, reason: 'Inventario' },
+      { date: '2026-10-19', hours: [['18:00', '22:00']] }
+    ],
+    locations: { palermo: { weekly: { 2: [['09:00', '12:00']] } } }
+  });
+
+  assert.strictEqual(schedule.isOpen('centro', at('2026-10-20', '12:00')), false);
+  assert.strictEqual(schedule.closureReason('centro', at('2026-10-20', '12:00')), 'Inventario');
+  assert.strictEqual(schedule.isOpen('centro', at('2026-10-19', '19:00')), true);
+  assert.strictEqual(schedule.closureReason('centro', at('2026-10-19', '19:00')), null);
+  // Palermo tiene su propio horario pero hereda los feriados generales
+  assert.strictEqual(schedule.isOpen('palermo', at('2026-10-20', '10:00')), false);
+  assert.strictEqual(schedule.nextOpening('palermo', at('2026-10-20', '10:00')), 'el martes a las 09:00');
+});
+
+test('availableSlots ofrece turnos con anticipación mínima y lugar libre', (t) => {
+  const { schedule } = createScheduleWith(t, {
+    timezone: TIMEZONE,
+    weekly: WEEK,
+    scheduling: { enabled: true, slotMinutes: 60, slotCapacity: 2, leadMinutes: 90, maxDaysAhead: 1 }
+  });
+  const now = at('2026-10-20', '11:45');
+  const booked = { [at('2026-10-20', '20:00').toISOString()]: 2, [at('2026-10-20', '21:00').toISOString()]: 1 };
+
+  const slots = schedule.availableSlots('centro', booked, now);
+  assert.deepStrictEqual(slots.slice(0, 4).map(slot => slot.label), [
+    'mar 20/10 14:00',
+    'mar 20/10 21:00',
+    'mar 20/10 22:00',
+    'mar 20/10 23:00'
+  ]);
+  assert.strictEqual(slots[0].at, '2026-10-20T17:00:00.000Z');
+  // El turno de las 00:00 cae el miércoles y es el último del rango nocturno
+  assert.strictEqual(slots[4].label, 'mié 21/10 00:00');
+  assert.strictEqual(slots[5].label, 'mié 21/10 11:00');
+  assert.strictEqual(slots.length, 12);
+});
+
+test('replace valida rangos, fechas y zona horaria', (t) => {
+  const { schedule, file } = createScheduleWith(t);
+
+  assert.throws(() => schedule.replace({}), /al menos weekly/);
+  assert.throws(() => schedule.replace({ weekly: { 1: [['11', '15:00']] } }), /Rango horario inválido/);
+  assert.throws(() => schedule.replace({ weekly: {}, exceptions: [{ date: '25/12' }] }), /Fecha inválida/);
+  assert.throws(() => schedule.replace({ weekly: {}, timezone: 'Marte/Olympus' }), RangeError);
+
+  schedule.replace({ weekly: WEEK });
+  assert.deepStrictEqual(createSchedule({ file }).getConfig(), { weekly: WEEK });
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { STATES, createOrderFlow } = require('../lib/order-flow');
+const { createSimulatorChannel, simulatorAddress } = require('../lib/channels/simulator');
+const { createBranding } = require('../lib/branding');
+const { createZoneStore } = require('../lib/zones');
+const { createSchedule } = require('../lib/schedule');
+const { createPricing } = require('../lib/pricing');
+const { createCustomerStore } = require('../lib/customers');
+const { createSessionStore } = require('../lib/sessions');
+const { createLocalStorage } = require('../lib/storage/local');
+const { isSimulatorOrder } = require('../lib/storage/common');
+
+const MENU = [
+  { id: '1', name: 'Empanada de carne', category: 'Empanadas', price: 1200, stock: null },
+  { id: '2', name: 'Pizza muzzarella', category: 'Pizzas', price: 9000, stock: 1 }
+];
+
+// Bot completo con los stores reales en una carpeta temporal y el pedido simulado
+function createBot(dir) {
+  const simulator = createSimulatorChannel();
+  const branding = createBranding({ file: path.join(dir, 'branding.json'), defaults: { name: 'Lo de Ana' } });
+  const pricing = createPricing({ file: path.join(dir, 'promotions.json') });
+  const sessions = createSessionStore({ file: path.join(dir, 'sessions.json'), initialState: STATES.MAIN_MENU });
+  const orders = [];
+
+  const flow = createOrderFlow({
+    getMenu: async () => MENU,
+    processOrder: async (order) => {
+      orders.push(order);
+      return { orderId: order.orderId, quote: pricing.quote({ cart: order.cart, locationId: order.locationId }) };
+    },
+    attachReceipt: async () => {},
+    generateMercadoPagoLink: async (orderId) => `https://mp.test/checkout/${orderId}`,
+    getOpenOrders: async () => [],
+    cancelCustomerOrder: async () => ({ error: 'NOT_FOUND' }),
+    getLocation: branding.getLocation,
+    zones: createZoneStore({ file: path.join(dir, 'zones.json') }),
+    schedule: createSchedule({ file: path.join(dir, 'hours.json') }),
+    getSlots: async () => [],
+    pricing,
+    validateCoupon: async () => ({ error: 'Cupón inválido' }),
+    customers: createCustomerStore({ file: path.join(dir, 'customers.json') }),
+    requestHandoff: async () => {}
+  });
+
+  // Igual que handleIncoming en server.js, pero con las respuestas por el simulador
+  async function say(phone, body) {
+    const inbound = simulator.parseInbound({ phone, name: 'Ana', body });
+    const location = branding.findBySender(inbound.to);
+    const session = sessions.get(inbound.from);
+
+    await flow.handle({
+      session,
+      phone: inbound.from,
+      customerName: inbound.profileName,
+      message: inbound.body.toLowerCase().trim(),
+      body: inbound.body,
+      media: inbound.media,
+      sharedLocation: inbound.sharedLocation,
+      location,
+      t: (key, vars) => branding.message(location.id, key, vars),
+      reply: (text, options) => simulator.send({ to: inbound.from, body: text, options })
+    });
+    return session;
+  }
+
+  return { simulator, orders, say };
+}
+
+test('pedido completo por el simulador: productos, retiro y pago con MercadoPago', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const bot = createBot(dir);
+  const phone = '+5491100000000';
+  const address = simulatorAddress(phone);
+  const botReplies = () => bot.simulator.transcript(address).filter(m => m.direction === 'out');
+
+  let session = await bot.say(phone, 'hola');
+  assert.match(botReplies().pop().body, /¡Hola Ana!/);
+
+  session = await bot.say(phone, '2x1');
+  assert.strictEqual(session.state, STATES.BROWSING_PRODUCTS);
+  assert.deepStrictEqual(session.cart.map(item => [item.name, item.quantity]), [['Empanada de carne', 2]]);
+  assert.match(botReplies().pop().body, /Empanada de carne x2/);
+
+  session = await bot.say(phone, 'finalizar');
+  assert.strictEqual(session.state, STATES.DELIVERY_INFO);
+  assert.strictEqual(botReplies().pop().options.type, 'buttons');
+
+  session = await bot.say(phone, '2');
+  assert.strictEqual(session.state, STATES.PAYMENT_METHOD);
+  assert.strictEqual(session.deliveryType, 'pickup');
+
+  const before = botReplies().length;
+  session = await bot.say(phone, '2');
+  assert.strictEqual(session.state, STATES.PAYMENT_CONFIRMATION);
+  assert.deepStrictEqual(session.cart, []);
+
+  assert.strictEqual(bot.orders.length, 1);
+  const [order] = bot.orders;
+  assert.strictEqual(order.paymentMethod, 'mercadopago');
+  assert.strictEqual(order.deliveryType, 'pickup');
+  assert.strictEqual(session.pendingOrderId, order.orderId);
+
+  // Los datos para pagar salen en un solo mensaje con el link y la transferencia
+  const payment = botReplies().slice(before);
+  assert.strictEqual(payment.length, 1);
+  assert.match(payment[0].body, new RegExp(`https://mp\\.test/checkout/${order.orderId}`));
+  assert.match(payment[0].body, /Alias: SABORES\.BARRIO\.MP/);
+  assert.match(payment[0].body, /\$\s?2\.400/);
+});
+
+test('el simulador no acepta adjuntos ni reintentos con ID del proveedor', () => {
+  const simulator = createSimulatorChannel();
+
+  const inbound = simulator.parseInbound({ phone: '+54 9 11 0000 0000', body: 'hola', mediaUrl: 'http://example.com/a.jpg' });
+  assert.strictEqual(inbound.from, 'sim:+5491100000000');
+  assert.strictEqual(inbound.media, null);
+  assert.strictEqual(inbound.messageId, null);
+});
+
+test('el simulador solo acepta teléfonos con dígitos', () => {
+  const simulator = createSimulatorChannel();
+
+  assert.strictEqual(simulatorAddress('whatsapp:+54 9 11 0000 0000'), 'sim:+5491100000000');
+  assert.strictEqual(simulatorAddress("1');alert(1)//"), null);
+  assert.strictEqual(simulatorAddress(''), null);
+  assert.throws(() => simulator.parseInbound({ phone: '11<img>', body: 'hola' }), /Teléfono inválido/);
+  assert.deepStrictEqual(simulator.transcript('sim:+11'), []);
+});
+
+test('los pedidos del simulador quedan marcados como de prueba', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const storage = createLocalStorage({ dataDir });
+  const order = { customerName: 'Ana', items: [], total: 0, deliveryType: 'pickup' };
+
+  const simulated = await storage.createOrder({ ...order, orderId: '1', customerPhone: 'sim:+5491100000000', channel: 'simulator' });
+  const real = await storage.createOrder({ ...order, orderId: '2', customerPhone: 'whatsapp:+5491100000000' });
+
+  assert.strictEqual(isSimulatorOrder(simulated), true);
+  assert.strictEqual(real.channel, 'twilio');
+  assert.strictEqual(isSimulatorOrder(real), false);
+});
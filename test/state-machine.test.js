@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStateMachine } = require('../lib/state-machine');
+
+// Contexto mínimo de una conversación: guarda las respuestas del bot
+function createContext(message, session = {}) {
+  const replies = [];
+  return {
+    session,
+    message,
+    replies,
+    reply: async (body, options) => {
+      replies.push(options ? { body, options } : body);
+    }
+  };
+}
+
+function createMachine(overrides = {}) {
+  return createStateMachine({
+    initialState: 'MAIN',
+    states: {
+      MAIN: {
+        inputs: [
+          { match: 'pedir', handle: () => 'ORDER' },
+          { match: /^hola\s+(\w+)$/, handle: (ctx, match) => ctx.reply(`Hola ${match[1]}`) }
+        ]
+      },
+      ORDER: {
+        prompt: () => '¿Qué querés pedir?',
+        inputs: [
+          { match: ['1', '2'], handle: (ctx) => { ctx.session.choice = ctx.message; return 'CONFIRM'; } }
+        ],
+        fallback: (ctx) => ctx.reply('Elegí 1 o 2')
+      },
+      CONFIRM: {
+        prompt: () => ({ body: '¿Confirmás?', options: { type: 'buttons', buttons: [{ id: 'si', title: 'Sí' }] } }),
+        inputs: [
+          { match: (ctx) => ctx.message === 'si' && ctx.session.choice, handle: () => 'MAIN' }
+        ]
+      }
+    },
+    globalCommands: [
+      { match: 'menu', handle: () => 'MAIN' }
+    ],
+    fallback: (ctx) => ctx.reply('No entendí'),
+    ...overrides
+  });
+}
+
+test('rechaza un estado inicial que no existe', () => {
+  assert.throws(() => createStateMachine({ initialState: 'NADA', states: {} }), /Estado inicial no definido/);
+});
+
+test('una sesión sin estado o con un estado desconocido arranca en el inicial', async () => {
+  const machine = createMachine();
+
+  const ctx = createContext('hola ana', { state: 'VIEJO' });
+  assert.strictEqual(await machine.handle(ctx), 'MAIN');
+  assert.deepStrictEqual(ctx.replies, ['Hola ana']);
+});
+
+test('el handler que devuelve un estado hace la transición y manda su prompt', async () => {
+  const machine = createMachine();
+  const session = {};
+
+  const order = createContext('pedir', session);
+  assert.strictEqual(await machine.handle(order), 'ORDER');
+  assert.deepStrictEqual(order.replies, ['¿Qué querés pedir?']);
+
+  const choice = createContext('2', session);
+  assert.strictEqual(await machine.handle(choice), 'CONFIRM');
+  assert.strictEqual(session.choice, '2');
+  assert.deepStrictEqual(choice.replies, [
+    { body: '¿Confirmás?', options: { type: 'buttons', buttons: [{ id: 'si', title: 'Sí' }] } }
+  ]);
+
+  const confirm = createContext('si', session);
+  assert.strictEqual(await machine.handle(confirm), 'MAIN');
+  assert.deepStrictEqual(confirm.replies, []);
+});
+
+test('una entrada no reconocida usa el fallback del estado y se queda donde está', async () => {
+  const machine = createMachine();
+
+  const ctx = createContext('3', { state: 'ORDER' });
+  assert.strictEqual(await machine.handle(ctx), 'ORDER');
+  assert.deepStrictEqual(ctx.replies, ['Elegí 1 o 2']);
+});
+
+test('sin fallback del estado se usa el fallback general', async () => {
+  const machine = createMachine();
+
+  const ctx = createContext('no', { state: 'CONFIRM', choice: '1' });
+  assert.strictEqual(await machine.handle(ctx), 'CONFIRM');
+  assert.deepStrictEqual(ctx.replies, ['No entendí']);
+});
+
+test('los comandos globales se evalúan antes que las entradas del estado', async () => {
+  const machine = createMachine();
+
+  const ctx = createContext('menu', { state: 'ORDER' });
+  assert.strictEqual(await machine.handle(ctx), 'MAIN');
+  assert.deepStrictEqual(ctx.replies, []);
+});
+
+test('las guardas se evalúan antes que los comandos globales', async () => {
+  const machine = createMachine({
+    guards: [{ match: (ctx) => ctx.session.closed, handle: (ctx) => ctx.reply('Cerrado') }]
+  });
+
+  const closed = createContext('menu', { state: 'ORDER', closed: true });
+  assert.strictEqual(await machine.handle(closed), 'ORDER');
+  assert.deepStrictEqual(closed.replies, ['Cerrado']);
+
+  const open = createContext('menu', { state: 'ORDER', closed: false });
+  assert.strictEqual(await machine.handle(open), 'MAIN');
+});
+
+test('transition rechaza un estado que no existe', async () => {
+  const machine = createMachine();
+
+  await assert.rejects(machine.transition(createContext(''), 'NADA'), /Estado no definido: NADA/);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../lib/storage/local');
+const { createStockReservations } = require('../lib/stock');
+
+const MENU = [
+  { id: '1', name: 'Empanada de carne', price: 1200, category: 'Empanadas', available: true, stock: 5 },
+  { id: '2', name: 'Gaseosa 1.5L', price: 3000, category: 'Bebidas', available: true }
+];
+
+const CART = [
+  { id: '1', name: 'Empanada de carne', price: 1200, quantity: 2 },
+  { id: '2', name: 'Gaseosa 1.5L', price: 3000, quantity: 1 }
+];
+
+// Storage local real en una carpeta temporal; anota lo que se devuelve al stock
+function createStock(t, overrides = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stock-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dataDir, 'menu.json'), JSON.stringify(MENU));
+
+  const storage = createLocalStorage({ dataDir });
+  const restored = [];
+  const changes = [];
+  const stock = createStockReservations({
+    storage: {
+      ...storage,
+      restoreStock: async (items) => {
+        restored.push(items.map(item => item.id));
+        return storage.restoreStock(items);
+      },
+      ...overrides
+    },
+    onChange: products => changes.push(products.map(product => [product.id, product.stock]))
+  });
+
+  const stockOf = async (id) => (await storage.getMenu()).find(product => product.id === id).stock;
+  return { stock, restored, changes, stockOf };
+}
+
+test('descuenta el stock y devuelve el pedido guardado', async (t) => {
+  const { stock, restored, changes, stockOf } = createStock(t);
+
+  const result = await stock.reserve(CART, async () => ({ orderId: '1' }));
+
+  assert.deepStrictEqual(result, { order: { orderId: '1' } });
+  assert.strictEqual(await stockOf('1'), 3);
+  assert.deepStrictEqual(changes, [[['1', 3]]]);
+  assert.deepStrictEqual(restored, []);
+});
+
+test('si no alcanza el stock no se guarda el pedido', async (t) => {
+  const { stock, stockOf } = createStock(t);
+  let saved = false;
+
+  const result = await stock.reserve([{ ...CART[0], quantity: 6 }], async () => {
+    saved = true;
+    return { orderId: '1' };
+  });
+
+  assert.strictEqual(result.error, 'OUT_OF_STOCK');
+  assert.deepStrictEqual(result.shortages.map(shortage => [shortage.id, shortage.stock]), [['1', 5]]);
+  assert.strictEqual(saved, false);
+  assert.strictEqual(await stockOf('1'), 5);
+});
+
+test('si falla el descuento de stock el pedido no se guarda ni se devuelve nada', async (t) => {
+  const { stock, restored, stockOf } = createStock(t, {
+    reserveStock: async () => {
+      throw new Error('La planilla no responde');
+    }
+  });
+  let saved = false;
+
+  const result = await stock.reserve(CART, async () => {
+    saved = true;
+    return { orderId: '1' };
+  });
+
+  assert.deepStrictEqual(result, { error: 'STOCK_UNAVAILABLE' });
+  assert.strictEqual(saved, false);
+  assert.deepStrictEqual(restored, []);
+  assert.strictEqual(await stockOf('1'), 5);
+});
+
+test('si falla el guardado se devuelve solo el stock que se descontó', async (t) => {
+  const { stock, restored, changes, stockOf } = createStock(t);
+
+  const result = await stock.reserve(CART, async () => null);
+
+  assert.deepStrictEqual(result, { error: 'SAVE_FAILED' });
+  // La gaseosa no tiene stock controlado: no se devuelve
+  assert.deepStrictEqual(restored, [['1']]);
+  assert.deepStrictEqual(changes, [[['1', 3]], [['1', 5]]]);
+  assert.strictEqual(await stockOf('1'), 5);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { createWorkbook } = require('../lib/xlsx');
+
+// Lee las entradas de un ZIP a partir del directorio central
+function unzip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  const files = {};
+
+  let position = buffer.readUInt32LE(end + 16);
+  for (let i = 0; i < count; i++) {
+    assert.strictEqual(buffer.readUInt32LE(position), 0x02014b50);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const size = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const localOffset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const content = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+    assert.strictEqual(content.length, size);
+    files[name] = content.toString('utf8');
+    position += 46 + nameLength;
+  }
+  return files;
+}
+
+test('genera un ZIP con el libro y una hoja por reporte', () => {
+  const files = unzip(createWorkbook([
+    { name: 'Ventas', rows: [['Período', 'Ventas']] },
+    { name: 'Medios de pago: detalle/mes', rows: [] }
+  ]));
+
+  assert.deepStrictEqual(Object.keys(files).sort(), [
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'xl/_rels/workbook.xml.rels',
+    'xl/workbook.xml',
+    'xl/worksheets/sheet1.xml',
+    'xl/worksheets/sheet2.xml'
+  ]);
+  assert.match(files['xl/workbook.xml'], /<sheet name="Ventas" sheetId="1" r:id="rId1"\/>/);
+  // Excel no acepta ":" ni "/" en el nombre de una hoja
+  assert.match(files['xl/workbook.xml'], /<sheet name="Medios de pago  detalle mes" sheetId="2"/);
+});
+
+test('los números van como números y el texto se escapa', () => {
+  const files = unzip(createWorkbook([{
+    name: 'Productos',
+    rows: [['Producto', 'Unidades'], ['Pizza <grande> & "fugazza"', 12], [null, 1.5]]
+  }]));
+  const sheet = files['xl/worksheets/sheet1.xml'];
+
+  assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">Pizza &lt;grande&gt; &amp; &quot;fugazza&quot;<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="B2"><v>12<\/v><\/c>/);
+  assert.match(sheet, /<row r="3"><c r="B3"><v>1.5<\/v><\/c><\/row>/);
+});
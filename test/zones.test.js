@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createZoneStore } = require('../lib/zones');
+
+// Un cuadrado alrededor del Obelisco
+const CENTRO = [[-34.59, -58.39], [-34.59, -58.37], [-34.61, -58.37], [-34.61, -58.39]];
+
+function createZones(t, zones) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zones-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'zones.json');
+  const store = createZoneStore({ file });
+  if (zones) store.replace(zones);
+  return { store, file };
+}
+
+test('sin zonas el local acepta cualquier dirección', (t) => {
+  const { store } = createZones(t);
+
+  assert.strictEqual(store.isEnabled('centro'), false);
+  assert.strictEqual(store.findByAddress('Corrientes 1234, Almagro', 'centro'), null);
+});
+
+test('una dirección entra en la zona si nombra un barrio completo, sin importar acentos', (t) => {
+  const { store } = createZones(t, [
+    { id: 'norte', name: 'Zona norte', neighborhoods: ['Núñez', 'Belgrano'], fee: 1200, minimum: 8000 },
+    { id: 'once', name: 'Once', neighborhoods: ['Once'], fee: 500 }
+  ]);
+
+  assert.strictEqual(store.findByAddress('Cabildo 3000, nunez', 'centro').id, 'norte');
+  assert.strictEqual(store.findByAddress('Pueyrredón 100 (ONCE)', 'centro').id, 'once');
+  assert.strictEqual(store.findByAddress('Oncenario 123', 'centro'), null);
+  assert.strictEqual(store.findByAddress('Corrientes 1234', 'centro'), null);
+  assert.deepStrictEqual(store.get('norte'), {
+    id: 'norte',
+    name: 'Zona norte',
+    locationId: '',
+    neighborhoods: ['Núñez', 'Belgrano'],
+    polygon: [],
+    fee: 1200,
+    minimum: 8000,
+    eta: ''
+  });
+});
+
+test('una ubicación compartida entra en la zona si cae dentro del polígono', (t) => {
+  const { store } = createZones(t, [{ id: 'centro', name: 'Microcentro', polygon: CENTRO, fee: 700 }]);
+
+  assert.strictEqual(store.findByCoordinates(-34.6037, -58.3816, 'centro').id, 'centro');
+  assert.strictEqual(store.findByCoordinates(-34.5627, -58.4563, 'centro'), null);
+});
+
+test('una ubicación compartida usa el barrio de su dirección para las zonas sin polígono', (t) => {
+  const { store } = createZones(t, [
+    { id: 'centro', name: 'Microcentro', polygon: CENTRO, neighborhoods: ['Belgrano'], fee: 700 },
+    { id: 'almagro', name: 'Almagro', neighborhoods: ['Almagro'], fee: 800 }
+  ]);
+
+  assert.strictEqual(store.findByCoordinates(-34.6037, -58.4200, 'centro', 'Av. Corrientes 4000, Almagro').id, 'almagro');
+  // Las zonas con polígono solo se deciden por el polígono
+  assert.strictEqual(store.findByCoordinates(-34.5627, -58.4563, 'centro', 'Cabildo 2000, Belgrano'), null);
+  assert.strictEqual(store.findByCoordinates(-34.6037, -58.4200, 'centro'), null);
+});
+
+test('las zonas de otro local no se usan', (t) => {
+  const { store } = createZones(t, [
+    { id: 'palermo', name: 'Palermo', locationId: 'palermo', neighborhoods: ['Palermo'] },
+    { id: 'todos', name: 'Almagro', neighborhoods: ['Almagro'] }
+  ]);
+
+  assert.deepStrictEqual(store.forLocation('centro').map(zone => zone.id), ['todos']);
+  assert.strictEqual(store.findByAddress('Honduras 5000, Palermo', 'centro'), null);
+  assert.strictEqual(store.findByAddress('Honduras 5000, Palermo', 'palermo').id, 'palermo');
+});
+
+test('replace valida las zonas y las guarda en el archivo', (t) => {
+  const { store, file } = createZones(t);
+
+  assert.throws(() => store.replace([{ id: 'Zona Sur', name: 'Sur', neighborhoods: ['Boedo'] }]), /necesita un ID/);
+  assert.throws(() => store.replace([{ id: 'sur', name: 'Sur' }]), /necesita barrios o un polígono/);
+  assert.throws(() => store.replace([{ id: 'sur', name: 'Sur', polygon: [[1, 2], [3, 4]] }]), /al menos 3 puntos/);
+  assert.throws(() => store.replace([
+    { id: 'sur', name: 'Sur', neighborhoods: ['Boedo'] },
+    { id: 'sur', name: 'Sur 2', neighborhoods: ['Pompeya'] }
+  ]), /Zona repetida: sur/);
+
+  store.replace([{ id: 'sur', name: 'Sur', neighborhoods: [' Boedo ', ''], fee: '900' }]);
+  const reloaded = createZoneStore({ file });
+  assert.deepStrictEqual(reloaded.list().map(zone => [zone.neighborhoods, zone.fee]), [[['Boedo'], 900]]);
+});